@@ -3,31 +3,181 @@
 // ============================================================================
 
 const state = {
-  view: 'login', // login, verifyOtp, clientList, clientDetail, newClient, inquiries
+  view: 'login', // login, verifyOtp, dashboard, clientList, clientDetail, newClient, mergeClients, importClients, trash, inquiries, portfolio, schedule, team, account
   loginEmail: '', // email entered during OTP login
   otpSending: false, // loading state for OTP send
   otpVerifying: false, // loading state for OTP verify
+  otpLockedUntil: null, // ms timestamp while OTP sign-in is locked out after too many wrong codes
+  passkeySigningIn: false, // loading state for passkey sign-in
+  passkeys: [], // the signed-in admin's registered passkeys
+  sessions: [], // the signed-in admin's active sessions (account tab)
+  sessionIdleMinutes: null, // server-side idle timeout, for the account tab
+  currentUser: null, // { email, role } of the signed-in admin
+  adminUsers: [], // team members (owners only)
   currentClientId: null,
   clients: [],
+  trashedClients: [],
+  trashRetentionDays: 30,
   inquiries: [],
-  searchQuery: '',
+  inquiryFilter: 'open', // open (new + contacted), all, or a single status
+  selectedInquiryIds: [], // checked inquiries for bulk actions
+  unreadInquiries: 0, // count of 'new' inquiries, shown on the Inquiries tab
+  portfolioItems: [],
+  upcomingMilestones: [], // open milestones across all clients (schedule tab)
+  calendarFeeds: [], // active calendar subscription links
+  dashboard: null, // aggregate figures for dashboardRange
+  dashboardRange: { preset: '90d', from: '', to: '' }, // from/to are filled in from the preset on first load
+  clientImport: null, // { fileName, headers, rows, mapping, onDuplicate } while importing a CSV
+  compose: null, // { clientId, inquiryId, to, subject, body, template } while writing an email
+  searchQuery: '', // client list search (name, company, email, phone or notes)
+  clientStatusFilter: 'all',
+  clientSort: { field: 'updated_at', dir: 'desc' },
+  clientsTotal: 0, // clients matching the current search and filter
+  clientsNextCursor: null, // cursor for the next page of clients, null on the last page
+  clientLayout: 'table', // table or board
+  clientBoard: null, // { [status]: { clients, total, nextCursor } } for the board layout
+  boardGrab: null, // { id, status } while a card is picked up with the keyboard
+  linkClientOptions: [], // clients matching the search in the link-inquiry modal
   message: null,
   messageType: null,
   loading: false,
   currentInquiryForClient: null, // inquiry being linked to a client
   currentInquiryForNewClient: null, // inquiry being used to create new client
-  activeTab: 'clients', // clients, inquiries
+  newClientDuplicates: null, // { clientData, duplicates } when a new client looks like an existing one
+  merge: null, // { targetId, source, suggestions, take } while merging a duplicate into a client
+  activeTab: 'dashboard', // dashboard, clients, inquiries, portfolio, schedule, team, account
 };
 
+// Project phases (see how-it-works.html) and milestone statuses
+const MILESTONE_PHASES = [
+  { value: 'discovery', label: 'Discovery' },
+  { value: 'design-build', label: 'Design + Build' },
+  { value: 'launch', label: 'Launch' },
+  { value: 'handover', label: 'Handover' },
+];
+
+// Inquiry statuses an admin can pick; 'converted' comes from linking a client
+const INQUIRY_STATUSES = ['new', 'contacted', 'spam', 'archived'];
+
+const INQUIRY_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'new', label: 'New' },
+  { value: 'contacted', label: 'Contacted' },
+  { value: 'converted', label: 'Converted' },
+  { value: 'archived', label: 'Archived' },
+  { value: 'spam', label: 'Spam' },
+  { value: 'all', label: 'All' },
+];
+
+// Reusable email templates; {{field}} placeholders are filled by getMergeFields()
+const EMAIL_TEMPLATES = [
+  {
+    id: 'proposal-follow-up',
+    label: 'Proposal follow-up',
+    subject: 'Following up on your project, {{first_name}}',
+    body: `Hi {{first_name}},
+
+Thanks again for telling us about {{company}}. I wanted to follow up on the proposal we sent over and see if you had any questions.
+
+If it all looks good, the next step is a short call to lock in the timeline. Just reply with a couple of times that work for you.
+
+Thanks,
+The Scale Rebel`,
+  },
+  {
+    id: 'deposit-request',
+    label: 'Deposit request',
+    subject: 'Deposit to reserve your project slot',
+    body: `Hi {{first_name}},
+
+We're ready to get started. To reserve your slot, we ask for a deposit before work begins.
+
+Project total: {{cost}}
+Balance outstanding: {{outstanding}}
+
+Reply to this email if you'd like an invoice or a different payment method.
+
+Thanks,
+The Scale Rebel`,
+  },
+  {
+    id: 'launch-handover',
+    label: 'Launch handover',
+    subject: "You're live! Handover for {{company}}",
+    body: `Hi {{first_name}},
+
+Your site is live. Over the next few days we'll send the handover pack: logins, domain and hosting details, and a short guide to editing your content.
+
+Everything is yours to keep. If anything looks off, just reply here.
+
+Thanks for working with us,
+The Scale Rebel`,
+  },
+  {
+    id: 'project-brief',
+    label: 'Project brief',
+    subject: 'A few questions about {{company}}',
+    body: `Hi {{first_name}},
+
+Thanks for the call. To plan the build, I'd like to know a bit more about your goals, the pages you need, where your content is at, your domain and the tools you use.
+
+It's all in a short questionnaire here:
+{{brief_url}}
+
+Your answers save as you go, so you can come back to the same link and finish it later.
+
+Thanks,
+The Scale Rebel`,
+  },
+];
+
+const MILESTONE_STATUSES = ['planned', 'in-progress', 'done', 'cancelled'];
+
+// Admin roles, most access first (enforced by admin-api; the UI just hides what a role can't use)
+const ADMIN_ROLES = [
+  { value: 'owner', label: 'Owner', description: 'Everything, including costs, the ledger, trash and team' },
+  { value: 'staff', label: 'Staff', description: 'Clients, inquiries, portfolio and schedule; no costs or deleting clients' },
+  { value: 'read-only', label: 'Read-only', description: 'Can view, but not change anything' },
+];
+
+// Ledger entry types and payment methods
+const LEDGER_ENTRY_TYPES = [
+  { value: 'invoice', label: 'Invoice' },
+  { value: 'deposit', label: 'Deposit' },
+  { value: 'payment', label: 'Payment' },
+  { value: 'refund', label: 'Refund' },
+];
+
+const LEDGER_METHODS = [
+  { value: 'card', label: 'Card' },
+  { value: 'bank-transfer', label: 'Bank Transfer' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'paypal', label: 'PayPal' },
+  { value: 'stripe', label: 'Stripe' },
+  { value: 'other', label: 'Other' },
+];
+
+const FILE_TAGS = [
+  { value: 'contract', label: 'Contract' },
+  { value: 'brief', label: 'Brief' },
+  { value: 'asset', label: 'Asset' },
+  { value: 'handover', label: 'Handover' },
+];
+
+// Matches admin-api.mts; checked here too so large files fail before the upload starts
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
 // ============================================================================
 // API WRAPPER
 // ============================================================================
 
-async function api(method, path, body = null) {
+// `returnConflicts` hands a 409 response body back to the caller instead of showing it as an error
+async function api(method, path, body = null, { returnConflicts = false } = {}) {
   const token = sessionStorage.getItem('admin_token');
-  const headers = {
-    'Content-Type': 'application/json',
-  };
+  // File uploads go as multipart form data; the browser sets that Content-Type itself
+  const isForm = body instanceof FormData;
+  const headers = isForm ? {} : { 'Content-Type': 'application/json' };
 
   if (token) {
     headers['Authorization'] = `Bearer ${token}`;
@@ -39,24 +189,28 @@ async function api(method, path, body = null) {
   };
 
   if (body) {
-    options.body = JSON.stringify(body);
+    options.body = isForm ? body : JSON.stringify(body);
   }
 
   try {
     const response = await fetch(path, options);
 
     if (response.status === 401) {
-      sessionStorage.removeItem('admin_token');
-      state.view = 'login';
-      state.loginEmail = '';
-      render();
+      clearSignIn();
       showMessage('Session expired. Please log in again.', 'error');
       return null;
     }
 
+    if (response.status === 409 && returnConflicts) {
+      return await response.json().catch(() => ({}));
+    }
+
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `HTTP ${response.status}`);
+      // The edge security check answers oversized uploads with a plain-text 413
+      const fallback =
+        response.status === 413 ? `Too large to upload (files can be up to ${formatFileSize(MAX_FILE_BYTES)})` : `HTTP ${response.status}`;
+      throw new Error(errorData.error || fallback);
     }
 
     return await response.json().catch(() => ({}));
@@ -81,11 +235,30 @@ function showMessage(text, type = 'error') {
   }, 5000);
 }
 
+// Screen reader announcement through the persistent live region in admin.html
+function announce(text) {
+  const region = document.getElementById('live-region');
+  if (region) region.textContent = text;
+}
+
 function formatCurrency(value) {
   if (!value) return '$0';
   return `$${parseFloat(value).toLocaleString()}`;
 }
 
+// Like formatCurrency, but keeps cents and shows zero/negative balances
+function formatMoney(value) {
+  const amount = parseFloat(value) || 0;
+  const sign = amount < 0 ? '-' : '';
+  return `${sign}$${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 function formatDate(dateStr) {
   if (!dateStr) return '—';
   return new Date(dateStr).toLocaleDateString('en-US', {
@@ -95,6 +268,135 @@ function formatDate(dateStr) {
   });
 }
 
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// YYYY-MM-DD from a DATE column value, without shifting it through the local timezone
+function toDateInput(value) {
+  if (!value) return '';
+  return String(value).substring(0, 10);
+}
+
+// Local "YYYY-MM-DDTHH:MM" for <input type="datetime-local">
+function toDateTimeInput(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function formatDay(value) {
+  const day = toDateInput(value);
+  return day ? formatDate(`${day}T00:00:00`) : '—';
+}
+
+function formatDateTime(value) {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function formatPhase(phase) {
+  const match = MILESTONE_PHASES.find(p => p.value === phase);
+  return match ? match.label : phase;
+}
+
+function isMilestoneOverdue(milestone) {
+  const day = toDateInput(milestone.due_date);
+  const open = milestone.status !== 'done' && milestone.status !== 'cancelled';
+  return open && day && day < toDateInput(new Date().toISOString());
+}
+
+// Trigger a browser download for generated content
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function exportFileName(name, extension) {
+  return `${name}-${new Date().toISOString().substring(0, 10)}.${extension}`;
+}
+
+// RFC 4180 CSV: quote fields containing commas, quotes or newlines. Text that a
+// spreadsheet would run as a formula (=, +, -, @, tab, CR) gets a leading ' so
+// contact-form input like =HYPERLINK(...) stays plain text; plain numbers are left alone.
+function toCsv(rows, columns) {
+  const escapeCell = value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map(escapeCell).join(',')];
+  rows.forEach(row => lines.push(columns.map(col => escapeCell(row[col])).join(',')));
+  return lines.join('\r\n');
+}
+
+// Parse CSV text into an array of rows (arrays of strings); handles quoted fields and embedded newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function isOwner() {
+  return !!state.currentUser && state.currentUser.role === 'owner';
+}
+
+function canEdit() {
+  return !!state.currentUser && state.currentUser.role !== 'read-only';
+}
+
 function getStatusBadge(status) {
   return `<span class="badge badge-${status}">${status}</span>`;
 }
@@ -111,15 +413,368 @@ function findInquiryById(id) {
 // API CALLS
 // ============================================================================
 
-async function loadClients() {
+// ---- Passkeys ----
+
+function supportsPasskeys() {
+  return !!(window.PublicKeyCredential && navigator.credentials);
+}
+
+function bufferToBase64url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(b => (binary += String.fromCharCode(b)));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64urlToBuffer(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0)).buffer;
+}
+
+function describePasskeyError(error) {
+  if (error.name === 'NotAllowedError') return 'Passkey request was cancelled or timed out';
+  if (error.name === 'InvalidStateError') return 'This device already has a passkey for your account';
+  return error.message || 'Passkey request failed';
+}
+
+async function loadPasskeys() {
+  const data = await api('GET', '/api/admin/passkeys');
+  if (data && data.passkeys) {
+    state.passkeys = data.passkeys;
+  }
+}
+
+async function addPasskey(name) {
+  const options = await api('POST', '/api/admin/passkeys/register/options');
+  if (!options) return;
+
+  let credential;
+  try {
+    credential = await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: base64urlToBuffer(options.challenge),
+        user: { ...options.user, id: base64urlToBuffer(options.user.id) },
+        excludeCredentials: options.excludeCredentials.map(c => ({ ...c, id: base64urlToBuffer(c.id) })),
+      },
+    });
+  } catch (error) {
+    showMessage(describePasskeyError(error), 'error');
+    return;
+  }
+
+  const response = credential.response;
+  if (typeof response.getPublicKey !== 'function' || !response.getPublicKey()) {
+    showMessage('This browser can\'t register passkeys here. Try an up-to-date browser.', 'error');
+    return;
+  }
+
+  state.loading = true;
+  const data = await api('POST', '/api/admin/passkeys', {
+    id: credential.id,
+    client_data: bufferToBase64url(response.clientDataJSON),
+    authenticator_data: bufferToBase64url(response.getAuthenticatorData()),
+    public_key: bufferToBase64url(response.getPublicKey()),
+    algorithm: response.getPublicKeyAlgorithm(),
+    transports: typeof response.getTransports === 'function' ? response.getTransports() : [],
+    name,
+  });
+  if (data && data.id) {
+    showMessage('Passkey added. Next time, sign in with it instead of an email code.', 'success');
+    await loadPasskeys();
+  }
+  state.loading = false;
+}
+
+async function removePasskey(id) {
+  state.loading = true;
+  const data = await api('DELETE', '/api/admin/passkeys', { id });
+  if (data && data.success) {
+    showMessage('Passkey removed', 'success');
+    await loadPasskeys();
+  }
+  state.loading = false;
+}
+
+async function loadSessions() {
+  const data = await api('GET', '/api/admin/sessions');
+  if (data && data.sessions) {
+    state.sessions = data.sessions;
+    state.sessionIdleMinutes = data.idle_minutes;
+  }
+}
+
+async function revokeSession(id) {
+  state.loading = true;
+  const data = await api('DELETE', '/api/admin/sessions', { id });
+  if (data && data.success) {
+    showMessage('Session signed out', 'success');
+    await loadSessions();
+  }
+  state.loading = false;
+}
+
+async function signOutEverywhere() {
+  const data = await api('DELETE', '/api/admin/sessions', { all: true });
+  if (data && data.success) {
+    clearSignIn();
+    showMessage(`Signed out of ${data.revoked} ${data.revoked === 1 ? 'session' : 'sessions'}`, 'success');
+  }
+}
+
+// Rough "Browser on OS" label for a session's user agent
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser =
+    [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['CriOS/', 'Chrome'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+      .find(([token]) => userAgent.includes(token)) || [null, 'Browser'];
+  const os =
+    [['iPad', 'iPadOS'], ['iPhone', 'iOS'], ['Android', 'Android'], ['Mac OS X', 'macOS'], ['Windows', 'Windows'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']]
+      .find(([token]) => userAgent.includes(token)) || [null, 'unknown OS'];
+  return `${browser[1]} on ${os[1]}`;
+}
+
+// Forget the local session and go back to the login screen
+function clearSignIn() {
+  sessionStorage.removeItem('admin_token');
+  state.view = 'login';
+  state.loginEmail = '';
+  state.currentUser = null;
+  state.currentClientId = null;
+  state.searchQuery = '';
+  state.clientStatusFilter = 'all';
+  state.clientSort = { field: 'updated_at', dir: 'desc' };
+  state.dashboard = null;
+  render();
+}
+
+// Shared by OTP and passkey sign-in
+async function completeSignIn(data) {
+  sessionStorage.setItem('admin_token', data.token);
+  state.currentUser = data.user;
+  state.view = 'dashboard';
+  state.activeTab = 'dashboard';
+  state.loginEmail = '';
+  await Promise.all([loadDashboard(), loadUnreadInquiryCount()]);
+}
+
+async function signInWithPasskey() {
+  state.passkeySigningIn = true;
+  render();
+
+  try {
+    const optionsResponse = await fetch('/api/admin/passkeys/login/options', { method: 'POST' });
+    const options = await optionsResponse.json().catch(() => ({}));
+    if (!optionsResponse.ok) throw new Error(options.error || 'Passkey sign-in is unavailable');
+
+    const credential = await navigator.credentials.get({
+      publicKey: { ...options, challenge: base64urlToBuffer(options.challenge) },
+    });
+
+    const response = await fetch('/api/admin/passkeys/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        id: credential.id,
+        client_data: bufferToBase64url(credential.response.clientDataJSON),
+        authenticator_data: bufferToBase64url(credential.response.authenticatorData),
+        signature: bufferToBase64url(credential.response.signature),
+      }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    state.passkeySigningIn = false;
+    if (response.ok && data.token) {
+      await completeSignIn(data);
+      render();
+    } else {
+      showMessage(data.error || 'Passkey sign-in failed. Use an email code instead.', 'error');
+    }
+  } catch (error) {
+    state.passkeySigningIn = false;
+    showMessage(describePasskeyError(error), 'error');
+  }
+}
+
+async function loadCurrentUser() {
+  const data = await api('GET', '/api/admin/me');
+  if (data && data.user) {
+    state.currentUser = data.user;
+  }
+}
+
+async function loadAdminUsers() {
+  state.loading = true;
+  const data = await api('GET', '/api/admin/users');
+  if (data && data.users) {
+    state.adminUsers = data.users;
+  }
+  state.loading = false;
+}
+
+async function inviteAdminUser(email, role) {
+  state.loading = true;
+  const data = await api('POST', '/api/admin/users', { email, role });
+  if (data && data.id) {
+    showMessage(
+      data.email_sent ? `Invitation sent to ${data.email}` : `${data.email} can now sign in (the invitation email could not be sent)`,
+      data.email_sent ? 'success' : 'error'
+    );
+    await loadAdminUsers();
+  }
+  state.loading = false;
+  return data;
+}
+
+async function updateAdminUserRole(id, role) {
+  state.loading = true;
+  const data = await api('PUT', '/api/admin/users', { id, role });
+  if (data && data.id) {
+    showMessage(`${data.email} is now ${role}`, 'success');
+  }
+  await loadAdminUsers();
+  state.loading = false;
+}
+
+async function revokeAdminUser(id) {
+  state.loading = true;
+  const data = await api('DELETE', '/api/admin/users', { id });
+  if (data && data.success) {
+    showMessage('Access revoked', 'success');
+    await loadAdminUsers();
+  }
+  state.loading = false;
+}
+
+const CLIENT_PAGE_SIZE = 50;
+
+function getClientListParams(extra = {}) {
+  const params = new URLSearchParams({
+    sort: state.clientSort.field,
+    dir: state.clientSort.dir,
+    limit: String(CLIENT_PAGE_SIZE),
+    ...extra,
+  });
+  if (state.searchQuery.trim()) params.set('q', state.searchQuery.trim());
+  if (state.clientStatusFilter !== 'all') params.set('status', state.clientStatusFilter);
+  return params;
+}
+
+// Incremented per list request so a slow, older search can't overwrite a newer one
+let clientListRequest = 0;
+
+// First page of the client list for the current search, filter and sort; `append` adds the next page.
+// In the board layout this loads the board instead.
+async function loadClients({ append = false } = {}) {
+  if (state.clientLayout === 'board') return loadClientBoard();
+
+  const request = ++clientListRequest;
   state.loading = true;
-  const data = await api('GET', '/api/admin/clients');
+  const params = getClientListParams(append && state.clientsNextCursor ? { cursor: state.clientsNextCursor } : {});
+  const data = await api('GET', `/api/admin/clients?${params}`);
+  if (request !== clientListRequest) return;
   if (data && data.clients) {
-    state.clients = data.clients;
+    state.clients = append ? [...state.clients, ...data.clients] : data.clients;
+    state.clientsTotal = data.total;
+    state.clientsNextCursor = data.next_cursor;
+  }
+  state.loading = false;
+}
+
+const CLIENT_STATUSES = ['lead', 'active', 'completed', 'archived'];
+
+function getBoardColumnParams(status, cursor) {
+  const params = new URLSearchParams({ status, sort: 'updated_at', dir: 'desc', limit: String(CLIENT_PAGE_SIZE) });
+  if (state.searchQuery.trim()) params.set('q', state.searchQuery.trim());
+  if (cursor) params.set('cursor', cursor);
+  return params;
+}
+
+// One column per status, each paged separately
+async function loadClientBoard() {
+  const request = ++clientListRequest;
+  state.loading = true;
+  const results = await Promise.all(
+    CLIENT_STATUSES.map(status => api('GET', `/api/admin/clients?${getBoardColumnParams(status)}`))
+  );
+  if (request !== clientListRequest) return;
+  if (results.every(data => data && data.clients)) {
+    state.clientBoard = Object.fromEntries(
+      CLIENT_STATUSES.map((status, i) => [
+        status,
+        { clients: results[i].clients, total: results[i].total, nextCursor: results[i].next_cursor },
+      ])
+    );
   }
   state.loading = false;
 }
 
+async function loadMoreBoardColumn(status) {
+  const column = state.clientBoard[status];
+  const data = await api('GET', `/api/admin/clients?${getBoardColumnParams(status, column.nextCursor)}`);
+  if (data && data.clients) {
+    column.clients = [...column.clients, ...data.clients];
+    column.total = data.total;
+    column.nextCursor = data.next_cursor;
+  }
+}
+
+function findBoardClient(id) {
+  for (const status of CLIENT_STATUSES) {
+    const client = state.clientBoard[status].clients.find(c => c.id == id);
+    if (client) return client;
+  }
+  return null;
+}
+
+// Move a card to another column straight away, then save; the board reloads if saving fails
+async function moveClientToStatus(id, status) {
+  const client = findBoardClient(id);
+  const from = client && (client.status || 'lead');
+  if (!client || from === status) return;
+
+  const source = state.clientBoard[from];
+  const target = state.clientBoard[status];
+  source.clients = source.clients.filter(c => c.id != id);
+  source.total--;
+  target.clients = [{ ...client, status }, ...target.clients];
+  target.total++;
+  render();
+
+  const data = await api('PUT', '/api/admin/clients', { id, status });
+  if (data && data.id) {
+    announce(`${client.name} moved to ${getClientStatusLabel(status)}`);
+  } else {
+    await loadClientBoard();
+    render();
+  }
+}
+
+// Every page for the current search and filter (exports, import duplicate checks)
+async function fetchAllClients({ ignoreFilters = false } = {}) {
+  const clients = [];
+  let cursor = null;
+  do {
+    const params = ignoreFilters
+      ? new URLSearchParams({ limit: '200' })
+      : getClientListParams({ limit: '200' });
+    if (cursor) params.set('cursor', cursor);
+    const data = await api('GET', `/api/admin/clients?${params}`);
+    if (!data || !data.clients) return null;
+    clients.push(...data.clients);
+    cursor = data.next_cursor;
+  } while (cursor);
+  return clients;
+}
+
+async function loadLinkClientOptions(query) {
+  const params = new URLSearchParams({ sort: 'name', dir: 'asc', limit: '20' });
+  if (query.trim()) params.set('q', query.trim());
+  const data = await api('GET', `/api/admin/clients?${params}`);
+  state.linkClientOptions = data && data.clients ? data.clients : [];
+}
+
 async function loadClientDetail(id) {
   state.loading = true;
   const data = await api('GET', `/api/admin/clients?id=${id}`);
@@ -140,7 +795,38 @@ async function loadInquiries() {
   state.loading = true;
   const data = await api('GET', '/api/admin/inquiries');
   if (data && data.inquiries) {
-    state.inquiries = data.inquiries.filter(i => !i.client_id);
+    state.inquiries = data.inquiries;
+    state.unreadInquiries = data.inquiries.filter(i => i.status === 'new').length;
+    state.selectedInquiryIds = state.selectedInquiryIds.filter(id => data.inquiries.some(i => i.id == id));
+  }
+  state.loading = false;
+}
+
+async function loadUnreadInquiryCount() {
+  const data = await api('GET', '/api/admin/inquiries/unread');
+  if (data && typeof data.unread === 'number') {
+    state.unreadInquiries = data.unread;
+  }
+}
+
+async function setInquiryStatus(ids, status) {
+  state.loading = true;
+  const data = await api('PUT', '/api/admin/inquiries', { ids, status });
+  if (data && data.success) {
+    showMessage(`${ids.length === 1 ? 'Inquiry' : `${ids.length} inquiries`} marked ${status}`, 'success');
+    state.selectedInquiryIds = [];
+    await loadInquiries();
+  }
+  state.loading = false;
+}
+
+async function deleteInquiries(ids) {
+  state.loading = true;
+  const data = await api('DELETE', '/api/admin/inquiries', { ids });
+  if (data && data.success) {
+    showMessage(`Deleted ${data.deleted} ${data.deleted === 1 ? 'inquiry' : 'inquiries'}`, 'success');
+    state.selectedInquiryIds = [];
+    await loadInquiries();
   }
   state.loading = false;
 }
@@ -153,24 +839,31 @@ async function saveClient(clientData) {
     // Update existing
     data = await api('PUT', '/api/admin/clients', clientData);
   } else {
-    // Create new
-    data = await api('POST', '/api/admin/clients', clientData);
+    // Create new; probable duplicates come back for the user to decide
+    data = await api('POST', '/api/admin/clients', clientData, { returnConflicts: true });
+    if (data && data.duplicates) {
+      state.newClientDuplicates = { clientData, duplicates: data.duplicates };
+      state.loading = false;
+      return null;
+    }
   }
 
   if (data && data.id) {
+    state.newClientDuplicates = null;
     showMessage('Client saved successfully', 'success');
     await loadClients();
     state.view = 'clientList';
     state.currentClientId = null;
   }
   state.loading = false;
+  return data;
 }
 
 async function deleteClient(id) {
   state.loading = true;
   const data = await api('DELETE', '/api/admin/clients', { id });
   if (data && data.success) {
-    showMessage('Client deleted successfully', 'success');
+    showMessage('Client moved to trash', 'success');
     await loadClients();
     state.view = 'clientList';
     state.currentClientId = null;
@@ -178,6 +871,36 @@ async function deleteClient(id) {
   state.loading = false;
 }
 
+async function loadTrash() {
+  state.loading = true;
+  const data = await api('GET', '/api/admin/clients/trash');
+  if (data && data.clients) {
+    state.trashedClients = data.clients;
+    state.trashRetentionDays = data.retention_days;
+  }
+  state.loading = false;
+}
+
+async function restoreClient(id) {
+  state.loading = true;
+  const data = await api('POST', '/api/admin/clients/restore', { id });
+  if (data && data.id) {
+    showMessage(`${data.name} restored`, 'success');
+    await Promise.all([loadTrash(), loadClients()]);
+  }
+  state.loading = false;
+}
+
+async function purgeClient(id) {
+  state.loading = true;
+  const data = await api('DELETE', '/api/admin/clients/trash', { id });
+  if (data && data.success) {
+    showMessage('Client permanently deleted', 'success');
+    await loadTrash();
+  }
+  state.loading = false;
+}
+
 async function linkInquiryToClient(inquiryId, clientId) {
   state.loading = true;
   const data = await api('POST', '/api/admin/inquiries/link', {
@@ -196,14 +919,559 @@ async function linkInquiryToClient(inquiryId, clientId) {
   state.loading = false;
 }
 
-// ============================================================================
-// RENDER FUNCTIONS
-// ============================================================================
+async function startMerge(targetId) {
+  state.merge = { targetId, source: null, suggestions: [], take: [] };
+  state.linkClientOptions = [];
+  state.view = 'mergeClients';
+  state.loading = true;
+  const [data] = await Promise.all([
+    api('GET', `/api/admin/clients/duplicates?id=${targetId}`),
+    loadLinkClientOptions(''),
+  ]);
+  if (state.merge && data && data.duplicates) {
+    state.merge.suggestions = data.duplicates;
+  }
+  state.loading = false;
+}
 
-function render() {
-  const app = document.getElementById('app');
+// Load the client to merge in. Fields the kept client has left empty default to the other's values
+async function chooseMergeSource(id) {
+  state.loading = true;
+  const data = await api('GET', `/api/admin/clients?id=${id}`);
+  if (state.merge && data && data.client) {
+    const target = findClientById(state.merge.targetId);
+    state.merge.source = data.client;
+    state.merge.take = MERGE_FIELDS.filter(field => !target[field] && data.client[field]);
+  }
+  state.loading = false;
+}
 
-  // Check authentication
+async function mergeClients() {
+  const { targetId, source, take } = state.merge;
+  state.loading = true;
+  const data = await api('POST', '/api/admin/clients/merge', { id: targetId, merge_id: source.id, take });
+  state.loading = false;
+  if (data && data.id) {
+    state.merge = null;
+    state.view = 'clientDetail';
+    state.currentClientId = targetId;
+    await loadClientDetail(targetId);
+    showMessage(`${source.name} merged into ${data.name}`, 'success');
+  }
+}
+
+const DASHBOARD_RANGES = [
+  { value: '30d', label: 'Last 30 days' },
+  { value: '90d', label: 'Last 90 days' },
+  { value: '12m', label: 'Last 12 months' },
+  { value: 'ytd', label: 'Year to date' },
+  { value: 'custom', label: 'Custom' },
+];
+
+// Local YYYY-MM-DD (toISOString would shift late-evening dates to tomorrow)
+function toLocalDay(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function getPresetRange(preset) {
+  const to = new Date();
+  const from = new Date(to);
+  if (preset === '30d') from.setDate(from.getDate() - 29);
+  else if (preset === '12m') from.setFullYear(from.getFullYear() - 1, from.getMonth(), from.getDate() + 1);
+  else if (preset === 'ytd') from.setMonth(0, 1);
+  else from.setDate(from.getDate() - 89);
+  return { from: toLocalDay(from), to: toLocalDay(to) };
+}
+
+async function loadDashboard() {
+  if (!state.dashboardRange.from) {
+    state.dashboardRange = { preset: state.dashboardRange.preset, ...getPresetRange(state.dashboardRange.preset) };
+  }
+  state.loading = true;
+  const { from, to } = state.dashboardRange;
+  const data = await api('GET', `/api/admin/dashboard?${new URLSearchParams({ from, to })}`);
+  if (data && data.clients_by_status) {
+    state.dashboard = data;
+  }
+  state.loading = false;
+}
+
+async function loadUpcomingMilestones() {
+  state.loading = true;
+  const data = await api('GET', '/api/admin/milestones');
+  if (data && data.milestones) {
+    state.upcomingMilestones = data.milestones;
+  }
+  state.loading = false;
+}
+
+async function addMilestone(milestoneData) {
+  state.loading = true;
+  const data = await api('POST', '/api/admin/milestones', milestoneData);
+  if (data && data.id) {
+    showMessage('Milestone added', 'success');
+    await loadClientDetail(milestoneData.client_id);
+  }
+  state.loading = false;
+}
+
+async function saveMilestone(milestoneData) {
+  state.loading = true;
+  const data = await api('PUT', '/api/admin/milestones', milestoneData);
+  if (data && data.id) {
+    showMessage('Milestone saved', 'success');
+    await loadClientDetail(data.client_id);
+  }
+  state.loading = false;
+}
+
+async function deleteMilestone(id) {
+  state.loading = true;
+  const data = await api('DELETE', '/api/admin/milestones', { id });
+  if (data && data.success) {
+    showMessage('Milestone removed', 'success');
+    await loadClientDetail(data.milestone.client_id);
+  }
+  state.loading = false;
+}
+
+async function addLedgerEntry(entryData) {
+  state.loading = true;
+  const data = await api('POST', '/api/admin/ledger', entryData);
+  if (data && data.id) {
+    showMessage('Ledger entry recorded', 'success');
+    await loadClientDetail(entryData.client_id);
+  }
+  state.loading = false;
+}
+
+async function deleteLedgerEntry(id) {
+  state.loading = true;
+  const data = await api('DELETE', '/api/admin/ledger', { id });
+  if (data && data.success) {
+    showMessage('Ledger entry removed', 'success');
+    await loadClientDetail(data.entry.client_id);
+  }
+  state.loading = false;
+}
+
+// ---- Files ----
+
+// Small JPEG preview of an image upload, so the file list never loads full-size images
+async function createThumbnail(file) {
+  if (!/^image\/(png|jpeg|gif|webp)$/.test(file.type)) return null;
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#fff'; // JPEG has no transparency
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+  } catch (error) {
+    return null; // The upload still works, just without a preview
+  }
+}
+
+async function uploadClientFile(clientId, file, tag) {
+  if (file.size > MAX_FILE_BYTES) {
+    showMessage(`${file.name} is too large. Files can be up to ${formatFileSize(MAX_FILE_BYTES)}.`, 'error');
+    return;
+  }
+
+  state.loading = true;
+  const form = new FormData();
+  form.append('client_id', clientId);
+  form.append('tag', tag);
+  form.append('file', file);
+  const thumbnail = await createThumbnail(file);
+  if (thumbnail) form.append('thumbnail', thumbnail, 'thumbnail.jpg');
+
+  const data = await api('POST', '/api/admin/files', form);
+  if (data && data.id) {
+    showMessage('File uploaded', 'success');
+    await loadClientDetail(clientId);
+  }
+  state.loading = false;
+}
+
+async function updateClientFileTag(id, tag) {
+  const data = await api('PUT', '/api/admin/files', { id, tag });
+  if (data && data.id) {
+    await loadClientDetail(data.client_id);
+  }
+}
+
+async function deleteClientFile(id) {
+  state.loading = true;
+  const data = await api('DELETE', '/api/admin/files', { id });
+  if (data && data.success) {
+    showMessage('File deleted', 'success');
+    await loadClientDetail(state.currentClientId);
+  }
+  state.loading = false;
+}
+
+// Links in the file list expire after a few minutes, so downloads ask for a fresh one
+async function downloadClientFile(id) {
+  const data = await api('GET', `/api/admin/files/download?id=${encodeURIComponent(id)}`);
+  if (data && data.url) {
+    window.location.href = `${data.url}&download=1`;
+  }
+}
+
+// ---- Project brief ----
+
+function getBriefUrl(brief) {
+  return `${location.origin}/brief.html?token=${encodeURIComponent(brief.token)}`;
+}
+
+// Create the client's brief link if needed, then email it from the compose modal
+async function sendBrief(clientId) {
+  state.loading = true;
+  const data = await api('POST', '/api/admin/briefs', { client_id: clientId });
+  if (data && data.token) {
+    await loadClientDetail(clientId);
+    const client = findClientById(clientId);
+    if (client && client.email) {
+      openCompose({ clientId, templateId: 'project-brief' });
+    } else {
+      showMessage('Brief link created. Add an email address to send it, or copy the link.', 'success');
+    }
+  }
+  state.loading = false;
+}
+
+async function newBriefLink(clientId) {
+  state.loading = true;
+  const data = await api('POST', '/api/admin/briefs', { client_id: clientId, new_link: true });
+  if (data && data.token) {
+    showMessage('New brief link created. The old link no longer works.', 'success');
+    await loadClientDetail(clientId);
+  }
+  state.loading = false;
+}
+
+async function reopenBrief(clientId) {
+  state.loading = true;
+  const data = await api('POST', '/api/admin/briefs/reopen', { client_id: clientId });
+  if (data && data.id) {
+    showMessage('Brief reopened. The client can change their answers again.', 'success');
+    await loadClientDetail(clientId);
+  }
+  state.loading = false;
+}
+
+async function loadCalendarFeeds() {
+  const data = await api('GET', '/api/admin/calendar/feeds');
+  if (data && data.feeds) {
+    state.calendarFeeds = data.feeds;
+  }
+}
+
+async function createCalendarFeed() {
+  const data = await api('POST', '/api/admin/calendar/feeds', {});
+  if (data && data.token) {
+    showMessage('New calendar link created. Re-subscribe with the new link.', 'success');
+    await loadCalendarFeeds();
+  }
+}
+
+async function revokeCalendarFeed(id) {
+  const data = await api('DELETE', '/api/admin/calendar/feeds', { id });
+  if (data && data.success) {
+    showMessage('Calendar link revoked', 'success');
+    await loadCalendarFeeds();
+  }
+}
+
+function getCalendarFeedUrl(feed) {
+  return `${location.origin}/api/calendar.ics?token=${encodeURIComponent(feed.token)}`;
+}
+
+// The .ics endpoint needs the session token, so fetch it and save the blob
+async function downloadClientCalendar(id) {
+  const token = sessionStorage.getItem('admin_token');
+  try {
+    const response = await fetch(`/api/calendar.ics?client_id=${encodeURIComponent(id)}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    downloadBlob(await response.blob(), match ? match[1] : 'calendar.ics');
+  } catch (error) {
+    showMessage(`Calendar download failed: ${error.message}`, 'error');
+  }
+}
+
+// ---- Export / import ----
+
+// Client fields only owners see (the API leaves them out for everyone else)
+const FINANCIAL_CLIENT_FIELDS = ['budget', 'cost'];
+
+const CLIENT_EXPORT_COLUMNS = ['id', 'name', 'email', 'phone', 'company', 'status', 'budget', 'deadline', 'cost', 'notes', 'created_at', 'updated_at'];
+
+const INQUIRY_EXPORT_COLUMNS = ['id', 'name', 'email', 'company', 'budget', 'message', 'status', 'client_id', 'client_name', 'created_at'];
+
+// Import target fields, with header names we recognise when guessing the mapping
+const CLIENT_IMPORT_FIELDS = [
+  { field: 'name', label: 'Name', aliases: ['name', 'full name', 'client', 'client name'] },
+  { field: 'email', label: 'Email', aliases: ['email', 'e-mail', 'email address'] },
+  { field: 'phone', label: 'Phone', aliases: ['phone', 'mobile', 'tel', 'telephone', 'phone number'] },
+  { field: 'company', label: 'Company', aliases: ['company', 'business', 'organization', 'organisation'] },
+  { field: 'status', label: 'Status', aliases: ['status', 'stage'] },
+  { field: 'budget', label: 'Budget', aliases: ['budget'] },
+  { field: 'deadline', label: 'Deadline', aliases: ['deadline', 'due', 'due date'] },
+  { field: 'cost', label: 'Cost', aliases: ['cost', 'price', 'quote', 'total'] },
+  { field: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comments'] },
+];
+
+function exportRows(name, rows, columns, format) {
+  if (format === 'json') {
+    const data = rows.map(row => Object.fromEntries(columns.map(col => [col, row[col] ?? null])));
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), exportFileName(name, 'json'));
+  } else {
+    downloadBlob(new Blob([toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' }), exportFileName(name, 'csv'));
+  }
+}
+
+async function exportClients(format) {
+  const columns = isOwner() ? CLIENT_EXPORT_COLUMNS : CLIENT_EXPORT_COLUMNS.filter(col => !FINANCIAL_CLIENT_FIELDS.includes(col));
+  const clients = await fetchAllClients();
+  if (clients) exportRows('clients', clients, columns, format);
+}
+
+function exportInquiries(format) {
+  exportRows('inquiries', getFilteredInquiries(), INQUIRY_EXPORT_COLUMNS, format);
+}
+
+function guessImportMapping(headers) {
+  const normalized = headers.map(h => h.trim().toLowerCase());
+  const mapping = {};
+  CLIENT_IMPORT_FIELDS.forEach(({ field, aliases }) => {
+    const idx = normalized.findIndex(h => aliases.includes(h));
+    mapping[field] = idx >= 0 ? String(idx) : '';
+  });
+  return mapping;
+}
+
+async function readClientImportFile(file) {
+  const rows = parseCsv(await file.text());
+  if (rows.length < 2) {
+    showMessage('That CSV has no data rows', 'error');
+    return;
+  }
+  const headers = rows[0].map((h, i) => h.trim() || `Column ${i + 1}`);
+  const existing = (await fetchAllClients({ ignoreFilters: true })) || [];
+  state.clientImport = {
+    fileName: file.name,
+    headers,
+    rows: rows.slice(1),
+    mapping: guessImportMapping(headers),
+    onDuplicate: 'skip',
+    existingEmails: existing.filter(c => c.email).map(c => c.email.trim().toLowerCase()),
+  };
+}
+
+// Apply the column mapping and flag rows that would be skipped or merge into existing clients
+function getMappedImportRows() {
+  const { rows, mapping } = state.clientImport;
+  const existingEmails = new Set(state.clientImport.existingEmails);
+  const seen = new Set();
+
+  return rows.map(cells => {
+    const record = {};
+    CLIENT_IMPORT_FIELDS.forEach(({ field }) => {
+      record[field] = mapping[field] !== '' ? (cells[parseInt(mapping[field])] || '').trim() : '';
+    });
+
+    const email = record.email.toLowerCase();
+    let status = 'new';
+    if (!record.name) status = 'invalid';
+    else if (record.status && !CLIENT_STATUSES.includes(record.status.toLowerCase())) status = 'bad-status';
+    else if (email && seen.has(email)) status = 'duplicate-in-file';
+    else if (email && existingEmails.has(email)) status = 'existing';
+    if (email && record.name) seen.add(email);
+
+    return { record, status };
+  });
+}
+
+async function importClients() {
+  const mapped = getMappedImportRows().filter(r => r.status === 'new' || r.status === 'existing');
+  if (mapped.length === 0) {
+    showMessage('Nothing to import', 'error');
+    return;
+  }
+
+  state.loading = true;
+  const data = await api('POST', '/api/admin/clients/import', {
+    clients: mapped.map(r => r.record),
+    on_duplicate: state.clientImport.onDuplicate,
+  });
+  if (data && typeof data.created === 'number') {
+    state.clientImport = null;
+    state.view = 'clientList';
+    await loadClients();
+    showMessage(`Imported ${data.created} new, updated ${data.updated}, skipped ${data.skipped}${data.errors.length ? `, ${data.errors.length} invalid` : ''}`, 'success');
+  }
+  state.loading = false;
+}
+
+// ---- Email ----
+
+function getMergeFields(record) {
+  const name = (record.name || '').trim();
+  const summary = record.ledger_summary || {};
+  return {
+    name,
+    first_name: name.split(/\s+/)[0] || 'there',
+    company: record.company || 'your project',
+    email: record.email || '',
+    budget: record.budget ? formatCurrency(record.budget) : '',
+    cost: record.cost ? formatCurrency(record.cost) : '',
+    deadline: record.deadline ? formatDay(record.deadline) : '',
+    outstanding: summary.outstanding !== undefined ? formatMoney(summary.outstanding) : '',
+    brief_url: record.brief ? getBriefUrl(record.brief) : '',
+  };
+}
+
+function applyTemplate(text, fields) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in fields ? fields[key] : match));
+}
+
+// Open the compose modal for a client or an inquiry, optionally starting from a template
+function openCompose({ clientId = null, inquiryId = null, templateId = '' }) {
+  const record = clientId ? findClientById(clientId) : findInquiryById(inquiryId);
+  if (!record || !record.email) {
+    showMessage('No email address on file', 'error');
+    return;
+  }
+  const template = EMAIL_TEMPLATES.find(t => t.id === templateId);
+  const fields = getMergeFields(record);
+  state.compose = {
+    clientId,
+    inquiryId,
+    to: record.email,
+    subject: template ? applyTemplate(template.subject, fields) : '',
+    body: template ? applyTemplate(template.body, fields) : '',
+    template: template ? template.id : '',
+  };
+  render();
+}
+
+function getComposeRecord() {
+  const { clientId, inquiryId } = state.compose;
+  return (clientId ? findClientById(clientId) : findInquiryById(inquiryId)) || {};
+}
+
+async function sendComposedEmail() {
+  const compose = state.compose;
+  state.loading = true;
+  const data = await api('POST', '/api/admin/emails', {
+    client_id: compose.clientId,
+    inquiry_id: compose.inquiryId,
+    to: compose.to,
+    subject: compose.subject,
+    body: compose.body,
+    template: compose.template || null,
+  });
+  if (data && data.id) {
+    state.compose = null;
+    showMessage(`Email sent to ${data.to_email}`, 'success');
+    if (state.view === 'clientDetail' && state.currentClientId) {
+      await loadClientDetail(state.currentClientId);
+    } else if (state.view === 'inquiries') {
+      await loadInquiries();
+    }
+  } else if (compose.clientId) {
+    // Failed sends are logged too
+    await loadClientDetail(compose.clientId);
+  }
+  state.loading = false;
+}
+
+async function loadPortfolio() {
+  state.loading = true;
+  const data = await api('GET', '/api/admin/portfolio');
+  if (data && data.items) {
+    state.portfolioItems = data.items;
+  }
+  state.loading = false;
+}
+
+async function addPortfolioItem(itemData) {
+  state.loading = true;
+  const data = await api('POST', '/api/admin/portfolio', itemData);
+  if (data && data.id) {
+    showMessage('Post added to portfolio', 'success');
+    await loadPortfolio();
+  }
+  state.loading = false;
+}
+
+async function savePortfolioItem(itemData) {
+  state.loading = true;
+  const data = await api('PUT', '/api/admin/portfolio', itemData);
+  if (data && data.id) {
+    const idx = state.portfolioItems.findIndex(p => p.id == data.id);
+    if (idx >= 0) state.portfolioItems[idx] = data;
+    showMessage('Portfolio item saved', 'success');
+  }
+  state.loading = false;
+}
+
+async function deletePortfolioItem(id) {
+  state.loading = true;
+  const data = await api('DELETE', '/api/admin/portfolio', { id });
+  if (data && data.success) {
+    showMessage('Post removed from portfolio', 'success');
+    await loadPortfolio();
+  }
+  state.loading = false;
+}
+
+function isCuratedPortfolioItem(item) {
+  return !item.status || item.status === 'published';
+}
+
+async function movePortfolioItem(id, direction) {
+  // Only published items take part in the gallery order
+  const items = state.portfolioItems.filter(isCuratedPortfolioItem);
+  const idx = items.findIndex(p => p.id == id);
+  const target = idx + direction;
+  if (idx < 0 || target < 0 || target >= items.length) return;
+
+  [items[idx], items[target]] = [items[target], items[idx]];
+  state.portfolioItems = [
+    ...items,
+    ...state.portfolioItems.filter(p => !isCuratedPortfolioItem(p)),
+  ];
+  render();
+
+  const data = await api('POST', '/api/admin/portfolio/reorder', {
+    ids: items.map(p => p.id),
+  });
+  if (!data || !data.success) {
+    await loadPortfolio();
+    render();
+  }
+}
+
+// ============================================================================
+// RENDER FUNCTIONS
+// ============================================================================
+
+function render() {
+  const app = document.getElementById('app');
+
+  // Check authentication
   const token = sessionStorage.getItem('admin_token');
 
   // Show OTP verification screen
@@ -220,18 +1488,45 @@ function render() {
   }
 
   // Render main dashboard
-  if (state.view === 'clientList') {
+  if (state.view === 'dashboard') {
+    app.innerHTML = renderDashboard();
+    attachDashboardListeners();
+  } else if (state.view === 'clientList') {
+    // Re-rendering replaces the board, so keep keyboard focus on the same card
+    const focusedCard = document.activeElement && document.activeElement.closest('.board-card');
     app.innerHTML = renderClientList();
     attachClientListListeners();
+    if (focusedCard) focusBoardCard(app.querySelector(`.board-card[data-id="${focusedCard.dataset.id}"]`));
   } else if (state.view === 'clientDetail') {
     app.innerHTML = renderClientDetail();
     attachClientDetailListeners();
   } else if (state.view === 'newClient') {
     app.innerHTML = renderNewClient();
     attachNewClientListeners();
+  } else if (state.view === 'mergeClients') {
+    app.innerHTML = renderMergeClients();
+    attachMergeClientsListeners();
+  } else if (state.view === 'importClients') {
+    app.innerHTML = renderImportClients();
+    attachImportClientsListeners();
+  } else if (state.view === 'trash') {
+    app.innerHTML = renderTrash();
+    attachTrashListeners();
   } else if (state.view === 'inquiries') {
     app.innerHTML = renderInquiries();
     attachInquiriesListeners();
+  } else if (state.view === 'portfolio') {
+    app.innerHTML = renderPortfolio();
+    attachPortfolioListeners();
+  } else if (state.view === 'schedule') {
+    app.innerHTML = renderSchedule();
+    attachScheduleListeners();
+  } else if (state.view === 'team') {
+    app.innerHTML = renderTeam();
+    attachTeamListeners();
+  } else if (state.view === 'account') {
+    app.innerHTML = renderAccount();
+    attachAccountListeners();
   } else {
     app.innerHTML = renderClientList();
     attachClientListListeners();
@@ -262,18 +1557,52 @@ function renderLogin() {
             ${state.otpSending ? 'Sending code...' : 'Send Login Code'}
           </button>
         </form>
+        ${
+          supportsPasskeys()
+            ? `
+        <div class="login-divider"><span>or</span></div>
+        <button class="btn btn-secondary" id="passkey-login-btn" style="width: 100%;" ${state.passkeySigningIn ? 'disabled' : ''}>
+          ${state.passkeySigningIn ? 'Waiting for passkey...' : 'Sign in with a Passkey'}
+        </button>
+        `
+            : ''
+        }
       </div>
     </div>
   `;
 }
 
+// Pause OTP entry for the lockout the server reported
+let otpLockTimer = null;
+function lockOtp(seconds) {
+  state.otpLockedUntil = Date.now() + seconds * 1000;
+  clearTimeout(otpLockTimer);
+  otpLockTimer = setTimeout(() => {
+    state.otpLockedUntil = null;
+    render();
+  }, seconds * 1000);
+  render();
+}
+
 function renderVerifyOtp() {
+  const locked = state.otpLockedUntil && state.otpLockedUntil > Date.now();
+  const unlockTime = locked ? new Date(state.otpLockedUntil).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : '';
+
   return `
     <div class="login-container">
       <div class="login-box">
         <h1>Check Your Email</h1>
         <p>We sent a 6-digit code to <strong>${state.loginEmail}</strong></p>
-        ${renderMessage()}
+        ${
+          locked
+            ? `
+        <div class="message message-error otp-lockout" role="alert">
+          <strong>Too many incorrect codes.</strong>
+          Sign-in for this email is paused until ${unlockTime}. After that, request a new code; the one you have no longer works.
+        </div>
+        `
+            : renderMessage()
+        }
         <form id="verify-form">
           <div class="form-group">
             <label for="otp-code">Verification Code</label>
@@ -289,9 +1618,10 @@ function renderVerifyOtp() {
               inputmode="numeric"
               autocomplete="one-time-code"
               style="text-align: center; font-size: 24px; letter-spacing: 8px; font-weight: 700;"
+              ${locked ? 'disabled' : ''}
             >
           </div>
-          <button type="submit" class="btn btn-primary" style="width: 100%;" ${state.otpVerifying ? 'disabled' : ''}>
+          <button type="submit" class="btn btn-primary" style="width: 100%;" ${state.otpVerifying || locked ? 'disabled' : ''}>
             ${state.otpVerifying ? 'Verifying...' : 'Verify & Sign In'}
           </button>
         </form>
@@ -300,7 +1630,7 @@ function renderVerifyOtp() {
             \u2190 Use a different email
           </button>
           <span style="color: var(--border); margin: 0 8px;">|</span>
-          <button id="resend-code" style="background: none; border: none; color: var(--accent); cursor: pointer; font-size: 13px; font-family: inherit;">
+          <button id="resend-code" style="background: none; border: none; color: var(--accent); cursor: pointer; font-size: 13px; font-family: inherit;" ${locked ? 'disabled' : ''}>
             Resend code
           </button>
         </div>
@@ -309,62 +1639,124 @@ function renderVerifyOtp() {
   `;
 }
 
-function renderClientList() {
-  const filteredClients = state.clients.filter(c => {
-    const q = state.searchQuery.toLowerCase();
-    return (
-      c.name.toLowerCase().includes(q) ||
-      (c.company && c.company.toLowerCase().includes(q))
-    );
-  });
+const CLIENT_STATUS_FILTERS = [
+  { value: 'all', label: 'All statuses' },
+  { value: 'lead', label: 'Lead' },
+  { value: 'active', label: 'Active' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'archived', label: 'Archived' },
+];
+
+// Client list columns; `sort` is the server-side sort field, if the column has one
+const CLIENT_LIST_COLUMNS = [
+  { label: 'Name', sort: 'name' },
+  { label: 'Company', sort: 'company' },
+  { label: 'Status', sort: 'status' },
+  { label: 'Budget', sort: 'budget', ownerOnly: true },
+  { label: 'Deadline', sort: 'deadline' },
+  { label: 'Next Milestone' },
+  { label: 'Cost', sort: 'cost', ownerOnly: true },
+];
+
+function getClientStatusLabel(status) {
+  const match = CLIENT_STATUS_FILTERS.find(f => f.value === status);
+  return match ? match.label : status;
+}
 
+function renderBoardCard(client, grabbed) {
   return `
-    <div class="dashboard-header">
-      <h1>Clients</h1>
-      <button class="logout-btn" id="logout-btn">Logout</button>
-    </div>
-    <div class="dashboard-content">
-      ${renderMessage()}
-      <div class="tabs">
-        <div class="tab ${state.activeTab === 'clients' ? 'active' : ''}" data-tab="clients">Clients</div>
-        <div class="tab ${state.activeTab === 'inquiries' ? 'active' : ''}" data-tab="inquiries">Inquiries</div>
-      </div>
-      <div class="list-header">
-        <input
-          type="text"
-          class="search-input"
-          id="search-input"
-          placeholder="Search by name or company..."
-          value="${state.searchQuery}"
-        >
-        <button class="btn btn-primary" id="new-client-btn">+ New Client</button>
+    <li
+      class="board-card ${grabbed ? 'is-grabbed' : ''}"
+      data-id="${client.id}"
+      tabindex="0"
+      ${canEdit() ? 'draggable="true"' : ''}
+      aria-describedby="board-help"
+      ${grabbed ? 'aria-pressed="true"' : ''}
+    >
+      <span class="board-card-name">${escapeHtml(client.name)}</span>
+      ${client.brief_status === 'submitted' ? '<span class="badge badge-brief-complete">Brief complete</span>' : ''}
+      ${isOwner() ? `<span class="text-dim">${client.budget ? escapeHtml(formatCurrency(client.budget)) : 'No budget'}</span>` : ''}
+      <span class="text-dim">${client.deadline ? `Due ${formatDate(client.deadline)}` : 'No deadline'}</span>
+    </li>
+  `;
+}
+
+// Columns per status. A card picked up with the keyboard is drawn in the column it would drop into.
+function renderClientBoard() {
+  if (!state.clientBoard) {
+    return `<div class="empty-state"><p>${state.loading ? 'Loading...' : 'No clients found'}</p></div>`;
+  }
+
+  const grab = state.boardGrab;
+  const grabbed = grab && findBoardClient(grab.id);
+
+  return `
+      <p id="board-help" class="sr-only">
+        ${canEdit() ? 'Press Space to pick up a card, Left and Right arrows to choose a column, then Space to drop or Escape to cancel. ' : ''}Press Enter to open the client.
+      </p>
+      <div class="board">
+        ${CLIENT_STATUSES.map(status => {
+          const column = state.clientBoard[status];
+          const clients = column.clients.filter(c => !grabbed || c.id != grab.id);
+          const labelId = `board-${status}-label`;
+          return `
+        <section class="board-column" data-status="${status}" aria-labelledby="${labelId}">
+          <h3 id="${labelId}">${getClientStatusLabel(status)} <span class="text-dim">${column.total}</span></h3>
+          <ul class="board-cards">
+            ${grabbed && grab.status === status ? renderBoardCard(grabbed, true) : ''}
+            ${clients.map(client => renderBoardCard(client, false)).join('')}
+          </ul>
+          ${column.nextCursor ? `<button class="btn btn-secondary btn-small board-more" data-status="${status}">Load more</button>` : ''}
+        </section>
+          `;
+        }).join('')}
       </div>
+  `;
+}
+
+function renderSortableHeader(column) {
+  if (!column.sort) return `<th>${column.label}</th>`;
+  const active = state.clientSort.field === column.sort;
+  const ariaSort = active ? (state.clientSort.dir === 'asc' ? 'ascending' : 'descending') : 'none';
+  const arrow = active ? (state.clientSort.dir === 'asc' ? ' \u2191' : ' \u2193') : '';
+  return `
+    <th aria-sort="${ariaSort}">
+      <button type="button" class="sort-btn ${active ? 'active' : ''}" data-sort="${column.sort}">${column.label}${arrow}</button>
+    </th>
+  `;
+}
+
+function renderClientTable() {
+  const columns = CLIENT_LIST_COLUMNS.filter(col => !col.ownerOnly || isOwner());
+  const filtered = state.searchQuery.trim() !== '' || state.clientStatusFilter !== 'all';
+
+  return `
       <div class="table-wrapper">
         <table>
           <thead>
             <tr>
-              <th>Name</th>
-              <th>Company</th>
-              <th>Status</th>
-              <th>Budget</th>
-              <th>Deadline</th>
-              <th>Cost</th>
+              ${columns.map(renderSortableHeader).join('')}
             </tr>
           </thead>
           <tbody id="clients-tbody">
             ${
-              filteredClients.length === 0
-                ? '<tr><td colspan="6" style="text-align: center; padding: 40px;">No clients found</td></tr>'
-                : filteredClients
+              state.clients.length === 0
+                ? `<tr><td colspan="${columns.length}" style="text-align: center; padding: 40px;">${state.loading ? 'Loading...' : filtered ? 'No clients match' : 'No clients yet'}</td></tr>`
+                : state.clients
                     .map(
                       client => `
               <tr class="client-row" data-id="${client.id}">
-                <td>${client.name}</td>
-                <td>${client.company || '—'}</td>
+                <td>
+                  ${escapeHtml(client.name)}
+                  ${client.overdue_invoices > 0 ? `<span class="badge badge-overdue">${client.overdue_invoices} overdue</span>` : ''}
+                  ${client.brief_status === 'submitted' ? '<span class="badge badge-brief-complete">Brief complete</span>' : ''}
+                </td>
+                <td>${escapeHtml(client.company) || '—'}</td>
                 <td>${getStatusBadge(client.status)}</td>
-                <td>${formatCurrency(client.budget)}</td>
+                ${isOwner() ? `<td>${formatCurrency(client.budget)}</td>` : ''}
                 <td>${formatDate(client.deadline)}</td>
-                <td>${formatCurrency(client.cost)}</td>
+                <td>${renderNextMilestone(client.next_milestone)}</td>
+                ${isOwner() ? `<td>${formatCurrency(client.cost)}</td>` : ''}
               </tr>
             `
                     )
@@ -373,6 +1765,67 @@ function renderClientList() {
           </tbody>
         </table>
       </div>
+      ${
+        state.clients.length > 0
+          ? `
+      <div class="list-footer">
+        <span class="list-count">Showing ${state.clients.length} of ${state.clientsTotal}</span>
+        ${state.clientsNextCursor ? `<button class="btn btn-secondary btn-small" id="load-more-clients" ${state.loading ? 'disabled' : ''}>Load more</button>` : ''}
+      </div>
+      `
+          : ''
+      }
+  `;
+}
+
+function renderClientList() {
+  const board = state.clientLayout === 'board';
+
+  return `
+    <div class="dashboard-header">
+      <h1>Clients</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      ${renderTabs()}
+      <div class="list-header">
+        <input
+          type="search"
+          class="search-input"
+          id="search-input"
+          placeholder="Search name, company, email, phone or notes..."
+          aria-label="Search clients"
+          value="${escapeHtml(state.searchQuery)}"
+        >
+        ${
+          board
+            ? ''
+            : `
+        <select id="client-status-filter" class="list-filter" aria-label="Filter by status">
+          ${CLIENT_STATUS_FILTERS.map(f => `<option value="${f.value}" ${state.clientStatusFilter === f.value ? 'selected' : ''}>${f.label}</option>`).join('')}
+        </select>
+        `
+        }
+        <div class="inquiry-filters" role="group" aria-label="Layout">
+          <button class="btn btn-small ${board ? 'btn-secondary' : 'btn-primary'} layout-btn" data-layout="table" aria-pressed="${!board}">Table</button>
+          <button class="btn btn-small ${board ? 'btn-primary' : 'btn-secondary'} layout-btn" data-layout="board" aria-pressed="${board}">Board</button>
+        </div>
+        <div class="detail-actions">
+          <button class="btn btn-secondary btn-small export-btn" data-format="csv">Export CSV</button>
+          <button class="btn btn-secondary btn-small export-btn" data-format="json">Export JSON</button>
+          ${
+            isOwner()
+              ? `
+          <button class="btn btn-secondary btn-small" id="import-clients-btn">Import CSV</button>
+          <button class="btn btn-secondary btn-small" id="trash-btn">Trash</button>
+          `
+              : ''
+          }
+          ${canEdit() ? '<button class="btn btn-primary" id="new-client-btn">+ New Client</button>' : ''}
+        </div>
+      </div>
+      ${board ? renderClientBoard() : renderClientTable()}
     </div>
   `;
 }
@@ -401,34 +1854,39 @@ function renderClientDetail() {
     <div class="dashboard-content">
       ${renderMessage()}
       <div class="detail-header">
-        <h2>${client.name}</h2>
+        <h2>${escapeHtml(client.name)}</h2>
         <div class="detail-actions">
           <button class="btn btn-secondary btn-small" id="back-btn">\u2190 Back to List</button>
-          <button class="btn btn-danger btn-small" id="delete-btn">Delete</button>
+          ${client.email && canEdit() ? '<button class="btn btn-secondary btn-small" id="email-client-btn">Email</button>' : ''}
+          <button class="btn btn-secondary btn-small" id="ics-btn">Download .ics</button>
+          ${isOwner() ? '<button class="btn btn-secondary btn-small" id="merge-btn">Merge</button>' : ''}
+          ${isOwner() ? '<button class="btn btn-danger btn-small" id="delete-btn">Delete</button>' : ''}
         </div>
       </div>
 
+      <div class="detail-columns">
       <form id="detail-form" class="form">
+        <fieldset class="form-fieldset" ${canEdit() ? '' : 'disabled'}>
         <div class="form-section">
           <h3>Basic Information</h3>
           <div class="form-row">
             <div class="form-group">
               <label for="detail-name">Name</label>
-              <input type="text" id="detail-name" value="${client.name}" required>
+              <input type="text" id="detail-name" value="${escapeHtml(client.name)}" required>
             </div>
             <div class="form-group">
               <label for="detail-email">Email</label>
-              <input type="email" id="detail-email" value="${client.email || ''}">
+              <input type="email" id="detail-email" value="${escapeHtml(client.email)}">
             </div>
           </div>
           <div class="form-row">
             <div class="form-group">
               <label for="detail-phone">Phone</label>
-              <input type="text" id="detail-phone" value="${client.phone || ''}">
+              <input type="text" id="detail-phone" value="${escapeHtml(client.phone)}">
             </div>
             <div class="form-group">
               <label for="detail-company">Company</label>
-              <input type="text" id="detail-company" value="${client.company || ''}">
+              <input type="text" id="detail-company" value="${escapeHtml(client.company)}">
             </div>
           </div>
         </div>
@@ -447,31 +1905,49 @@ function renderClientDetail() {
             </div>
             <div class="form-group">
               <label for="detail-deadline">Deadline</label>
-              <input type="date" id="detail-deadline" value="${client.deadline || ''}">
+              <input type="date" id="detail-deadline" value="${escapeHtml(client.deadline)}">
             </div>
           </div>
+          ${
+            isOwner()
+              ? `
           <div class="form-row">
             <div class="form-group">
               <label for="detail-budget">Budget</label>
-              <input type="number" id="detail-budget" value="${client.budget || ''}" min="0" step="0.01">
+              <input type="number" id="detail-budget" value="${escapeHtml(client.budget)}" min="0" step="0.01">
             </div>
             <div class="form-group">
               <label for="detail-cost">Cost</label>
-              <input type="number" id="detail-cost" value="${client.cost || ''}" min="0" step="0.01">
+              <input type="number" id="detail-cost" value="${escapeHtml(client.cost)}" min="0" step="0.01">
             </div>
           </div>
+          `
+              : ''
+          }
         </div>
 
         <div class="form-section">
           <div class="form-group form-row full">
             <label for="detail-notes">Notes</label>
-            <textarea id="detail-notes" placeholder="Add notes about this client...">${client.notes || ''}</textarea>
+            <textarea id="detail-notes" placeholder="Add notes about this client...">${escapeHtml(client.notes)}</textarea>
           </div>
         </div>
 
-        <button type="submit" class="btn btn-primary">Save Changes</button>
+        ${canEdit() ? '<button type="submit" class="btn btn-primary">Save Changes</button>' : ''}
+        </fieldset>
       </form>
 
+      ${renderClientTimeline(client)}
+      </div>
+
+      ${renderClientMilestones(client)}
+
+      ${renderClientLedger(client)}
+
+      ${renderClientBrief(client)}
+
+      ${renderClientFiles(client)}
+
       ${
         linkedInquiries.length > 0
           ? `
@@ -482,12 +1958,12 @@ function renderClientDetail() {
               inquiry => `
             <div class="inquiry-item">
               <div class="inquiry-header">
-                <span class="inquiry-name">${inquiry.name}</span>
+                <span class="inquiry-name">${escapeHtml(inquiry.name)}</span>
               </div>
               <div class="inquiry-meta">
-                ${inquiry.email} \u2022 ${inquiry.company || 'Unknown'} \u2022 ${formatDate(inquiry.created_at)}
+                ${escapeHtml(inquiry.email)} \u2022 ${escapeHtml(inquiry.company || 'Unknown')} \u2022 ${formatDate(inquiry.created_at)}
               </div>
-              <div class="inquiry-message">"${inquiry.message.substring(0, 150)}${inquiry.message.length > 150 ? '...' : ''}"</div>
+              <div class="inquiry-message">"${escapeHtml((inquiry.message || '').substring(0, 150))}${(inquiry.message || '').length > 150 ? '...' : ''}"</div>
             </div>
           `
             )
@@ -497,311 +1973,2762 @@ function renderClientDetail() {
           : ''
       }
     </div>
+    ${renderComposeModal()}
   `;
 }
 
-function renderNewClient() {
-  const inquiry = state.currentInquiryForNewClient ? findInquiryById(state.currentInquiryForNewClient) : null;
-
+function renderNextMilestone(milestone) {
+  if (!milestone) return '<span class="text-dim">—</span>';
+  const when = milestone.meeting_at ? formatDateTime(milestone.meeting_at) : formatDay(milestone.due_date);
   return `
-    <div class="dashboard-header">
-      <h1>New Client</h1>
-      <button class="logout-btn" id="logout-btn">Logout</button>
-    </div>
-    <div class="dashboard-content">
-      ${renderMessage()}
-      <button class="btn btn-secondary btn-small" id="back-btn" style="margin-bottom: 24px;">\u2190 Back to List</button>
+    <span class="${isMilestoneOverdue(milestone) ? 'milestone-overdue' : ''}">${escapeHtml(formatPhase(milestone.phase))}</span>
+    <span class="text-dim">• ${when}</span>
+  `;
+}
 
-      <form id="new-client-form" class="form">
-        <div class="form-section">
-          <h3>Basic Information</h3>
+function renderMilestoneFields(prefix, milestone = {}) {
+  const phase = milestone.phase || 'discovery';
+  const status = milestone.status || 'planned';
+
+  return `
           <div class="form-row">
             <div class="form-group">
-              <label for="new-name">Name</label>
-              <input type="text" id="new-name" value="${inquiry?.name || ''}" required>
+              <label for="${prefix}-phase">Phase</label>
+              <select id="${prefix}-phase">
+                ${MILESTONE_PHASES.map(p => `<option value="${p.value}" ${p.value === phase ? 'selected' : ''}>${p.label}</option>`).join('')}
+              </select>
             </div>
             <div class="form-group">
-              <label for="new-email">Email</label>
-              <input type="email" id="new-email" value="${inquiry?.email || ''}">
+              <label for="${prefix}-status">Status</label>
+              <select id="${prefix}-status">
+                ${MILESTONE_STATUSES.map(st => `<option value="${st}" ${st === status ? 'selected' : ''}>${st.replace('-', ' ')}</option>`).join('')}
+              </select>
             </div>
           </div>
           <div class="form-row">
             <div class="form-group">
-              <label for="new-phone">Phone</label>
-              <input type="text" id="new-phone" value="">
+              <label for="${prefix}-due">Due Date</label>
+              <input type="date" id="${prefix}-due" value="${toDateInput(milestone.due_date)}">
             </div>
             <div class="form-group">
-              <label for="new-company">Company</label>
-              <input type="text" id="new-company" value="${inquiry?.company || ''}">
+              <label for="${prefix}-meeting">Meeting (optional)</label>
+              <input type="datetime-local" id="${prefix}-meeting" value="${toDateTimeInput(milestone.meeting_at)}">
             </div>
           </div>
-        </div>
+          <div class="form-group">
+            <label for="${prefix}-notes">Notes</label>
+            <textarea id="${prefix}-notes" class="milestone-notes" placeholder="Agenda, deliverables...">${escapeHtml(milestone.notes)}</textarea>
+          </div>
+  `;
+}
 
-        <div class="form-section">
-          <h3>Project Details</h3>
+function readMilestoneFields(prefix) {
+  const meeting = document.getElementById(`${prefix}-meeting`).value;
+  return {
+    phase: document.getElementById(`${prefix}-phase`).value,
+    status: document.getElementById(`${prefix}-status`).value,
+    due_date: document.getElementById(`${prefix}-due`).value || null,
+    meeting_at: meeting ? new Date(meeting).toISOString() : null,
+    notes: document.getElementById(`${prefix}-notes`).value,
+  };
+}
+
+function renderClientMilestones(client) {
+  const milestones = client.milestones || [];
+
+  return `
+      <div class="inquiries-section milestones-section">
+        <h3>Milestones &amp; Meetings</h3>
+        ${
+          milestones.length === 0
+            ? '<p class="text-dim" style="margin-bottom: 16px;">No milestones yet.</p>'
+            : milestones
+                .map(
+                  m => `
+          <div class="inquiry-item milestone-item ${m.status === 'done' || m.status === 'cancelled' ? 'is-closed' : ''}" data-id="${m.id}">
+            <div class="inquiry-header">
+              <span class="inquiry-name ${isMilestoneOverdue(m) ? 'milestone-overdue' : ''}">${escapeHtml(formatPhase(m.phase))}</span>
+              ${getStatusBadge(m.status || 'planned')}
+            </div>
+            <div class="inquiry-meta">
+              Due ${formatDay(m.due_date)}${m.meeting_at ? ` • Meeting ${formatDateTime(m.meeting_at)}` : ''}
+            </div>
+            ${
+              canEdit()
+                ? `
+            ${renderMilestoneFields(`milestone-${m.id}`, m)}
+            <div class="inquiry-actions">
+              <button class="btn btn-primary btn-small milestone-save" data-id="${m.id}">Save</button>
+              <button class="btn btn-danger btn-small milestone-delete" data-id="${m.id}">Remove</button>
+            </div>
+            `
+                : ''
+            }
+          </div>
+        `
+                )
+                .join('')
+        }
+        ${
+          canEdit()
+            ? `
+        <form id="milestone-add-form" class="form milestone-add">
+          <h3>Add Milestone</h3>
+          ${renderMilestoneFields('milestone-new')}
+          <button type="submit" class="btn btn-primary btn-small">+ Add Milestone</button>
+        </form>
+        `
+            : ''
+        }
+      </div>
+  `;
+}
+
+function renderClientLedger(client) {
+  if (!isOwner()) return '';
+
+  const entries = client.ledger || [];
+  const summary = client.ledger_summary || {};
+  const invoices = entries.filter(e => e.entry_type === 'invoice');
+  const milestones = client.milestones || [];
+  const today = toDateInput(new Date().toISOString());
+
+  return `
+      <div class="inquiries-section ledger-section">
+        <h3>Invoices &amp; Payments</h3>
+        <div class="ledger-summary">
+          <div><span class="text-dim">Cost</span><strong>${formatMoney(summary.cost)}</strong></div>
+          <div><span class="text-dim">Invoiced</span><strong>${formatMoney(summary.invoiced)}</strong></div>
+          <div><span class="text-dim">Paid</span><strong>${formatMoney(summary.paid)}</strong></div>
+          <div><span class="text-dim">Outstanding</span><strong class="${summary.outstanding > 0 ? 'ledger-due' : ''}">${formatMoney(summary.outstanding)}</strong></div>
+        </div>
+        ${
+          entries.length === 0
+            ? '<p class="text-dim" style="margin-bottom: 16px;">Nothing invoiced or paid yet.</p>'
+            : `
+        <div class="table-wrapper">
+          <table class="ledger-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Details</th>
+                <th>Amount</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${entries.map(e => renderLedgerRow(e, entries, milestones)).join('')}
+            </tbody>
+          </table>
+        </div>
+        `
+        }
+        <form id="ledger-add-form" class="form ledger-add">
+          <h3>Record Entry</h3>
           <div class="form-row">
             <div class="form-group">
-              <label for="new-status">Status</label>
-              <select id="new-status">
-                <option value="lead" selected>Lead</option>
-                <option value="active">Active</option>
-                <option value="completed">Completed</option>
-                <option value="archived">Archived</option>
+              <label for="ledger-type">Type</label>
+              <select id="ledger-type">
+                ${LEDGER_ENTRY_TYPES.map(t => `<option value="${t.value}">${t.label}</option>`).join('')}
               </select>
             </div>
             <div class="form-group">
-              <label for="new-deadline">Deadline</label>
-              <input type="date" id="new-deadline" value="">
+              <label for="ledger-amount">Amount</label>
+              <input type="number" id="ledger-amount" min="0.01" step="0.01" required>
             </div>
           </div>
           <div class="form-row">
             <div class="form-group">
-              <label for="new-budget">Budget</label>
-              <input type="number" id="new-budget" value="" min="0" step="0.01">
+              <label for="ledger-date">Date</label>
+              <input type="date" id="ledger-date" value="${today}">
+            </div>
+            <div class="form-group ledger-field" data-types="invoice">
+              <label for="ledger-due">Due Date</label>
+              <input type="date" id="ledger-due">
+            </div>
+            <div class="form-group ledger-field" data-types="deposit,payment,refund">
+              <label for="ledger-method">Method</label>
+              <select id="ledger-method">
+                <option value="">—</option>
+                ${LEDGER_METHODS.map(m => `<option value="${m.value}">${m.label}</option>`).join('')}
+              </select>
             </div>
+          </div>
+          <div class="form-row">
             <div class="form-group">
-              <label for="new-cost">Cost</label>
-              <input type="number" id="new-cost" value="" min="0" step="0.01">
+              <label for="ledger-reference">Reference</label>
+              <input type="text" id="ledger-reference" placeholder="Invoice # or transaction ID">
+            </div>
+            <div class="form-group ledger-field" data-types="invoice">
+              <label for="ledger-milestone">Milestone</label>
+              <select id="ledger-milestone">
+                <option value="">—</option>
+                ${milestones.map(m => `<option value="${m.id}">${escapeHtml(formatPhase(m.phase))} (${formatDay(m.due_date)})</option>`).join('')}
+              </select>
+            </div>
+            <div class="form-group ledger-field" data-types="deposit,payment,refund">
+              <label for="ledger-invoice">Apply to Invoice</label>
+              <select id="ledger-invoice">
+                <option value="">—</option>
+                ${invoices.map(i => `<option value="${i.id}">${escapeHtml(i.reference || `Invoice #${i.id}`)} — ${formatMoney(i.amount)}</option>`).join('')}
+              </select>
             </div>
           </div>
-        </div>
-
-        <div class="form-section">
-          <div class="form-group form-row full">
-            <label for="new-notes">Notes</label>
-            <textarea id="new-notes" placeholder="Add notes about this client...">${inquiry?.message || ''}</textarea>
+          <div class="form-group">
+            <label for="ledger-notes">Notes</label>
+            <input type="text" id="ledger-notes">
           </div>
-        </div>
+          <button type="submit" class="btn btn-primary btn-small">+ Record</button>
+        </form>
+      </div>
+  `;
+}
 
-        <button type="submit" class="btn btn-primary">Create Client</button>
-      </form>
-    </div>
+function renderLedgerRow(entry, entries, milestones) {
+  const details = [];
+  if (entry.reference) details.push(escapeHtml(entry.reference));
+  if (entry.entry_type === 'invoice') {
+    details.push(`Due ${formatDay(entry.due_date)}`);
+    const milestone = milestones.find(m => m.id == entry.milestone_id);
+    if (milestone) details.push(escapeHtml(formatPhase(milestone.phase)));
+    details.push(`${formatMoney(entry.paid_amount)} paid`);
+  } else {
+    const method = LEDGER_METHODS.find(m => m.value === entry.method);
+    if (method) details.push(method.label);
+    const invoice = entries.find(i => i.id == entry.invoice_id);
+    if (invoice) details.push(`for ${escapeHtml(invoice.reference || `Invoice #${invoice.id}`)}`);
+  }
+  if (entry.notes) details.push(`<span class="text-dim">${escapeHtml(entry.notes)}</span>`);
+
+  const sign = entry.entry_type === 'refund' ? -1 : 1;
+
+  return `
+              <tr>
+                <td>${formatDay(entry.entry_date)}</td>
+                <td>
+                  ${getStatusBadge(entry.entry_type)}
+                  ${entry.invoice_status ? getStatusBadge(entry.invoice_status) : ''}
+                </td>
+                <td>${details.join(' • ')}</td>
+                <td>${formatMoney(sign * parseFloat(entry.amount))}</td>
+                <td><button class="btn btn-danger btn-small ledger-delete" data-id="${entry.id}" aria-label="Remove entry">×</button></td>
+              </tr>
   `;
 }
 
-function renderInquiries() {
-  const unlinkedInquiries = state.inquiries.filter(i => !i.client_id);
+const BRIEF_STATUS_LABELS = {
+  sent: 'Not started',
+  'in-progress': 'In progress',
+  submitted: 'Complete',
+};
+
+// A brief answer as text: option labels for choices, line breaks kept for free text
+function formatBriefAnswer(question, value) {
+  if (value === undefined || value === null || value === '') return '<span class="text-dim">—</span>';
+  if (question.options) {
+    return [].concat(value)
+      .map(v => escapeHtml((question.options.find(o => o.value === v) || { label: v }).label))
+      .join(', ');
+  }
+  return escapeHtml(value).replace(/\n/g, '<br>');
+}
+
+function renderClientBrief(client) {
+  const brief = client.brief;
+  if (!brief) {
+    return `
+      <div class="inquiries-section brief-panel">
+        <h3>Project Brief</h3>
+        <p class="text-dim" style="margin-bottom: 16px;">Send the questionnaire after the discovery call: goals, pages, content, domains and integrations.</p>
+        ${canEdit() ? `<button class="btn btn-primary btn-small" id="brief-send-btn">${client.email ? 'Send Brief' : 'Create Brief Link'}</button>` : ''}
+      </div>
+    `;
+  }
+
+  const answers = brief.answers || {};
+  const answered = Object.keys(answers).length > 0;
 
   return `
-    <div class="dashboard-header">
-      <h1>Inquiries</h1>
-      <button class="logout-btn" id="logout-btn">Logout</button>
-    </div>
-    <div class="dashboard-content">
-      ${renderMessage()}
-      <div class="tabs">
-        <div class="tab ${state.activeTab === 'clients' ? 'active' : ''}" data-tab="clients">Clients</div>
-        <div class="tab ${state.activeTab === 'inquiries' ? 'active' : ''}" data-tab="inquiries">Inquiries</div>
+      <div class="inquiries-section brief-panel">
+        <h3>
+          Project Brief
+          <span class="badge badge-brief-${brief.status}">${BRIEF_STATUS_LABELS[brief.status] || escapeHtml(brief.status)}</span>
+        </h3>
+        <p class="inquiry-meta">
+          ${brief.submitted_at ? `Submitted ${formatDateTime(brief.submitted_at)}` : `Last updated ${formatDateTime(brief.updated_at)}`}
+        </p>
+        ${
+          canEdit()
+            ? `
+        <div class="calendar-feed-link">
+          <input type="text" class="search-input" id="brief-url" readonly value="${escapeHtml(getBriefUrl(brief))}" aria-label="Brief link">
+          <button class="btn btn-secondary btn-small" id="brief-copy-btn">Copy</button>
+          ${client.email ? '<button class="btn btn-secondary btn-small" id="brief-send-btn">Email Link</button>' : ''}
+          <button class="btn btn-secondary btn-small" id="brief-new-link-btn">New Link</button>
+          ${brief.status === 'submitted' ? '<button class="btn btn-secondary btn-small" id="brief-reopen-btn">Reopen</button>' : ''}
+        </div>
+        `
+            : ''
+        }
+        ${
+          answered
+            ? (brief.sections || [])
+                .map(
+                  section => `
+        <div class="brief-answers">
+          <h4>${escapeHtml(section.title)}</h4>
+          <dl>
+            ${section.questions
+              .map(
+                question => `
+            <dt>${escapeHtml(question.label)}</dt>
+            <dd>${formatBriefAnswer(question, answers[question.id])}</dd>
+            `
+              )
+              .join('')}
+          </dl>
+        </div>
+        `
+                )
+                .join('')
+            : '<p class="text-dim">No answers yet.</p>'
+        }
       </div>
+  `;
+}
 
-      ${
-        unlinkedInquiries.length === 0
-          ? '<div class="empty-state"><p>All inquiries have been linked to clients</p></div>'
-          : `
-        <div>
-          ${unlinkedInquiries
-            .map(
-              inquiry => `
-            <div class="inquiry-item">
-              <div class="inquiry-header">
-                <span class="inquiry-name">${inquiry.name}</span>
-              </div>
+function renderClientFiles(client) {
+  const files = client.files || [];
+  const unsigned = files.some(f => !f.url);
+
+  return `
+      <div class="inquiries-section files-section">
+        <h3>Files</h3>
+        ${
+          files.length === 0
+            ? '<p class="text-dim" style="margin-bottom: 16px;">No contracts, briefs, assets or handover docs yet.</p>'
+            : `<ul class="file-list">${files.map(renderFileRow).join('')}</ul>`
+        }
+        ${unsigned ? '<p class="text-dim">Previews and downloads need the FILE_URL_SECRET environment variable.</p>' : ''}
+        ${
+          canEdit()
+            ? `
+        <form id="file-upload-form" class="form file-upload">
+          <div class="form-row">
+            <div class="form-group">
+              <label for="file-input">File (up to ${formatFileSize(MAX_FILE_BYTES)})</label>
+              <input type="file" id="file-input" required>
+            </div>
+            <div class="form-group">
+              <label for="file-tag">Tag</label>
+              <select id="file-tag">
+                ${FILE_TAGS.map(t => `<option value="${t.value}">${t.label}</option>`).join('')}
+              </select>
+            </div>
+          </div>
+          <button type="submit" class="btn btn-primary btn-small" ${state.loading ? 'disabled' : ''}>${state.loading ? 'Uploading...' : 'Upload'}</button>
+        </form>
+        `
+            : ''
+        }
+      </div>
+  `;
+}
+
+function renderFileRow(file) {
+  const tag = FILE_TAGS.find(t => t.value === file.tag);
+  const extension = (file.file_name.match(/\.([a-z0-9]{1,4})$/i) || [])[1] || 'file';
+
+  return `
+          <li class="file-item">
+            ${
+              file.thumbnail_url
+                ? `<img class="file-thumb" src="${escapeHtml(file.thumbnail_url)}" alt="" loading="lazy">`
+                : `<span class="file-thumb file-type" aria-hidden="true">${escapeHtml(extension)}</span>`
+            }
+            <div class="file-info">
+              <div class="file-name">${escapeHtml(file.file_name)}</div>
               <div class="inquiry-meta">
-                ${inquiry.email} \u2022 ${inquiry.company || 'Unknown'} \u2022 ${formatDate(inquiry.created_at)}
-              </div>
-              <div class="inquiry-message">"${inquiry.message.substring(0, 200)}${inquiry.message.length > 200 ? '...' : ''}"</div>
-              <div class="inquiry-actions">
-                <button class="btn btn-primary btn-small create-from-inquiry" data-id="${inquiry.id}">
-                  + Create Client
-                </button>
-                <button class="btn btn-secondary btn-small link-inquiry" data-id="${inquiry.id}">
-                  Link to Existing
-                </button>
+                ${formatFileSize(file.size_bytes)} • ${formatDate(file.created_at)}${file.uploaded_by ? ` • ${escapeHtml(file.uploaded_by)}` : ''}
               </div>
             </div>
-          `
-            )
-            .join('')}
-        </div>
-      `
-      }
-    </div>
-    ${renderLinkInquiryModal()}
+            ${
+              canEdit()
+                ? `<select class="file-tag-select" data-id="${file.id}" aria-label="Tag for ${escapeHtml(file.file_name)}">
+                ${FILE_TAGS.map(t => `<option value="${t.value}" ${t.value === file.tag ? 'selected' : ''}>${t.label}</option>`).join('')}
+              </select>`
+                : `<span class="badge badge-${escapeHtml(file.tag)}">${tag ? tag.label : escapeHtml(file.tag)}</span>`
+            }
+            <button class="btn btn-secondary btn-small file-download" data-id="${file.id}" ${file.url ? '' : 'disabled'}>Download</button>
+            ${canEdit() ? `<button class="btn btn-danger btn-small file-delete" data-id="${file.id}" aria-label="Delete ${escapeHtml(file.file_name)}">×</button>` : ''}
+          </li>
   `;
 }
 
-function renderLinkInquiryModal() {
-  if (!state.currentInquiryForClient) return '';
-
-  const clientOptions = state.clients
-    .map(c => `<option value="${c.id}">${c.name}</option>`)
-    .join('');
+function renderCalendarFeedPanel() {
+  const feed = state.calendarFeeds.find(f => !f.client_id);
 
   return `
-    <div class="modal" id="link-modal">
-      <div class="modal-content">
-        <h2>Link to Existing Client</h2>
-        <div class="form-group">
-          <label for="link-select">Select Client</label>
-          <select id="link-select">
-            <option value="">Choose a client...</option>
-            ${clientOptions}
-          </select>
+      <div class="calendar-feed">
+        <div>
+          <h3>Calendar Subscription</h3>
+          <p class="text-dim">Deadlines, milestone due dates and booked sessions for all clients. Anyone with the link can read the feed.</p>
         </div>
-        <div class="modal-actions">
-          <button class="btn btn-secondary" id="link-cancel-btn">Cancel</button>
-          <button class="btn btn-primary" id="link-confirm-btn">Link</button>
+        ${
+          feed
+            ? `
+        <div class="calendar-feed-link">
+          <input type="text" class="search-input" id="calendar-feed-url" readonly value="${escapeHtml(getCalendarFeedUrl(feed))}">
+          <button class="btn btn-secondary btn-small" id="calendar-feed-copy">Copy</button>
+          <button class="btn btn-secondary btn-small" id="calendar-feed-rotate">New Link</button>
+          <button class="btn btn-danger btn-small" id="calendar-feed-revoke" data-id="${feed.id}">Revoke</button>
         </div>
+        `
+            : '<button class="btn btn-primary btn-small" id="calendar-feed-rotate">Create Feed Link</button>'
+        }
       </div>
-    </div>
   `;
 }
 
-function renderMessage() {
-  if (!state.message) return '';
-  return `<div class="message message-${state.messageType}">${state.message}</div>`;
+const AUDIT_FIELD_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  company: 'Company',
+  status: 'Status',
+  budget: 'Budget',
+  deadline: 'Deadline',
+  cost: 'Cost',
+  notes: 'Notes',
+  merged_from: 'Merged from',
+  merged_into: 'Merged into',
+  file: 'File',
+  tag: 'Tag',
+};
+
+const AUDIT_ACTION_LABELS = {
+  create: 'Client created',
+  import: 'Imported from CSV',
+  update: 'Client updated',
+  delete: 'Moved to trash',
+  restore: 'Restored from trash',
+  purge: 'Permanently deleted',
+  link_inquiry: 'Inquiry linked',
+  merge: 'Merged with a duplicate',
+  upload_file: 'File uploaded',
+  update_file: 'File retagged',
+  delete_file: 'File deleted',
+  create_brief: 'Brief link created',
+  new_brief_link: 'Brief link replaced',
+  submit_brief: 'Brief submitted by the client',
+  reopen_brief: 'Brief reopened',
+};
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  const text = String(value);
+  return escapeHtml(text.length > 120 ? `${text.substring(0, 120)}...` : text);
+}
+
+function renderAuditChanges(entry) {
+  const changes = entry.changes || {};
+  const fields = Object.keys(changes);
+  if (fields.length === 0) return '';
+
+  return `
+          <ul class="timeline-changes">
+            ${fields
+              .map(field => {
+                const { from, to } = changes[field];
+                const label = AUDIT_FIELD_LABELS[field] || field;
+                if (
+                  entry.action === 'update' ||
+                  (entry.action === 'merge' && field !== 'merged_from') ||
+                  (entry.action === 'update_file' && field === 'tag')
+                ) {
+                  return `<li>${escapeHtml(label)}: <span class="text-dim">${formatAuditValue(from)}</span> → ${formatAuditValue(to)}</li>`;
+                }
+                const removed = entry.action === 'purge' || entry.action === 'delete_file';
+                return `<li>${escapeHtml(label)}: ${formatAuditValue(removed ? from : to)}</li>`;
+              })
+              .join('')}
+          </ul>
+  `;
+}
+
+// Chronological record of what happened with a client (newest first)
+function renderClientTimeline(client) {
+  const auditEvents = (client.audit || []).map(entry => ({
+    at: entry.created_at,
+    html: `
+          <div class="timeline-title">${AUDIT_ACTION_LABELS[entry.action] || escapeHtml(entry.action)}</div>
+          ${renderAuditChanges(entry)}
+          <div class="inquiry-meta">${formatDateTime(entry.created_at)}${entry.actor_email ? ` • ${escapeHtml(entry.actor_email)}` : ''}</div>
+    `,
+  }));
+
+  const emailEvents = (client.emails || []).map(email => ({
+    at: email.created_at,
+    html: `
+          <div class="timeline-title">
+            ${email.status === 'failed' ? 'Email failed' : 'Email sent'} to ${escapeHtml(email.to_email)}
+            ${email.status === 'failed' ? getStatusBadge('failed') : ''}
+          </div>
+          <details class="timeline-details">
+            <summary>${escapeHtml(email.subject)}</summary>
+            <pre class="timeline-body">${escapeHtml(email.body)}</pre>
+            ${email.error ? `<div class="text-dim">Error: ${escapeHtml(email.error)}</div>` : ''}
+          </details>
+          <div class="inquiry-meta">${formatDateTime(email.created_at)}${email.sent_by ? ` • ${escapeHtml(email.sent_by)}` : ''}</div>
+    `,
+  }));
+
+  const events = [...auditEvents, ...emailEvents];
+  events.sort((a, b) => new Date(b.at) - new Date(a.at));
+
+  return `
+      <div class="inquiries-section timeline-section">
+        <h3>Timeline</h3>
+        ${
+          events.length === 0
+            ? '<p class="text-dim">Nothing here yet.</p>'
+            : `<ol class="timeline">${events.map(e => `<li class="timeline-item">${e.html}</li>`).join('')}</ol>`
+        }
+      </div>
+  `;
+}
+
+function renderComposeModal() {
+  const compose = state.compose;
+  if (!compose) return '';
+
+  return `
+    <div class="modal" id="compose-modal">
+      <div class="modal-content compose-content">
+        <h2>Send Email</h2>
+        <div class="form-group">
+          <label for="compose-to">To</label>
+          <input type="email" id="compose-to" value="${escapeHtml(compose.to)}" required>
+        </div>
+        <div class="form-group">
+          <label for="compose-template">Template</label>
+          <select id="compose-template">
+            <option value="">Blank message</option>
+            ${EMAIL_TEMPLATES.map(t => `<option value="${t.id}" ${compose.template === t.id ? 'selected' : ''}>${t.label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="compose-subject">Subject</label>
+          <input type="text" id="compose-subject" value="${escapeHtml(compose.subject)}" required>
+        </div>
+        <div class="form-group">
+          <label for="compose-body">Message</label>
+          <textarea id="compose-body" class="compose-body" required>${escapeHtml(compose.body)}</textarea>
+        </div>
+        <div class="modal-actions">
+          <button class="btn btn-secondary" id="compose-cancel-btn">Cancel</button>
+          <button class="btn btn-primary" id="compose-send-btn">Send</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function formatMonth(month) {
+  return new Date(`${month}-01T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+}
+
+function formatPercent(rate) {
+  return rate === null ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+function renderBar(value, max, className = '') {
+  const width = max > 0 ? Math.round((value / max) * 100) : 0;
+  return `<span class="dashboard-bar ${className}"><span style="width: ${width}%"></span></span>`;
+}
+
+function renderDashboardRevenue(revenue) {
+  const max = Math.max(0, ...revenue.months.map(m => Math.max(m.booked, m.collected)));
+  return `
+      <div class="dashboard-panel dashboard-panel-wide">
+        <h3>Booked vs collected</h3>
+        <p class="text-dim dashboard-note">Booked is the agreed cost (or budget) of active and completed clients by the month they were added; collected is payments less refunds from the ledger.</p>
+        <div class="table-wrapper">
+          <table class="dashboard-table">
+            <thead>
+              <tr>
+                <th>Month</th>
+                <th>Booked</th>
+                <th>Collected</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${revenue.months
+                .map(
+                  m => `
+              <tr>
+                <td>${formatMonth(m.month)}</td>
+                <td>${renderBar(m.booked, max)} ${formatMoney(m.booked)}</td>
+                <td>${renderBar(m.collected, max, 'dashboard-bar-collected')} ${formatMoney(m.collected)}</td>
+              </tr>
+            `
+                )
+                .join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+  `;
+}
+
+function renderDashboard() {
+  const data = state.dashboard;
+  const range = state.dashboardRange;
+
+  const controls = `
+      <div class="list-header dashboard-range">
+        <select id="dashboard-preset" class="list-filter" aria-label="Date range">
+          ${DASHBOARD_RANGES.map(r => `<option value="${r.value}" ${range.preset === r.value ? 'selected' : ''}>${r.label}</option>`).join('')}
+        </select>
+        <label class="dashboard-date">From <input type="date" id="dashboard-from" class="list-filter" value="${range.from}" max="${range.to}"></label>
+        <label class="dashboard-date">To <input type="date" id="dashboard-to" class="list-filter" value="${range.to}" min="${range.from}"></label>
+      </div>
+  `;
+
+  if (!data) {
+    return `
+    <div class="dashboard-header">
+      <h1>Dashboard</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      ${renderTabs()}
+      ${controls}
+      <div class="empty-state"><p>${state.loading ? 'Loading...' : 'No figures for this range'}</p></div>
+    </div>
+    `;
+  }
+
+  const maxStatus = Math.max(0, ...data.clients_by_status.map(s => s.count));
+  const booking = data.time_to_booking;
+  const deadlines = data.deadlines;
+
+  return `
+    <div class="dashboard-header">
+      <h1>Dashboard</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      ${renderTabs()}
+      ${controls}
+      <div class="ledger-summary dashboard-stats">
+        <div>
+          <span class="text-dim">Inquiry conversion</span>
+          <strong>${formatPercent(data.conversion.rate)}</strong>
+          <span class="text-dim">${data.conversion.converted} of ${data.conversion.inquiries} inquiries</span>
+        </div>
+        <div>
+          <span class="text-dim">Inquiry to first booking</span>
+          <strong>${booking.average_days === null ? '—' : `${booking.average_days} days`}</strong>
+          <span class="text-dim">average over ${booking.clients} ${booking.clients === 1 ? 'client' : 'clients'}</span>
+        </div>
+        ${
+          data.revenue
+            ? `
+        <div>
+          <span class="text-dim">Booked</span>
+          <strong>${formatMoney(data.revenue.booked)}</strong>
+        </div>
+        <div>
+          <span class="text-dim">Collected</span>
+          <strong>${formatMoney(data.revenue.collected)}</strong>
+        </div>
+        `
+            : ''
+        }
+      </div>
+
+      <div class="dashboard-grid">
+        <div class="dashboard-panel">
+          <h3>New clients by status</h3>
+          <table class="dashboard-table">
+            <tbody>
+              ${data.clients_by_status
+                .map(
+                  s => `
+              <tr>
+                <td>${getStatusBadge(s.status)}</td>
+                <td>${renderBar(s.count, maxStatus)}</td>
+                <td>${s.count}</td>
+              </tr>
+            `
+                )
+                .join('')}
+            </tbody>
+          </table>
+        </div>
+
+        <div class="dashboard-panel">
+          <h3>Open deadlines <span class="text-dim">(due in this range)</span></h3>
+          ${
+            deadlines.length === 0
+              ? '<p class="text-dim">Nothing due.</p>'
+              : `
+          <table class="dashboard-table">
+            <tbody>
+              ${deadlines
+                .map(
+                  d => `
+              <tr class="deadline-row" data-client-id="${d.client_id}">
+                <td class="${d.overdue ? 'milestone-overdue' : ''}">${formatDay(d.due_date)}</td>
+                <td>${escapeHtml(d.client_name)}</td>
+                <td class="text-dim">${d.type === 'client' ? 'Project deadline' : `${escapeHtml(formatPhase(d.phase))} due`}</td>
+              </tr>
+            `
+                )
+                .join('')}
+            </tbody>
+          </table>
+          `
+          }
+        </div>
+
+        ${data.revenue ? renderDashboardRevenue(data.revenue) : ''}
+      </div>
+    </div>
+  `;
+}
+
+function renderSchedule() {
+  const milestones = state.upcomingMilestones;
+
+  return `
+    <div class="dashboard-header">
+      <h1>Schedule</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      ${renderTabs()}
+      ${isOwner() ? renderCalendarFeedPanel() : ''}
+      ${
+        milestones.length === 0
+          ? '<div class="empty-state"><p>No upcoming milestones or meetings.</p></div>'
+          : `
+      <div class="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>Due</th>
+              <th>Meeting</th>
+              <th>Client</th>
+              <th>Phase</th>
+              <th>Status</th>
+              <th>Notes</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${milestones
+              .map(
+                m => `
+              <tr class="milestone-row" data-client-id="${m.client_id}">
+                <td class="${isMilestoneOverdue(m) ? 'milestone-overdue' : ''}">${formatDay(m.due_date)}</td>
+                <td>${formatDateTime(m.meeting_at)}</td>
+                <td>${escapeHtml(m.client_name)}</td>
+                <td>${escapeHtml(formatPhase(m.phase))}</td>
+                <td>${getStatusBadge(m.status || 'planned')}</td>
+                <td class="text-dim">${escapeHtml((m.notes || '').substring(0, 80))}${(m.notes || '').length > 80 ? '...' : ''}</td>
+              </tr>
+            `
+              )
+              .join('')}
+          </tbody>
+        </table>
+      </div>
+      `
+      }
+    </div>
+  `;
+}
+
+function renderTeam() {
+  const users = state.adminUsers;
+  const roleOptions = selected => ADMIN_ROLES.map(r => `<option value="${r.value}" ${r.value === selected ? 'selected' : ''}>${r.label}</option>`).join('');
+
+  return `
+    <div class="dashboard-header">
+      <h1>Team</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      ${renderTabs()}
+      <form id="invite-form" class="form invite-form">
+        <h3>Invite a User</h3>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="invite-email">Email</label>
+            <input type="email" id="invite-email" required placeholder="name@example.com">
+          </div>
+          <div class="form-group">
+            <label for="invite-role">Role</label>
+            <select id="invite-role">${roleOptions('staff')}</select>
+          </div>
+        </div>
+        <ul class="role-help text-dim">
+          ${ADMIN_ROLES.map(r => `<li><strong>${r.label}:</strong> ${r.description}</li>`).join('')}
+        </ul>
+        <button type="submit" class="btn btn-primary btn-small">Send Invite</button>
+      </form>
+      <div class="table-wrapper">
+        <table class="team-table">
+          <thead>
+            <tr>
+              <th>Email</th>
+              <th>Role</th>
+              <th>Invited By</th>
+              <th>Last Login</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${users
+              .map(user => {
+                const isSelf = state.currentUser && user.email === state.currentUser.email;
+                return `
+              <tr class="${user.revoked_at ? 'is-revoked' : ''}">
+                <td>${escapeHtml(user.email)}${isSelf ? ' <span class="text-dim">(you)</span>' : ''}</td>
+                <td>
+                  ${
+                    user.revoked_at
+                      ? `<span class="badge badge-revoked">revoked ${formatDate(user.revoked_at)}</span>`
+                      : `<select class="user-role" data-id="${user.id}" aria-label="Role for ${escapeHtml(user.email)}">${roleOptions(user.role)}</select>`
+                  }
+                </td>
+                <td>${escapeHtml(user.invited_by || '—')}</td>
+                <td>${user.last_login_at ? formatDateTime(user.last_login_at) : '<span class="text-dim">Never</span>'}</td>
+                <td>
+                  ${
+                    user.revoked_at
+                      ? `<button class="btn btn-secondary btn-small reinvite-user" data-email="${escapeHtml(user.email)}" data-role="${user.role}">Restore Access</button>`
+                      : isSelf
+                        ? ''
+                        : `<button class="btn btn-danger btn-small revoke-user" data-id="${user.id}">Revoke</button>`
+                  }
+                </td>
+              </tr>
+            `;
+              })
+              .join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+function renderAccount() {
+  const user = state.currentUser || {};
+  const role = ADMIN_ROLES.find(r => r.value === user.role);
+
+  return `
+    <div class="dashboard-header">
+      <h1>Account</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      ${renderTabs()}
+      <p class="text-dim" style="margin-bottom: 24px;">
+        Signed in as <strong>${escapeHtml(user.email || '')}</strong>${role ? ` (${role.label})` : ''}
+      </p>
+      <div class="inquiries-section">
+        <h3>Passkeys</h3>
+        <p class="text-dim" style="margin-bottom: 16px;">
+          Sign in with Face ID, Touch ID, Windows Hello or a security key instead of waiting for an email code.
+          Email codes keep working if you lose a device.
+        </p>
+        ${
+          state.passkeys.length === 0
+            ? '<p class="text-dim" style="margin-bottom: 16px;">No passkeys yet.</p>'
+            : state.passkeys
+                .map(
+                  passkey => `
+          <div class="inquiry-item">
+            <div class="inquiry-header">
+              <span class="inquiry-name">${escapeHtml(passkey.name || 'Passkey')}</span>
+              <button class="btn btn-danger btn-small remove-passkey" data-id="${passkey.id}">Remove</button>
+            </div>
+            <div class="inquiry-meta">
+              Added ${formatDate(passkey.created_at)} • ${passkey.last_used_at ? `Last used ${formatDateTime(passkey.last_used_at)}` : 'Never used'}
+            </div>
+          </div>
+        `
+                )
+                .join('')
+        }
+        ${
+          supportsPasskeys()
+            ? `
+        <form id="passkey-add-form" class="form passkey-add">
+          <div class="form-group">
+            <label for="passkey-name">Device name</label>
+            <input type="text" id="passkey-name" maxlength="100" placeholder="e.g. Shop iPad">
+          </div>
+          <button type="submit" class="btn btn-primary btn-small">+ Add Passkey</button>
+        </form>
+        `
+            : '<p class="text-dim">This browser doesn\'t support passkeys.</p>'
+        }
+      </div>
+      <div class="inquiries-section">
+        <div class="detail-header">
+          <h3>Signed-in Sessions</h3>
+          <button class="btn btn-danger btn-small" id="sign-out-everywhere-btn">Sign Out Everywhere</button>
+        </div>
+        ${
+          state.sessionIdleMinutes
+            ? `<p class="text-dim" style="margin-bottom: 16px;">Sessions end after ${state.sessionIdleMinutes} minutes without activity.</p>`
+            : ''
+        }
+        <div class="table-wrapper">
+          <table class="sessions-table">
+            <thead>
+              <tr>
+                <th>Device</th>
+                <th>IP Address</th>
+                <th>Signed In</th>
+                <th>Last Active</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${state.sessions
+                .map(
+                  session => `
+              <tr>
+                <td title="${escapeHtml(session.user_agent || '')}">
+                  ${escapeHtml(describeUserAgent(session.user_agent))}
+                  ${session.current ? '<span class="badge badge-active">this device</span>' : ''}
+                </td>
+                <td>${escapeHtml(session.ip || '—')}</td>
+                <td>${formatDateTime(session.created_at)}</td>
+                <td>${formatDateTime(session.last_used_at)}</td>
+                <td>
+                  ${session.current ? '' : `<button class="btn btn-secondary btn-small revoke-session" data-id="${session.id}">Sign Out</button>`}
+                </td>
+              </tr>
+            `
+                )
+                .join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function renderTrash() {
+  const clients = state.trashedClients;
+
+  return `
+    <div class="dashboard-header">
+      <h1>Trash</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      <button class="btn btn-secondary btn-small" id="back-btn" style="margin-bottom: 24px;">\u2190 Back to List</button>
+      <p class="text-dim" style="margin-bottom: 16px;">
+        Deleted clients are kept for ${state.trashRetentionDays} days with their inquiries, milestones and history, then removed permanently.
+      </p>
+      ${
+        clients.length === 0
+          ? '<div class="empty-state"><p>Trash is empty</p></div>'
+          : `
+      <div class="table-wrapper">
+        <table class="trash-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Company</th>
+              <th>Inquiries</th>
+              <th>Deleted</th>
+              <th>Purged On</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${clients
+              .map(
+                client => `
+              <tr>
+                <td>${escapeHtml(client.name)}</td>
+                <td>${escapeHtml(client.company || '—')}</td>
+                <td>${client.inquiry_count}</td>
+                <td>${formatDate(client.deleted_at)}</td>
+                <td>${formatDate(client.purge_at)}</td>
+                <td>
+                  <div class="inquiry-actions">
+                    <button class="btn btn-primary btn-small restore-client" data-id="${client.id}">Restore</button>
+                    <button class="btn btn-danger btn-small purge-client" data-id="${client.id}">Delete Forever</button>
+                  </div>
+                </td>
+              </tr>
+            `
+              )
+              .join('')}
+          </tbody>
+        </table>
+      </div>
+      `
+      }
+    </div>
+  `;
+}
+
+function renderImportClients() {
+  const imp = state.clientImport;
+  const mapped = imp ? getMappedImportRows() : [];
+  const counts = mapped.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+  const statusLabels = {
+    new: 'New',
+    existing: imp && imp.onDuplicate === 'update' ? 'Update existing' : 'Skip (email exists)',
+    'duplicate-in-file': 'Skip (repeated email)',
+    invalid: 'Skip (no name)',
+    'bad-status': 'Skip (unknown status)',
+  };
+  const previewLimit = 25;
+
+  return `
+    <div class="dashboard-header">
+      <h1>Import Clients</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      <button class="btn btn-secondary btn-small" id="back-btn" style="margin-bottom: 24px;">\u2190 Back to List</button>
+
+      <div class="form-group">
+        <label for="import-file">CSV File</label>
+        <input type="file" id="import-file" accept=".csv,text/csv">
+        ${imp ? `<p class="text-dim">${escapeHtml(imp.fileName)} \u2022 ${imp.rows.length} rows</p>` : ''}
+      </div>
+
+      ${
+        !imp
+          ? '<p class="text-dim">Choose a CSV exported from your spreadsheet. The first row must contain column headers.</p>'
+          : `
+      <div class="form-section">
+        <h3>Column Mapping</h3>
+        <div class="import-mapping">
+          ${CLIENT_IMPORT_FIELDS.map(({ field, label }) => `
+          <div class="form-group">
+            <label for="import-map-${field}">${label}</label>
+            <select id="import-map-${field}" class="import-map" data-field="${field}">
+              <option value="">\u2014 Don't import \u2014</option>
+              ${imp.headers.map((h, i) => `<option value="${i}" ${imp.mapping[field] === String(i) ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('')}
+            </select>
+          </div>
+          `).join('')}
+        </div>
+      </div>
+
+      <div class="form-section">
+        <h3>Duplicates</h3>
+        <p class="text-dim" style="margin-bottom: 12px;">Rows are matched to existing clients by email.</p>
+        <label class="import-option"><input type="radio" name="import-duplicates" value="skip" ${imp.onDuplicate === 'skip' ? 'checked' : ''}> Skip rows whose email already exists</label>
+        <label class="import-option"><input type="radio" name="import-duplicates" value="update" ${imp.onDuplicate === 'update' ? 'checked' : ''}> Update the existing client with the imported values</label>
+      </div>
+
+      <div class="form-section">
+        <h3>Preview</h3>
+        <p class="text-dim" style="margin-bottom: 12px;">
+          ${Object.keys(statusLabels).filter(k => counts[k]).map(k => `${counts[k]} ${statusLabels[k].toLowerCase()}`).join(' \u2022 ')}
+        </p>
+        <div class="table-wrapper">
+          <table class="import-preview">
+            <thead>
+              <tr>
+                <th>Result</th>
+                ${CLIENT_IMPORT_FIELDS.filter(({ field }) => imp.mapping[field] !== '').map(({ label }) => `<th>${label}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${mapped.slice(0, previewLimit).map(({ record, status }) => `
+              <tr class="import-row-${status}">
+                <td>${statusLabels[status]}</td>
+                ${CLIENT_IMPORT_FIELDS.filter(({ field }) => imp.mapping[field] !== '').map(({ field }) => `<td>${escapeHtml(record[field])}</td>`).join('')}
+              </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        ${mapped.length > previewLimit ? `<p class="text-dim" style="margin-top: 8px;">Showing the first ${previewLimit} of ${mapped.length} rows.</p>` : ''}
+      </div>
+
+      <button class="btn btn-primary" id="import-confirm-btn" ${imp.mapping.name === '' ? 'disabled' : ''}>Import Clients</button>
+      `
+      }
+    </div>
+  `;
+}
+
+const DUPLICATE_REASON_LABELS = { email: 'same email', phone: 'same phone', name: 'similar name' };
+
+function describeDuplicate(client) {
+  const contact = [client.email, client.phone, client.company].filter(Boolean).map(escapeHtml).join(' • ');
+  const reasons = client.reasons.map(reason => DUPLICATE_REASON_LABELS[reason] || reason).join(', ');
+  return `
+    <strong>${escapeHtml(client.name)}</strong> ${getStatusBadge(client.status || 'lead')}
+    <div class="text-dim">${contact || 'No contact details'} — ${reasons}</div>
+  `;
+}
+
+function renderDuplicateWarning() {
+  if (!state.newClientDuplicates) return '';
+  const fromInquiry = !!state.currentInquiryForNewClient;
+
+  return `
+      <div class="duplicate-warning" role="alert">
+        <h3>This looks like an existing client</h3>
+        <ul>
+          ${state.newClientDuplicates.duplicates
+            .map(
+              client => `
+          <li>
+            <div>${describeDuplicate(client)}</div>
+            <div class="inquiry-actions">
+              <button class="btn btn-secondary btn-small duplicate-open" data-id="${client.id}">Open</button>
+              ${fromInquiry ? `<button class="btn btn-primary btn-small duplicate-link" data-id="${client.id}">Link inquiry to this client</button>` : ''}
+            </div>
+          </li>
+          `
+            )
+            .join('')}
+        </ul>
+        <button class="btn btn-secondary btn-small" id="duplicate-create-anyway">Create a new client anyway</button>
+      </div>
+  `;
+}
+
+function renderNewClient() {
+  const inquiry = state.currentInquiryForNewClient ? findInquiryById(state.currentInquiryForNewClient) : null;
+  // After a duplicate warning the form keeps what was typed
+  const draft = state.newClientDuplicates ? state.newClientDuplicates.clientData : {};
+  const value = (field, fallback = '') => escapeHtml(draft[field] ?? fallback ?? '');
+
+  return `
+    <div class="dashboard-header">
+      <h1>New Client</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      <button class="btn btn-secondary btn-small" id="back-btn" style="margin-bottom: 24px;">\u2190 Back to List</button>
+      ${renderDuplicateWarning()}
+
+      <form id="new-client-form" class="form">
+        <div class="form-section">
+          <h3>Basic Information</h3>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="new-name">Name</label>
+              <input type="text" id="new-name" value="${value('name', inquiry?.name)}" required>
+            </div>
+            <div class="form-group">
+              <label for="new-email">Email</label>
+              <input type="email" id="new-email" value="${value('email', inquiry?.email)}">
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="new-phone">Phone</label>
+              <input type="text" id="new-phone" value="${value('phone')}">
+            </div>
+            <div class="form-group">
+              <label for="new-company">Company</label>
+              <input type="text" id="new-company" value="${value('company', inquiry?.company)}">
+            </div>
+          </div>
+        </div>
+
+        <div class="form-section">
+          <h3>Project Details</h3>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="new-status">Status</label>
+              <select id="new-status">
+                ${CLIENT_STATUSES.map(status => `<option value="${status}" ${(draft.status || 'lead') === status ? 'selected' : ''}>${getClientStatusLabel(status)}</option>`).join('')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="new-deadline">Deadline</label>
+              <input type="date" id="new-deadline" value="${value('deadline')}">
+            </div>
+          </div>
+          ${
+            isOwner()
+              ? `
+          <div class="form-row">
+            <div class="form-group">
+              <label for="new-budget">Budget</label>
+              <input type="number" id="new-budget" value="${value('budget')}" min="0" step="0.01">
+            </div>
+            <div class="form-group">
+              <label for="new-cost">Cost</label>
+              <input type="number" id="new-cost" value="${value('cost')}" min="0" step="0.01">
+            </div>
+          </div>
+          `
+              : ''
+          }
+        </div>
+
+        <div class="form-section">
+          <div class="form-group form-row full">
+            <label for="new-notes">Notes</label>
+            <textarea id="new-notes" placeholder="Add notes about this client...">${value('notes', inquiry?.message)}</textarea>
+          </div>
+        </div>
+
+        <button type="submit" class="btn btn-primary">Create Client</button>
+      </form>
+    </div>
+  `;
+}
+
+// Fields that can come from either client when merging; notes are always combined
+const MERGE_FIELDS = ['name', 'email', 'phone', 'company', 'status', 'budget', 'deadline', 'cost'];
+
+function formatMergeValue(field, value) {
+  if (value === null || value === undefined || value === '') return '<span class="text-dim">—</span>';
+  if (field === 'status') return getStatusBadge(value);
+  if (field === 'budget' || field === 'cost') return formatCurrency(value);
+  if (field === 'deadline') return formatDate(value);
+  return escapeHtml(value);
+}
+
+function renderMergeSourcePicker(target) {
+  const { suggestions } = state.merge;
+  return `
+        <div class="form-section">
+          <h3>Probable duplicates</h3>
+          ${
+            suggestions.length === 0
+              ? `<p class="text-dim">${state.loading ? 'Looking for duplicates...' : 'No clients with the same email, phone or a similar name.'}</p>`
+              : `
+          <ul class="merge-suggestions">
+            ${suggestions
+              .map(
+                client => `
+            <li>
+              <div>${describeDuplicate(client)}</div>
+              <button class="btn btn-secondary btn-small merge-pick" data-id="${client.id}">Merge this one</button>
+            </li>
+            `
+              )
+              .join('')}
+          </ul>
+          `
+          }
+        </div>
+        <div class="form-section">
+          <h3>Or find another client</h3>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="link-search">Search</label>
+              <input type="search" id="link-search" placeholder="Name, company, email or phone...">
+            </div>
+            <div class="form-group">
+              <label for="link-select">Client</label>
+              <select id="link-select">
+                ${renderLinkClientOptions(target.id)}
+              </select>
+            </div>
+          </div>
+          <button class="btn btn-secondary btn-small" id="merge-pick-selected">Merge selected client</button>
+        </div>
+  `;
+}
+
+function renderMergeFields(target, source) {
+  const fields = MERGE_FIELDS.filter(field => !FINANCIAL_CLIENT_FIELDS.includes(field) || isOwner());
+  const combinedNotes = [...new Set([target.notes, source.notes].map(n => (n || '').trim()).filter(Boolean))].join('\n\n');
+  const moving = [
+    [(source.inquiries || []).length, 'inquiry', 'inquiries'],
+    [(source.milestones || []).length, 'milestone', 'milestones'],
+    [(source.ledger || []).length, 'ledger entry', 'ledger entries'],
+    [(source.emails || []).length, 'email', 'emails'],
+    [(source.files || []).length, 'file', 'files'],
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, one, many]) => `${count} ${count === 1 ? one : many}`);
+
+  return `
+        <div class="table-wrapper">
+          <table class="merge-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Keep ${escapeHtml(target.name)}</th>
+                <th>Use ${escapeHtml(source.name)}</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${fields
+                .map(field => {
+                  const take = state.merge.take.includes(field);
+                  const same = String(target[field] ?? '') === String(source[field] ?? '');
+                  return `
+              <tr>
+                <td>${AUDIT_FIELD_LABELS[field]}</td>
+                <td><label class="import-option"><input type="radio" name="merge-${field}" value="keep" ${take ? '' : 'checked'} ${same ? 'disabled' : ''}> ${formatMergeValue(field, target[field])}</label></td>
+                <td><label class="import-option"><input type="radio" name="merge-${field}" value="take" ${take ? 'checked' : ''} ${same ? 'disabled' : ''}> ${formatMergeValue(field, source[field])}</label></td>
+              </tr>
+              `;
+                })
+                .join('')}
+              <tr>
+                <td>Notes</td>
+                <td colspan="2"><pre class="timeline-body">${escapeHtml(combinedNotes) || '<span class="text-dim">—</span>'}</pre></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+        <p class="text-dim merge-summary">
+          ${moving.length ? `${moving.join(', ')} will move to ${escapeHtml(target.name)}. ` : ''}${escapeHtml(source.name)} then goes to the trash.
+        </p>
+        <div class="detail-actions">
+          <button class="btn btn-secondary" id="merge-reset">Choose a different client</button>
+          <button class="btn btn-primary" id="merge-confirm" ${state.loading ? 'disabled' : ''}>Merge into ${escapeHtml(target.name)}</button>
+        </div>
+  `;
+}
+
+function renderMergeClients() {
+  const target = findClientById(state.merge.targetId);
+  const source = state.merge.source;
+  if (!target) {
+    return `
+      <div class="dashboard-header">
+        <h1>Merge Clients</h1>
+        <button class="logout-btn" id="logout-btn">Logout</button>
+      </div>
+      <div class="dashboard-content">
+        <p style="text-align: center; padding: 40px;">Client not found</p>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="dashboard-header">
+      <h1>Merge Clients</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      <button class="btn btn-secondary btn-small" id="back-btn" style="margin-bottom: 24px;">\u2190 Back to ${escapeHtml(target.name)}</button>
+      <p class="text-dim" style="margin-bottom: 24px;">
+        Combine a duplicate into <strong>${escapeHtml(target.name)}</strong>. Its inquiries, milestones, payments, emails and history move across.
+      </p>
+      ${source ? renderMergeFields(target, source) : renderMergeSourcePicker(target)}
+    </div>
+  `;
+}
+
+function getFilteredInquiries() {
+  const filter = state.inquiryFilter;
+  return state.inquiries.filter(i => {
+    const status = i.status || 'new';
+    if (filter === 'all') return true;
+    if (filter === 'open') return status === 'new' || status === 'contacted';
+    return status === filter;
+  });
+}
+
+function renderInquiries() {
+  const inquiries = getFilteredInquiries();
+  const selected = state.selectedInquiryIds;
+  const allSelected = inquiries.length > 0 && inquiries.every(i => selected.includes(String(i.id)));
+  const counts = state.inquiries.reduce((acc, i) => ({ ...acc, [i.status || 'new']: (acc[i.status || 'new'] || 0) + 1 }), {});
+  counts.open = (counts.new || 0) + (counts.contacted || 0);
+  counts.all = state.inquiries.length;
+
+  return `
+    <div class="dashboard-header">
+      <h1>Inquiries</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      ${renderTabs()}
+      <div class="list-header">
+        <div class="inquiry-filters">
+          ${INQUIRY_FILTERS.map(f => `
+          <button class="btn btn-small ${state.inquiryFilter === f.value ? 'btn-primary' : 'btn-secondary'} inquiry-filter" data-filter="${f.value}">
+            ${f.label} (${counts[f.value] || 0})
+          </button>
+          `).join('')}
+        </div>
+        <div class="detail-actions">
+          <button class="btn btn-secondary btn-small export-btn" data-format="csv">Export CSV</button>
+          <button class="btn btn-secondary btn-small export-btn" data-format="json">Export JSON</button>
+        </div>
+      </div>
+
+      ${
+        inquiries.length === 0
+          ? '<div class="empty-state"><p>No inquiries here</p></div>'
+          : `
+        ${
+          canEdit()
+            ? `
+        <div class="bulk-bar">
+          <label class="import-option">
+            <input type="checkbox" id="inquiry-select-all" ${allSelected ? 'checked' : ''}>
+            ${selected.length > 0 ? `${selected.length} selected` : 'Select all'}
+          </label>
+          <div class="inquiry-actions">
+            <button class="btn btn-secondary btn-small inquiry-bulk" data-status="contacted" ${selected.length ? '' : 'disabled'}>Mark Contacted</button>
+            <button class="btn btn-secondary btn-small inquiry-bulk" data-status="archived" ${selected.length ? '' : 'disabled'}>Archive</button>
+            <button class="btn btn-secondary btn-small inquiry-bulk" data-status="spam" ${selected.length ? '' : 'disabled'}>Spam</button>
+            <button class="btn btn-danger btn-small" id="inquiry-bulk-delete" ${selected.length ? '' : 'disabled'}>Delete</button>
+          </div>
+        </div>
+        `
+            : ''
+        }
+        <div>
+          ${inquiries
+            .map(
+              inquiry => `
+            <div class="inquiry-item ${inquiry.status === 'new' ? 'is-unread' : ''}">
+              <div class="inquiry-header">
+                <label class="inquiry-select">
+                  ${canEdit() ? `<input type="checkbox" class="inquiry-checkbox" data-id="${inquiry.id}" ${selected.includes(String(inquiry.id)) ? 'checked' : ''}>` : ''}
+                  <span class="inquiry-name">${escapeHtml(inquiry.name)}</span>
+                </label>
+                ${getStatusBadge(inquiry.status || 'new')}
+              </div>
+              <div class="inquiry-meta">
+                ${escapeHtml(inquiry.email)} • ${escapeHtml(inquiry.company || 'Unknown')} • ${formatDate(inquiry.created_at)}
+                ${inquiry.client_name ? ` • Client: ${escapeHtml(inquiry.client_name)}${inquiry.client_deleted_at ? ' (in trash)' : ''}` : ''}
+              </div>
+              <div class="inquiry-message">"${escapeHtml((inquiry.message || '').substring(0, 200))}${(inquiry.message || '').length > 200 ? '...' : ''}"</div>
+              ${
+                canEdit()
+                  ? `
+              <div class="inquiry-actions">
+                ${
+                  inquiry.client_id
+                    ? ''
+                    : `
+                <button class="btn btn-primary btn-small create-from-inquiry" data-id="${inquiry.id}">
+                  + Create Client
+                </button>
+                <button class="btn btn-secondary btn-small link-inquiry" data-id="${inquiry.id}">
+                  Link to Existing
+                </button>
+                `
+                }
+                <button class="btn btn-secondary btn-small reply-inquiry" data-id="${inquiry.id}">Reply</button>
+                ${
+                  inquiry.client_id
+                    ? ''
+                    : `
+                <select class="inquiry-status" data-id="${inquiry.id}" aria-label="Inquiry status">
+                  ${INQUIRY_STATUSES.map(st => `<option value="${st}" ${(inquiry.status || 'new') === st ? 'selected' : ''}>${st}</option>`).join('')}
+                </select>
+                `
+                }
+              </div>
+              `
+                  : ''
+              }
+            </div>
+          `
+            )
+            .join('')}
+        </div>
+      `
+      }
+    </div>
+    ${renderLinkInquiryModal()}
+    ${renderComposeModal()}
+  `;
+}
+
+function renderPortfolio() {
+  const items = state.portfolioItems.filter(isCuratedPortfolioItem);
+  const drafts = state.portfolioItems.filter(p => p.status === 'draft');
+
+  return `
+    <div class="dashboard-header">
+      <h1>Portfolio</h1>
+      <button class="logout-btn" id="logout-btn">Logout</button>
+    </div>
+    <div class="dashboard-content">
+      ${renderMessage()}
+      ${renderTabs()}
+
+      <form id="portfolio-add-form" class="portfolio-add">
+        <div class="form-group">
+          <label for="portfolio-url">Instagram Post URL</label>
+          <input type="url" id="portfolio-url" required placeholder="https://www.instagram.com/p/...">
+        </div>
+        <div class="form-group">
+          <label for="portfolio-caption">Caption</label>
+          <input type="text" id="portfolio-caption" placeholder="Optional caption">
+        </div>
+        <button type="submit" class="btn btn-primary">+ Add Post</button>
+      </form>
+
+      ${
+        drafts.length > 0
+          ? `
+        <div class="portfolio-drafts">
+          <h3>New from Instagram (${drafts.length})</h3>
+          ${drafts
+            .map(
+              draft => `
+            <div class="portfolio-item" data-id="${draft.id}">
+              <img class="portfolio-thumb" src="/api/instagram-image?raw=1&w=160&q=70&url=${encodeURIComponent(draft.instagram_url)}" alt="" loading="lazy">
+              <div class="portfolio-fields">
+                <a class="text-dim" href="${escapeHtml(draft.instagram_url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(draft.instagram_url)}</a>
+                <div class="inquiry-meta">Posted ${formatDate(draft.posted_at)}</div>
+                <div class="inquiry-message">${escapeHtml((draft.caption || '').substring(0, 200))}${(draft.caption || '').length > 200 ? '...' : ''}</div>
+                <div class="inquiry-actions">
+                  <button class="btn btn-success btn-small portfolio-approve" data-id="${draft.id}">Approve</button>
+                  <button class="btn btn-secondary btn-small portfolio-reject" data-id="${draft.id}">Dismiss</button>
+                </div>
+              </div>
+            </div>
+          `
+            )
+            .join('')}
+        </div>
+      `
+          : ''
+      }
+
+      ${
+        items.length === 0
+          ? '<div class="empty-state"><p>No portfolio posts yet. Add an Instagram post above.</p></div>'
+          : `
+        <div class="portfolio-list">
+          ${items
+            .map(
+              (item, idx) => `
+            <div class="portfolio-item ${item.hidden ? 'is-hidden' : ''}" data-id="${item.id}">
+              <div class="portfolio-order">
+                <button class="btn btn-secondary btn-small portfolio-move" data-id="${item.id}" data-dir="-1" ${idx === 0 ? 'disabled' : ''} aria-label="Move up">\u2191</button>
+                <button class="btn btn-secondary btn-small portfolio-move" data-id="${item.id}" data-dir="1" ${idx === items.length - 1 ? 'disabled' : ''} aria-label="Move down">\u2193</button>
+              </div>
+              <img class="portfolio-thumb" src="/api/instagram-image?raw=1&w=160&q=70&url=${encodeURIComponent(item.instagram_url)}" alt="" loading="lazy">
+              <div class="portfolio-fields">
+                <a class="text-dim" href="${escapeHtml(item.instagram_url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(item.instagram_url)}</a>
+                <div class="form-row">
+                  <div class="form-group">
+                    <label for="portfolio-caption-${item.id}">Caption</label>
+                    <input type="text" id="portfolio-caption-${item.id}" value="${escapeHtml(item.caption)}">
+                  </div>
+                  <div class="form-group">
+                    <label for="portfolio-alt-${item.id}">Alt Text</label>
+                    <input type="text" id="portfolio-alt-${item.id}" value="${escapeHtml(item.alt)}">
+                  </div>
+                </div>
+                ${renderPortfolioTagFields(item)}
+                <div class="inquiry-actions">
+                  <button class="btn btn-primary btn-small portfolio-save" data-id="${item.id}">Save</button>
+                  <button class="btn btn-secondary btn-small portfolio-toggle" data-id="${item.id}">
+                    ${item.hidden ? 'Show' : 'Hide'}
+                  </button>
+                  <button class="btn btn-danger btn-small portfolio-delete" data-id="${item.id}">Remove</button>
+                  ${item.hidden ? '<span class="text-dim">Hidden from gallery</span>' : ''}
+                </div>
+              </div>
+            </div>
+          `
+            )
+            .join('')}
+        </div>
+      `
+      }
+    </div>
+  `;
+}
+
+function renderPortfolioTagFields(item) {
+  const tags = item.tags || {};
+  const color = (tags.color || [])[0] || '';
+  const design = (tags.design || [])[0] || '';
+
+  return `
+                <div class="form-row">
+                  <div class="form-group">
+                    <label for="portfolio-style-${item.id}">Style</label>
+                    <input type="text" id="portfolio-style-${item.id}" value="${escapeHtml((tags.style || []).join(', '))}" placeholder="e.g. traditional, blackwork">
+                  </div>
+                  <div class="form-group">
+                    <label for="portfolio-placement-${item.id}">Placement</label>
+                    <input type="text" id="portfolio-placement-${item.id}" value="${escapeHtml((tags.placement || []).join(', '))}" placeholder="e.g. forearm">
+                  </div>
+                </div>
+                <div class="form-row">
+                  <div class="form-group">
+                    <label for="portfolio-color-${item.id}">Color</label>
+                    <select id="portfolio-color-${item.id}">
+                      <option value="" ${!color ? 'selected' : ''}>\u2014</option>
+                      <option value="color" ${color === 'color' ? 'selected' : ''}>Color</option>
+                      <option value="black-and-grey" ${color === 'black-and-grey' ? 'selected' : ''}>Black &amp; Grey</option>
+                    </select>
+                  </div>
+                  <div class="form-group">
+                    <label for="portfolio-design-${item.id}">Design</label>
+                    <select id="portfolio-design-${item.id}">
+                      <option value="" ${!design ? 'selected' : ''}>\u2014</option>
+                      <option value="custom" ${design === 'custom' ? 'selected' : ''}>Custom</option>
+                      <option value="flash" ${design === 'flash' ? 'selected' : ''}>Flash</option>
+                    </select>
+                  </div>
+                </div>
+  `;
+}
+
+function readPortfolioTagFields(id) {
+  return {
+    style: document.getElementById(`portfolio-style-${id}`).value,
+    placement: document.getElementById(`portfolio-placement-${id}`).value,
+    color: document.getElementById(`portfolio-color-${id}`).value,
+    design: document.getElementById(`portfolio-design-${id}`).value,
+  };
+}
+
+function renderTabs() {
+  return `
+      <div class="tabs">
+        <div class="tab ${state.activeTab === 'dashboard' ? 'active' : ''}" data-tab="dashboard">Dashboard</div>
+        <div class="tab ${state.activeTab === 'clients' ? 'active' : ''}" data-tab="clients">Clients</div>
+        <div class="tab ${state.activeTab === 'inquiries' ? 'active' : ''}" data-tab="inquiries">
+          Inquiries${state.unreadInquiries > 0 ? ` <span class="tab-badge" aria-label="${state.unreadInquiries} new">${state.unreadInquiries}</span>` : ''}
+        </div>
+        <div class="tab ${state.activeTab === 'portfolio' ? 'active' : ''}" data-tab="portfolio">Portfolio</div>
+        <div class="tab ${state.activeTab === 'schedule' ? 'active' : ''}" data-tab="schedule">Schedule</div>
+        ${isOwner() ? `<div class="tab ${state.activeTab === 'team' ? 'active' : ''}" data-tab="team">Team</div>` : ''}
+        <div class="tab ${state.activeTab === 'account' ? 'active' : ''}" data-tab="account">Account</div>
+      </div>
+  `;
+}
+
+function renderLinkClientOptions(excludeId = null) {
+  const options = state.linkClientOptions.filter(c => c.id != excludeId);
+  return `
+    <option value="">${options.length ? 'Choose a client...' : 'No matching clients'}</option>
+    ${options.map(c => `<option value="${c.id}">${escapeHtml(c.name)}${c.company ? ` (${escapeHtml(c.company)})` : ''}</option>`).join('')}
+  `;
+}
+
+function renderLinkInquiryModal() {
+  if (!state.currentInquiryForClient) return '';
+
+  return `
+    <div class="modal" id="link-modal">
+      <div class="modal-content">
+        <h2>Link to Existing Client</h2>
+        <div class="form-group">
+          <label for="link-search">Find Client</label>
+          <input type="search" id="link-search" placeholder="Name, company, email or phone...">
+        </div>
+        <div class="form-group">
+          <label for="link-select">Select Client</label>
+          <select id="link-select">
+            ${renderLinkClientOptions()}
+          </select>
+        </div>
+        <div class="modal-actions">
+          <button class="btn btn-secondary" id="link-cancel-btn">Cancel</button>
+          <button class="btn btn-primary" id="link-confirm-btn">Link</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function renderMessage() {
+  if (!state.message) return '';
+  return `<div class="message message-${state.messageType}">${state.message}</div>`;
+}
+
+// ============================================================================
+// EVENT LISTENERS
+// ============================================================================
+
+function attachLoginListeners() {
+  const passkeyBtn = document.getElementById('passkey-login-btn');
+  if (passkeyBtn) {
+    passkeyBtn.addEventListener('click', signInWithPasskey);
+  }
+
+  const form = document.getElementById('login-form');
+  if (form) {
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      const email = document.getElementById('login-email').value.trim();
+      if (!email) return;
+
+      state.loginEmail = email;
+      state.otpSending = true;
+      render();
+
+      try {
+        const response = await fetch('/api/admin/otp/send', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email }),
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok && data.sent) {
+          state.otpSending = false;
+          state.view = 'verifyOtp';
+          render();
+        } else {
+          state.otpSending = false;
+          showMessage(data.error || 'Failed to send code. Try again.', 'error');
+        }
+      } catch (error) {
+        state.otpSending = false;
+        showMessage('Network error. Check your connection.', 'error');
+      }
+    });
+  }
+}
+
+function attachVerifyOtpListeners() {
+  const form = document.getElementById('verify-form');
+  if (form) {
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      const code = document.getElementById('otp-code').value.trim();
+      if (!code) return;
+
+      state.otpVerifying = true;
+      render();
+
+      try {
+        const response = await fetch('/api/admin/otp/verify', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email: state.loginEmail, code }),
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok && data.token) {
+          state.otpVerifying = false;
+          await completeSignIn(data);
+          if (!data.has_passkey && supportsPasskeys()) {
+            showMessage('Signed in. Add a passkey in the Account tab to skip the email code next time.', 'success');
+          }
+          render();
+        } else if (data.locked) {
+          state.otpVerifying = false;
+          lockOtp(data.retry_after);
+        } else {
+          state.otpVerifying = false;
+          showMessage(data.error || 'Invalid code. Try again.', 'error');
+        }
+      } catch (error) {
+        state.otpVerifying = false;
+        showMessage('Network error. Check your connection.', 'error');
+      }
+    });
+  }
+
+  // Back to email
+  const backBtn = document.getElementById('back-to-email');
+  if (backBtn) {
+    backBtn.addEventListener('click', () => {
+      state.view = 'login';
+      state.otpLockedUntil = null; // the server re-checks for the next address
+      render();
+    });
+  }
+
+  // Resend code
+  const resendBtn = document.getElementById('resend-code');
+  if (resendBtn) {
+    resendBtn.addEventListener('click', async () => {
+      try {
+        const response = await fetch('/api/admin/otp/send', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email: state.loginEmail }),
+        });
+
+        if (response.ok) {
+          showMessage('New code sent. Check your email.', 'success');
+        } else {
+          const data = await response.json().catch(() => ({}));
+          if (data.locked) {
+            lockOtp(data.retry_after);
+          } else {
+            showMessage(data.error || 'Failed to resend. Try again.', 'error');
+          }
+        }
+      } catch (error) {
+        showMessage('Network error. Check your connection.', 'error');
+      }
+    });
+  }
+}
+
+// Reload the first page and re-render, keeping the search box focused if the user is typing in it
+async function refreshClientList() {
+  await loadClients();
+  if (state.view !== 'clientList') return;
+
+  const input = document.getElementById('search-input');
+  const typing = input && document.activeElement === input;
+  const caret = typing ? input.selectionStart : null;
+  render();
+  if (typing) {
+    const restored = document.getElementById('search-input');
+    restored.focus();
+    restored.setSelectionRange(caret, caret);
+  }
+}
+
+const CLIENT_SEARCH_DELAY_MS = 300;
+let clientSearchTimer = null;
+
+function attachClientListListeners() {
+  // Search (debounced; the server matches name, company, email, phone and notes)
+  const searchInput = document.getElementById('search-input');
+  if (searchInput) {
+    searchInput.addEventListener('input', e => {
+      state.searchQuery = e.target.value;
+      clearTimeout(clientSearchTimer);
+      clientSearchTimer = setTimeout(refreshClientList, CLIENT_SEARCH_DELAY_MS);
+    });
+  }
+
+  const statusFilter = document.getElementById('client-status-filter');
+  if (statusFilter) {
+    statusFilter.addEventListener('change', () => {
+      state.clientStatusFilter = statusFilter.value;
+      refreshClientList();
+    });
+  }
+
+  // Sortable headers: ascending, then descending, then back to most recently updated
+  document.querySelectorAll('.sort-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const field = btn.dataset.sort;
+      const { field: current, dir } = state.clientSort;
+      if (current !== field) {
+        state.clientSort = { field, dir: 'asc' };
+      } else if (dir === 'asc') {
+        state.clientSort = { field, dir: 'desc' };
+      } else {
+        state.clientSort = { field: 'updated_at', dir: 'desc' };
+      }
+      refreshClientList();
+    });
+  });
+
+  const loadMoreBtn = document.getElementById('load-more-clients');
+  if (loadMoreBtn) {
+    loadMoreBtn.addEventListener('click', () => {
+      loadMoreBtn.disabled = true;
+      loadClients({ append: true }).then(render);
+    });
+  }
+
+  // Export / import
+  document.querySelectorAll('.export-btn').forEach(btn => {
+    btn.addEventListener('click', () => exportClients(btn.dataset.format));
+  });
+
+  const trashBtn = document.getElementById('trash-btn');
+  if (trashBtn) {
+    trashBtn.addEventListener('click', () => {
+      state.view = 'trash';
+      loadTrash().then(render);
+      render();
+    });
+  }
+
+  const importBtn = document.getElementById('import-clients-btn');
+  if (importBtn) {
+    importBtn.addEventListener('click', () => {
+      state.view = 'importClients';
+      state.clientImport = null;
+      render();
+    });
+  }
+
+  // New client
+  const newClientBtn = document.getElementById('new-client-btn');
+  if (newClientBtn) {
+    newClientBtn.addEventListener('click', () => {
+      state.newClientDuplicates = null;
+      state.view = 'newClient';
+      state.currentInquiryForNewClient = null;
+      render();
+    });
+  }
+
+  // Row clicks
+  const rows = document.querySelectorAll('.client-row');
+  rows.forEach(row => {
+    row.addEventListener('click', () => {
+      const id = row.dataset.id;
+      state.currentClientId = id;
+      state.view = 'clientDetail';
+      loadClientDetail(id).then(render);
+      render();
+    });
+  });
+
+  // Table / board layout
+  document.querySelectorAll('.layout-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (state.clientLayout === btn.dataset.layout) return;
+      state.clientLayout = btn.dataset.layout;
+      state.clientStatusFilter = 'all';
+      state.boardGrab = null;
+      loadClients().then(render);
+      render();
+    });
+  });
+
+  attachBoardListeners();
+
+  // Tabs
+  attachTabListeners();
+
+  // Logout
+  attachLogoutListener();
+}
+
+function openClientDetail(id) {
+  state.boardGrab = null;
+  state.currentClientId = id;
+  state.view = 'clientDetail';
+  loadClientDetail(id).then(render);
+  render();
+}
+
+// Drag and drop with the mouse, or Space / arrows / Space with the keyboard (see #board-help)
+function attachBoardListeners() {
+  document.querySelectorAll('.board-card').forEach(card => {
+    card.addEventListener('click', () => openClientDetail(card.dataset.id));
+
+    card.addEventListener('dragstart', e => {
+      e.dataTransfer.setData('text/plain', card.dataset.id);
+      e.dataTransfer.effectAllowed = 'move';
+      card.classList.add('is-dragging');
+    });
+    card.addEventListener('dragend', () => card.classList.remove('is-dragging'));
+
+    card.addEventListener('keydown', e => handleBoardCardKey(e, card));
+  });
+
+  document.querySelectorAll('.board-column').forEach(column => {
+    column.addEventListener('dragover', e => {
+      if (!canEdit()) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      column.classList.add('is-drop-target');
+    });
+    column.addEventListener('dragleave', e => {
+      if (!column.contains(e.relatedTarget)) column.classList.remove('is-drop-target');
+    });
+    column.addEventListener('drop', e => {
+      e.preventDefault();
+      column.classList.remove('is-drop-target');
+      const id = e.dataTransfer.getData('text/plain');
+      if (id) moveClientToStatus(id, column.dataset.status);
+    });
+  });
+
+  document.querySelectorAll('.board-more').forEach(btn => {
+    btn.addEventListener('click', () => {
+      btn.disabled = true;
+      loadMoreBoardColumn(btn.dataset.status).then(render);
+    });
+  });
+}
+
+function focusBoardCard(card) {
+  if (card) card.focus();
+}
+
+function handleBoardCardKey(e, card) {
+  const id = card.dataset.id;
+  const grab = state.boardGrab;
+  const status = card.closest('.board-column').dataset.status;
+  const columnIndex = CLIENT_STATUSES.indexOf(status);
+
+  if (grab) {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      const next = CLIENT_STATUSES[columnIndex + (e.key === 'ArrowLeft' ? -1 : 1)];
+      if (!next) return;
+      state.boardGrab = { ...grab, status: next };
+      render();
+      announce(`Over ${getClientStatusLabel(next)}`);
+    } else if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      state.boardGrab = null;
+      if (grab.status === (findBoardClient(id).status || 'lead')) {
+        render();
+        announce('Dropped in the same column, nothing changed');
+      } else {
+        moveClientToStatus(id, grab.status);
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      state.boardGrab = null;
+      render();
+      announce('Move cancelled');
+    }
+    return;
+  }
+
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    openClientDetail(id);
+  } else if (e.key === ' ' && canEdit()) {
+    e.preventDefault();
+    state.boardGrab = { id, status };
+    render();
+    announce(`Picked up ${findBoardClient(id).name}. Left and right arrows choose a column, Space drops, Escape cancels.`);
+  } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+    e.preventDefault();
+    focusBoardCard(e.key === 'ArrowUp' ? card.previousElementSibling : card.nextElementSibling);
+  } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+    // Same position in the neighbouring column, or its last card if that column is shorter
+    e.preventDefault();
+    const position = Array.from(card.parentElement.children).indexOf(card);
+    const next = CLIENT_STATUSES[columnIndex + (e.key === 'ArrowLeft' ? -1 : 1)];
+    const nextCards = next ? document.querySelectorAll(`.board-column[data-status="${next}"] .board-card`) : [];
+    focusBoardCard(nextCards[Math.min(position, nextCards.length - 1)]);
+  }
+}
+
+function attachClientDetailListeners() {
+  // Back button
+  const backBtn = document.getElementById('back-btn');
+  if (backBtn) {
+    backBtn.addEventListener('click', () => {
+      state.view = 'clientList';
+      state.currentClientId = null;
+      loadClients().then(render);
+      render();
+    });
+  }
+
+  // Email
+  const emailBtn = document.getElementById('email-client-btn');
+  if (emailBtn) {
+    emailBtn.addEventListener('click', () => openCompose({ clientId: state.currentClientId }));
+  }
+  attachComposeListeners();
+
+  // Calendar download
+  const icsBtn = document.getElementById('ics-btn');
+  if (icsBtn) {
+    icsBtn.addEventListener('click', () => downloadClientCalendar(state.currentClientId));
+  }
+
+  // Delete button
+  const mergeBtn = document.getElementById('merge-btn');
+  if (mergeBtn) {
+    mergeBtn.addEventListener('click', () => {
+      startMerge(state.currentClientId).then(render);
+      render();
+    });
+  }
+
+  const deleteBtn = document.getElementById('delete-btn');
+  if (deleteBtn) {
+    deleteBtn.addEventListener('click', () => {
+      if (confirm(`Move this client to the trash? You can restore it from Trash for ${state.trashRetentionDays} days.`)) {
+        deleteClient(state.currentClientId);
+        render();
+      }
+    });
+  }
+
+  // Form submit
+  const form = document.getElementById('detail-form');
+  if (form) {
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      const clientData = {
+        id: state.currentClientId,
+        name: document.getElementById('detail-name').value,
+        email: document.getElementById('detail-email').value,
+        phone: document.getElementById('detail-phone').value,
+        company: document.getElementById('detail-company').value,
+        status: document.getElementById('detail-status').value,
+        deadline: document.getElementById('detail-deadline').value || null,
+        notes: document.getElementById('detail-notes').value,
+      };
+      if (isOwner()) {
+        clientData.budget = parseFloat(document.getElementById('detail-budget').value) || null;
+        clientData.cost = parseFloat(document.getElementById('detail-cost').value) || null;
+      }
+      await saveClient(clientData);
+      render();
+    });
+  }
+
+  // Milestones
+  const milestoneForm = document.getElementById('milestone-add-form');
+  if (milestoneForm) {
+    milestoneForm.addEventListener('submit', async e => {
+      e.preventDefault();
+      await addMilestone({
+        client_id: state.currentClientId,
+        ...readMilestoneFields('milestone-new'),
+      });
+      render();
+    });
+  }
+
+  document.querySelectorAll('.milestone-save').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const id = btn.dataset.id;
+      await saveMilestone({ id, ...readMilestoneFields(`milestone-${id}`) });
+      render();
+    });
+  });
+
+  document.querySelectorAll('.milestone-delete').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (confirm('Remove this milestone?')) {
+        await deleteMilestone(btn.dataset.id);
+        render();
+      }
+    });
+  });
+
+  // Ledger: only show the fields that apply to the selected entry type
+  const ledgerType = document.getElementById('ledger-type');
+  if (ledgerType) {
+    const syncLedgerFields = () => {
+      document.querySelectorAll('.ledger-field').forEach(field => {
+        field.hidden = !field.dataset.types.split(',').includes(ledgerType.value);
+      });
+    };
+    ledgerType.addEventListener('change', syncLedgerFields);
+    syncLedgerFields();
+  }
+
+  const ledgerForm = document.getElementById('ledger-add-form');
+  if (ledgerForm) {
+    ledgerForm.addEventListener('submit', async e => {
+      e.preventDefault();
+      const entryType = ledgerType.value;
+      const isInvoice = entryType === 'invoice';
+      await addLedgerEntry({
+        client_id: state.currentClientId,
+        entry_type: entryType,
+        amount: parseFloat(document.getElementById('ledger-amount').value),
+        entry_date: document.getElementById('ledger-date').value || null,
+        due_date: isInvoice ? document.getElementById('ledger-due').value || null : null,
+        method: isInvoice ? null : document.getElementById('ledger-method').value || null,
+        reference: document.getElementById('ledger-reference').value.trim(),
+        milestone_id: isInvoice ? document.getElementById('ledger-milestone').value || null : null,
+        invoice_id: isInvoice ? null : document.getElementById('ledger-invoice').value || null,
+        notes: document.getElementById('ledger-notes').value.trim(),
+      });
+      render();
+    });
+  }
+
+  document.querySelectorAll('.ledger-delete').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (confirm('Remove this ledger entry?')) {
+        await deleteLedgerEntry(btn.dataset.id);
+        render();
+      }
+    });
+  });
+
+  // Project brief
+  const briefSendBtn = document.getElementById('brief-send-btn');
+  if (briefSendBtn) {
+    briefSendBtn.addEventListener('click', async () => {
+      await sendBrief(state.currentClientId);
+      render();
+    });
+  }
+
+  const briefCopyBtn = document.getElementById('brief-copy-btn');
+  if (briefCopyBtn) {
+    briefCopyBtn.addEventListener('click', () => {
+      const input = document.getElementById('brief-url');
+      input.select();
+      navigator.clipboard.writeText(input.value).then(
+        () => showMessage('Brief link copied', 'success'),
+        () => showMessage('Copy failed. Select the link and copy it manually.', 'error')
+      );
+    });
+  }
+
+  const briefNewLinkBtn = document.getElementById('brief-new-link-btn');
+  if (briefNewLinkBtn) {
+    briefNewLinkBtn.addEventListener('click', async () => {
+      if (confirm('Create a new brief link? The current link will stop working; answers so far are kept.')) {
+        await newBriefLink(state.currentClientId);
+        render();
+      }
+    });
+  }
+
+  const briefReopenBtn = document.getElementById('brief-reopen-btn');
+  if (briefReopenBtn) {
+    briefReopenBtn.addEventListener('click', async () => {
+      await reopenBrief(state.currentClientId);
+      render();
+    });
+  }
+
+  // Files
+  const fileForm = document.getElementById('file-upload-form');
+  if (fileForm) {
+    fileForm.addEventListener('submit', async e => {
+      e.preventDefault();
+      const file = document.getElementById('file-input').files[0];
+      if (!file) return;
+      const upload = uploadClientFile(state.currentClientId, file, document.getElementById('file-tag').value);
+      render();
+      await upload;
+      render();
+    });
+  }
+
+  document.querySelectorAll('.file-tag-select').forEach(select => {
+    select.addEventListener('change', async () => {
+      await updateClientFileTag(select.dataset.id, select.value);
+      render();
+    });
+  });
+
+  document.querySelectorAll('.file-download').forEach(btn => {
+    btn.addEventListener('click', () => downloadClientFile(btn.dataset.id));
+  });
+
+  document.querySelectorAll('.file-delete').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (confirm('Delete this file? This can\'t be undone.')) {
+        await deleteClientFile(btn.dataset.id);
+        render();
+      }
+    });
+  });
+
+  // Tabs
+  attachTabListeners();
+
+  // Logout
+  attachLogoutListener();
+}
+
+function attachNewClientListeners() {
+  // Back button
+  const backBtn = document.getElementById('back-btn');
+  if (backBtn) {
+    backBtn.addEventListener('click', () => {
+      state.view = 'clientList';
+      state.currentInquiryForNewClient = null;
+      state.newClientDuplicates = null;
+      render();
+    });
+  }
+
+  // Probable duplicates: open one, link the inquiry to it, or create the client regardless
+  document.querySelectorAll('.duplicate-open').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.newClientDuplicates = null;
+      state.currentInquiryForNewClient = null;
+      state.activeTab = 'clients';
+      openClientDetail(btn.dataset.id);
+    });
+  });
+
+  document.querySelectorAll('.duplicate-link').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const inquiryId = state.currentInquiryForNewClient;
+      state.newClientDuplicates = null;
+      state.currentInquiryForNewClient = null;
+      state.activeTab = 'clients';
+      await linkInquiryToClient(inquiryId, btn.dataset.id);
+      openClientDetail(btn.dataset.id);
+    });
+  });
+
+  const createAnywayBtn = document.getElementById('duplicate-create-anyway');
+  if (createAnywayBtn) {
+    createAnywayBtn.addEventListener('click', async () => {
+      await createClientFromForm({ ...state.newClientDuplicates.clientData, allow_duplicate: true });
+      render();
+    });
+  }
+
+  // Form submit
+  const form = document.getElementById('new-client-form');
+  if (form) {
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      const clientData = {
+        name: document.getElementById('new-name').value,
+        email: document.getElementById('new-email').value,
+        phone: document.getElementById('new-phone').value,
+        company: document.getElementById('new-company').value,
+        status: document.getElementById('new-status').value,
+        deadline: document.getElementById('new-deadline').value || null,
+        notes: document.getElementById('new-notes').value,
+      };
+      if (isOwner()) {
+        clientData.budget = parseFloat(document.getElementById('new-budget').value) || null;
+        clientData.cost = parseFloat(document.getElementById('new-cost').value) || null;
+      }
+      await createClientFromForm(clientData);
+      render();
+    });
+  }
+
+  // Logout
+  attachLogoutListener();
+}
+
+async function createClientFromForm(clientData) {
+  const inquiryId = state.currentInquiryForNewClient;
+  const client = await saveClient(clientData);
+  if (client && client.id && inquiryId) {
+    state.currentInquiryForNewClient = null;
+    await linkInquiryToClient(inquiryId, client.id);
+  }
+}
+
+function attachMergeClientsListeners() {
+  const backBtn = document.getElementById('back-btn');
+  if (backBtn) {
+    backBtn.addEventListener('click', () => {
+      state.merge = null;
+      state.view = 'clientDetail';
+      render();
+    });
+  }
+
+  document.querySelectorAll('.merge-pick').forEach(btn => {
+    btn.addEventListener('click', () => chooseMergeSource(btn.dataset.id).then(render));
+  });
+
+  // Searching refreshes only the options, so the search box keeps focus
+  const searchInput = document.getElementById('link-search');
+  const select = document.getElementById('link-select');
+  let searchTimer = null;
+  if (searchInput && select) {
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(async () => {
+        await loadLinkClientOptions(searchInput.value);
+        select.innerHTML = renderLinkClientOptions(state.merge.targetId);
+      }, CLIENT_SEARCH_DELAY_MS);
+    });
+  }
+
+  const pickSelectedBtn = document.getElementById('merge-pick-selected');
+  if (pickSelectedBtn) {
+    pickSelectedBtn.addEventListener('click', () => {
+      if (!select.value) {
+        showMessage('Please select a client', 'error');
+        return;
+      }
+      chooseMergeSource(select.value).then(render);
+    });
+  }
+
+  document.querySelectorAll('.merge-table input[type="radio"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+      const field = radio.name.replace('merge-', '');
+      state.merge.take = state.merge.take.filter(f => f !== field);
+      if (radio.value === 'take') state.merge.take.push(field);
+    });
+  });
+
+  const resetBtn = document.getElementById('merge-reset');
+  if (resetBtn) {
+    resetBtn.addEventListener('click', () => {
+      state.merge.source = null;
+      state.merge.take = [];
+      render();
+    });
+  }
+
+  const confirmBtn = document.getElementById('merge-confirm');
+  if (confirmBtn) {
+    confirmBtn.addEventListener('click', async () => {
+      const { source } = state.merge;
+      if (!confirm(`Merge ${source.name} into this client? ${source.name} will be moved to the trash.`)) return;
+      await mergeClients();
+      render();
+    });
+  }
+
+  // Logout
+  attachLogoutListener();
+}
+
+function attachTrashListeners() {
+  const backBtn = document.getElementById('back-btn');
+  if (backBtn) {
+    backBtn.addEventListener('click', () => {
+      state.view = 'clientList';
+      render();
+    });
+  }
+
+  document.querySelectorAll('.restore-client').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await restoreClient(btn.dataset.id);
+      render();
+    });
+  });
+
+  document.querySelectorAll('.purge-client').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (confirm('Permanently delete this client and its milestones, ledger and files? This cannot be undone.')) {
+        await purgeClient(btn.dataset.id);
+        render();
+      }
+    });
+  });
+
+  // Logout
+  attachLogoutListener();
+}
+
+function attachImportClientsListeners() {
+  const backBtn = document.getElementById('back-btn');
+  if (backBtn) {
+    backBtn.addEventListener('click', () => {
+      state.view = 'clientList';
+      state.clientImport = null;
+      render();
+    });
+  }
+
+  const fileInput = document.getElementById('import-file');
+  if (fileInput) {
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      await readClientImportFile(file);
+      render();
+    });
+  }
+
+  document.querySelectorAll('.import-map').forEach(select => {
+    select.addEventListener('change', () => {
+      state.clientImport.mapping[select.dataset.field] = select.value;
+      render();
+    });
+  });
+
+  document.querySelectorAll('input[name="import-duplicates"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+      state.clientImport.onDuplicate = radio.value;
+      render();
+    });
+  });
+
+  const confirmBtn = document.getElementById('import-confirm-btn');
+  if (confirmBtn) {
+    confirmBtn.addEventListener('click', async () => {
+      await importClients();
+      render();
+    });
+  }
+
+  // Logout
+  attachLogoutListener();
+}
+
+function attachInquiriesListeners() {
+  // Export
+  document.querySelectorAll('.export-btn').forEach(btn => {
+    btn.addEventListener('click', () => exportInquiries(btn.dataset.format));
+  });
+
+  // Status filter
+  document.querySelectorAll('.inquiry-filter').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.inquiryFilter = btn.dataset.filter;
+      state.selectedInquiryIds = [];
+      render();
+    });
+  });
+
+  // Selection
+  const selectAll = document.getElementById('inquiry-select-all');
+  if (selectAll) {
+    selectAll.addEventListener('change', () => {
+      state.selectedInquiryIds = selectAll.checked ? getFilteredInquiries().map(i => String(i.id)) : [];
+      render();
+    });
+  }
+
+  document.querySelectorAll('.inquiry-checkbox').forEach(box => {
+    box.addEventListener('change', () => {
+      const id = box.dataset.id;
+      state.selectedInquiryIds = box.checked
+        ? [...state.selectedInquiryIds, id]
+        : state.selectedInquiryIds.filter(s => s !== id);
+      render();
+    });
+  });
+
+  // Bulk actions
+  document.querySelectorAll('.inquiry-bulk').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await setInquiryStatus(state.selectedInquiryIds, btn.dataset.status);
+      render();
+    });
+  });
+
+  const bulkDelete = document.getElementById('inquiry-bulk-delete');
+  if (bulkDelete) {
+    bulkDelete.addEventListener('click', async () => {
+      const count = state.selectedInquiryIds.length;
+      if (confirm(`Permanently delete ${count} ${count === 1 ? 'inquiry' : 'inquiries'}? This cannot be undone.`)) {
+        await deleteInquiries(state.selectedInquiryIds);
+        render();
+      }
+    });
+  }
+
+  // Reply
+  document.querySelectorAll('.reply-inquiry').forEach(btn => {
+    btn.addEventListener('click', () => openCompose({ inquiryId: btn.dataset.id }));
+  });
+  attachComposeListeners();
+
+  // Single status change
+  document.querySelectorAll('.inquiry-status').forEach(select => {
+    select.addEventListener('change', async () => {
+      await setInquiryStatus([select.dataset.id], select.value);
+      render();
+    });
+  });
+
+  // Create from inquiry
+  const createBtns = document.querySelectorAll('.create-from-inquiry');
+  createBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      const inquiryId = btn.dataset.id;
+      state.currentInquiryForNewClient = inquiryId;
+      state.newClientDuplicates = null;
+      state.view = 'newClient';
+      render();
+    });
+  });
+
+  // Link inquiry
+  const linkBtns = document.querySelectorAll('.link-inquiry');
+  linkBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      const inquiryId = btn.dataset.id;
+      state.currentInquiryForClient = inquiryId;
+      state.linkClientOptions = [];
+      loadLinkClientOptions('').then(() => {
+        render();
+        attachLinkModalListeners();
+      });
+    });
+  });
+
+  // Tabs
+  attachTabListeners();
+
+  // Logout
+  attachLogoutListener();
 }
 
-// ============================================================================
-// EVENT LISTENERS
-// ============================================================================
-
-function attachLoginListeners() {
-  const form = document.getElementById('login-form');
-  if (form) {
-    form.addEventListener('submit', async e => {
+function attachPortfolioListeners() {
+  // Add post
+  const addForm = document.getElementById('portfolio-add-form');
+  if (addForm) {
+    addForm.addEventListener('submit', async e => {
       e.preventDefault();
-      const email = document.getElementById('login-email').value.trim();
-      if (!email) return;
-
-      state.loginEmail = email;
-      state.otpSending = true;
+      const instagramUrl = document.getElementById('portfolio-url').value.trim();
+      if (!instagramUrl) return;
+      await addPortfolioItem({
+        instagram_url: instagramUrl,
+        caption: document.getElementById('portfolio-caption').value.trim(),
+      });
       render();
+    });
+  }
 
-      try {
-        const response = await fetch('/api/admin/otp/send', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email }),
-        });
+  // Approve / dismiss synced drafts (dismissed posts are kept so the sync won't re-stage them)
+  document.querySelectorAll('.portfolio-approve').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await savePortfolioItem({ id: btn.dataset.id, status: 'published' });
+      render();
+    });
+  });
 
-        const data = await response.json().catch(() => ({}));
+  document.querySelectorAll('.portfolio-reject').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await savePortfolioItem({ id: btn.dataset.id, status: 'rejected' });
+      render();
+    });
+  });
 
-        if (response.ok && data.sent) {
-          state.otpSending = false;
-          state.view = 'verifyOtp';
-          render();
-        } else {
-          state.otpSending = false;
-          showMessage(data.error || 'Failed to send code. Try again.', 'error');
-        }
-      } catch (error) {
-        state.otpSending = false;
-        showMessage('Network error. Check your connection.', 'error');
-      }
+  // Reorder
+  document.querySelectorAll('.portfolio-move').forEach(btn => {
+    btn.addEventListener('click', () => {
+      movePortfolioItem(btn.dataset.id, parseInt(btn.dataset.dir));
     });
-  }
-}
+  });
 
-function attachVerifyOtpListeners() {
-  const form = document.getElementById('verify-form');
-  if (form) {
-    form.addEventListener('submit', async e => {
-      e.preventDefault();
-      const code = document.getElementById('otp-code').value.trim();
-      if (!code) return;
+  // Save caption / alt / tags
+  document.querySelectorAll('.portfolio-save').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const id = btn.dataset.id;
+      await savePortfolioItem({
+        id,
+        caption: document.getElementById(`portfolio-caption-${id}`).value,
+        alt: document.getElementById(`portfolio-alt-${id}`).value,
+        tags: readPortfolioTagFields(id),
+      });
+      render();
+    });
+  });
 
-      state.otpVerifying = true;
+  // Show / hide
+  document.querySelectorAll('.portfolio-toggle').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const item = state.portfolioItems.find(p => p.id == btn.dataset.id);
+      if (!item) return;
+      await savePortfolioItem({ id: item.id, hidden: !item.hidden });
       render();
+    });
+  });
 
-      try {
-        const response = await fetch('/api/admin/otp/verify', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email: state.loginEmail, code }),
-        });
+  // Remove
+  document.querySelectorAll('.portfolio-delete').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (confirm('Remove this post from the portfolio?')) {
+        await deletePortfolioItem(btn.dataset.id);
+        render();
+      }
+    });
+  });
 
-        const data = await response.json().catch(() => ({}));
+  // Tabs
+  attachTabListeners();
 
-        if (response.ok && data.token) {
-          sessionStorage.setItem('admin_token', data.token);
-          state.otpVerifying = false;
-          state.view = 'clientList';
-          state.loginEmail = '';
-          await loadClients();
-          render();
-        } else {
-          state.otpVerifying = false;
-          showMessage(data.error || 'Invalid code. Try again.', 'error');
-        }
-      } catch (error) {
-        state.otpVerifying = false;
-        showMessage('Network error. Check your connection.', 'error');
-      }
+  // Logout
+  attachLogoutListener();
+}
+
+function attachDashboardListeners() {
+  const preset = document.getElementById('dashboard-preset');
+  if (preset) {
+    preset.addEventListener('change', () => {
+      state.dashboardRange =
+        preset.value === 'custom'
+          ? { ...state.dashboardRange, preset: 'custom' }
+          : { preset: preset.value, ...getPresetRange(preset.value) };
+      loadDashboard().then(render);
     });
   }
 
-  // Back to email
-  const backBtn = document.getElementById('back-to-email');
-  if (backBtn) {
-    backBtn.addEventListener('click', () => {
-      state.view = 'login';
+  // Editing either date switches to a custom range
+  ['from', 'to'].forEach(field => {
+    const input = document.getElementById(`dashboard-${field}`);
+    if (!input) return;
+    input.addEventListener('change', () => {
+      if (!input.value) return;
+      state.dashboardRange = { ...state.dashboardRange, preset: 'custom', [field]: input.value };
+      loadDashboard().then(render);
+    });
+  });
+
+  document.querySelectorAll('.deadline-row').forEach(row => {
+    row.addEventListener('click', () => {
+      const id = row.dataset.clientId;
+      state.activeTab = 'clients';
+      state.currentClientId = id;
+      state.view = 'clientDetail';
+      loadClientDetail(id).then(render);
       render();
     });
-  }
+  });
 
-  // Resend code
-  const resendBtn = document.getElementById('resend-code');
-  if (resendBtn) {
-    resendBtn.addEventListener('click', async () => {
-      try {
-        const response = await fetch('/api/admin/otp/send', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email: state.loginEmail }),
-        });
+  // Tabs
+  attachTabListeners();
 
-        if (response.ok) {
-          showMessage('New code sent. Check your email.', 'success');
-        } else {
-          const data = await response.json().catch(() => ({}));
-          showMessage(data.error || 'Failed to resend. Try again.', 'error');
-        }
-      } catch (error) {
-        showMessage('Network error. Check your connection.', 'error');
-      }
+  // Logout
+  attachLogoutListener();
+}
+
+function attachScheduleListeners() {
+  // Calendar feed link
+  const copyBtn = document.getElementById('calendar-feed-copy');
+  if (copyBtn) {
+    copyBtn.addEventListener('click', () => {
+      const input = document.getElementById('calendar-feed-url');
+      input.select();
+      navigator.clipboard.writeText(input.value).then(
+        () => showMessage('Feed link copied', 'success'),
+        () => showMessage('Copy failed. Select the link and copy it manually.', 'error')
+      );
     });
   }
-}
 
-function attachClientListListeners() {
-  // Search
-  const searchInput = document.getElementById('search-input');
-  if (searchInput) {
-    searchInput.addEventListener('input', e => {
-      state.searchQuery = e.target.value;
+  const rotateBtn = document.getElementById('calendar-feed-rotate');
+  if (rotateBtn) {
+    rotateBtn.addEventListener('click', async () => {
+      const hasFeed = state.calendarFeeds.some(f => !f.client_id);
+      if (hasFeed && !confirm('Create a new link? The current link will stop working.')) return;
+      await createCalendarFeed();
       render();
     });
   }
 
-  // New client
-  const newClientBtn = document.getElementById('new-client-btn');
-  if (newClientBtn) {
-    newClientBtn.addEventListener('click', () => {
-      state.view = 'newClient';
-      state.currentInquiryForNewClient = null;
-      render();
+  const revokeBtn = document.getElementById('calendar-feed-revoke');
+  if (revokeBtn) {
+    revokeBtn.addEventListener('click', async () => {
+      if (confirm('Revoke this link? Subscribed calendars will stop updating.')) {
+        await revokeCalendarFeed(revokeBtn.dataset.id);
+        render();
+      }
     });
   }
 
-  // Row clicks
-  const rows = document.querySelectorAll('.client-row');
-  rows.forEach(row => {
+  // Row clicks open the client
+  document.querySelectorAll('.milestone-row').forEach(row => {
     row.addEventListener('click', () => {
-      const id = row.dataset.id;
+      const id = row.dataset.clientId;
+      state.activeTab = 'clients';
       state.currentClientId = id;
       state.view = 'clientDetail';
-      loadClientDetail(id);
+      loadClientDetail(id).then(render);
       render();
     });
   });
@@ -813,49 +4740,40 @@ function attachClientListListeners() {
   attachLogoutListener();
 }
 
-function attachClientDetailListeners() {
-  // Back button
-  const backBtn = document.getElementById('back-btn');
-  if (backBtn) {
-    backBtn.addEventListener('click', () => {
-      state.view = 'clientList';
-      state.currentClientId = null;
+function attachTeamListeners() {
+  const form = document.getElementById('invite-form');
+  if (form) {
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      const email = document.getElementById('invite-email').value.trim();
+      const role = document.getElementById('invite-role').value;
+      await inviteAdminUser(email, role);
       render();
     });
   }
 
-  // Delete button
-  const deleteBtn = document.getElementById('delete-btn');
-  if (deleteBtn) {
-    deleteBtn.addEventListener('click', () => {
-      if (confirm('Are you sure you want to delete this client? This action cannot be undone.')) {
-        deleteClient(state.currentClientId);
+  document.querySelectorAll('.user-role').forEach(select => {
+    select.addEventListener('change', async () => {
+      await updateAdminUserRole(select.dataset.id, select.value);
+      render();
+    });
+  });
+
+  document.querySelectorAll('.revoke-user').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (confirm('Revoke this user\'s access? They will be signed out everywhere.')) {
+        await revokeAdminUser(btn.dataset.id);
         render();
       }
     });
-  }
+  });
 
-  // Form submit
-  const form = document.getElementById('detail-form');
-  if (form) {
-    form.addEventListener('submit', async e => {
-      e.preventDefault();
-      const clientData = {
-        id: state.currentClientId,
-        name: document.getElementById('detail-name').value,
-        email: document.getElementById('detail-email').value,
-        phone: document.getElementById('detail-phone').value,
-        company: document.getElementById('detail-company').value,
-        status: document.getElementById('detail-status').value,
-        budget: parseFloat(document.getElementById('detail-budget').value) || null,
-        cost: parseFloat(document.getElementById('detail-cost').value) || null,
-        deadline: document.getElementById('detail-deadline').value || null,
-        notes: document.getElementById('detail-notes').value,
-      };
-      await saveClient(clientData);
+  document.querySelectorAll('.reinvite-user').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await inviteAdminUser(btn.dataset.email, btn.dataset.role);
       render();
     });
-  }
+  });
 
   // Tabs
   attachTabListeners();
@@ -864,66 +4782,38 @@ function attachClientDetailListeners() {
   attachLogoutListener();
 }
 
-function attachNewClientListeners() {
-  // Back button
-  const backBtn = document.getElementById('back-btn');
-  if (backBtn) {
-    backBtn.addEventListener('click', () => {
-      state.view = 'clientList';
-      state.currentInquiryForNewClient = null;
-      render();
-    });
-  }
-
-  // Form submit
-  const form = document.getElementById('new-client-form');
+function attachAccountListeners() {
+  const form = document.getElementById('passkey-add-form');
   if (form) {
     form.addEventListener('submit', async e => {
       e.preventDefault();
-      const clientData = {
-        name: document.getElementById('new-name').value,
-        email: document.getElementById('new-email').value,
-        phone: document.getElementById('new-phone').value,
-        company: document.getElementById('new-company').value,
-        status: document.getElementById('new-status').value,
-        budget: parseFloat(document.getElementById('new-budget').value) || null,
-        cost: parseFloat(document.getElementById('new-cost').value) || null,
-        deadline: document.getElementById('new-deadline').value || null,
-        notes: document.getElementById('new-notes').value,
-      };
-      await saveClient(clientData);
+      await addPasskey(document.getElementById('passkey-name').value.trim());
       render();
     });
   }
 
-  // Logout
-  attachLogoutListener();
-}
-
-function attachInquiriesListeners() {
-  // Create from inquiry
-  const createBtns = document.querySelectorAll('.create-from-inquiry');
-  createBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-      const inquiryId = btn.dataset.id;
-      state.currentInquiryForNewClient = inquiryId;
-      state.view = 'newClient';
+  document.querySelectorAll('.revoke-session').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await revokeSession(btn.dataset.id);
       render();
     });
   });
 
-  // Link inquiry
-  const linkBtns = document.querySelectorAll('.link-inquiry');
-  linkBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-      const inquiryId = btn.dataset.id;
-      state.currentInquiryForClient = inquiryId;
-      render();
+  const everywhereBtn = document.getElementById('sign-out-everywhere-btn');
+  if (everywhereBtn) {
+    everywhereBtn.addEventListener('click', async () => {
+      if (confirm('Sign out of every device, including this one?')) {
+        await signOutEverywhere();
+      }
+    });
+  }
 
-      // Attach modal listeners
-      setTimeout(() => {
-        attachLinkModalListeners();
-      }, 0);
+  document.querySelectorAll('.remove-passkey').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (confirm('Remove this passkey? You can still sign in with an email code.')) {
+        await removePasskey(btn.dataset.id);
+        render();
+      }
     });
   });
 
@@ -934,6 +4824,43 @@ function attachInquiriesListeners() {
   attachLogoutListener();
 }
 
+function attachComposeListeners() {
+  const modal = document.getElementById('compose-modal');
+  if (!modal) return;
+
+  // Keep edits in state without re-rendering (which would reset the cursor)
+  ['to', 'subject', 'body'].forEach(field => {
+    document.getElementById(`compose-${field}`).addEventListener('input', e => {
+      state.compose[field] = e.target.value;
+    });
+  });
+
+  document.getElementById('compose-template').addEventListener('change', e => {
+    const template = EMAIL_TEMPLATES.find(t => t.id === e.target.value);
+    const fields = getMergeFields(getComposeRecord());
+    state.compose.template = e.target.value;
+    if (template) {
+      state.compose.subject = applyTemplate(template.subject, fields);
+      state.compose.body = applyTemplate(template.body, fields);
+    }
+    render();
+  });
+
+  document.getElementById('compose-cancel-btn').addEventListener('click', () => {
+    state.compose = null;
+    render();
+  });
+
+  document.getElementById('compose-send-btn').addEventListener('click', async () => {
+    if (!state.compose.to || !state.compose.subject.trim() || !state.compose.body.trim()) {
+      showMessage('Recipient, subject and message are required', 'error');
+      return;
+    }
+    await sendComposedEmail();
+    render();
+  });
+}
+
 function attachLinkModalListeners() {
   const modal = document.getElementById('link-modal');
   if (!modal) return;
@@ -946,6 +4873,21 @@ function attachLinkModalListeners() {
     });
   }
 
+  // Searching refreshes only the options, so the search box keeps focus
+  const searchInput = document.getElementById('link-search');
+  const select = document.getElementById('link-select');
+  let searchTimer = null;
+  if (searchInput && select) {
+    searchInput.focus();
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(async () => {
+        await loadLinkClientOptions(searchInput.value);
+        select.innerHTML = renderLinkClientOptions();
+      }, CLIENT_SEARCH_DELAY_MS);
+    });
+  }
+
   const confirmBtn = document.getElementById('link-confirm-btn');
   if (confirmBtn) {
     confirmBtn.addEventListener('click', async () => {
@@ -976,11 +4918,27 @@ function attachTabListeners() {
       const tabName = tab.dataset.tab;
       state.activeTab = tabName;
 
-      if (tabName === 'clients') {
+      if (tabName === 'dashboard') {
+        state.view = 'dashboard';
+        loadDashboard().then(render);
+      } else if (tabName === 'clients') {
         state.view = 'clientList';
+        loadClients().then(render);
       } else if (tabName === 'inquiries') {
         state.view = 'inquiries';
-        loadInquiries();
+        loadInquiries().then(render);
+      } else if (tabName === 'portfolio') {
+        state.view = 'portfolio';
+        loadPortfolio().then(render);
+      } else if (tabName === 'schedule') {
+        state.view = 'schedule';
+        Promise.all([loadUpcomingMilestones(), isOwner() ? loadCalendarFeeds() : null]).then(render);
+      } else if (tabName === 'team') {
+        state.view = 'team';
+        loadAdminUsers().then(render);
+      } else if (tabName === 'account') {
+        state.view = 'account';
+        Promise.all([loadPasskeys(), loadSessions()]).then(render);
       }
 
       render();
@@ -1003,12 +4961,7 @@ function attachLogoutListener() {
           },
         }).catch(() => {}); // Fire and forget
       }
-      sessionStorage.removeItem('admin_token');
-      state.view = 'login';
-      state.loginEmail = '';
-      state.currentClientId = null;
-      state.searchQuery = '';
-      render();
+      clearSignIn();
     });
   }
 }
@@ -1017,4 +4970,14 @@ function attachLogoutListener() {
 // INITIAL RENDER
 // ============================================================================
 
+// An existing session starts on the dashboard
+if (sessionStorage.getItem('admin_token')) {
+  state.view = 'dashboard';
+}
+
 render();
+
+// Restore the signed-in user, dashboard figures and unread badge for an existing session
+if (sessionStorage.getItem('admin_token')) {
+  Promise.all([loadCurrentUser(), loadDashboard(), loadUnreadInquiryCount()]).then(render);
+}
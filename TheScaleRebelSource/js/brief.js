@@ -0,0 +1,246 @@
+(function () {
+  const root = document.querySelector("[data-brief]");
+  if (!root) return;
+
+  const form = root.querySelector("[data-brief-form]");
+  const questionsEl = root.querySelector("[data-brief-questions]");
+  const actions = root.querySelector("[data-brief-actions]");
+  const saveBtn = root.querySelector("[data-brief-save]");
+  const submitBtn = form.querySelector("button[type=submit]");
+  const notice = root.querySelector("[data-brief-notice]");
+  const title = document.querySelector("[data-brief-title]");
+
+  // The link from the brief email: /brief.html?token=...
+  const token = new URLSearchParams(location.search).get("token");
+
+  // Answers save on their own this long after the last change
+  const AUTOSAVE_DELAY_MS = 2000;
+
+  let sections = [];
+  let autosaveTimer = null;
+  let unsaved = false;
+  let saving = null;
+
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#039;");
+  }
+
+  function showNotice(text, type) {
+    notice.className = type ? `notice ${type}` : "notice";
+    notice.textContent = text;
+  }
+
+  async function request(method, url, data) {
+    const res = await fetch(url, {
+      method,
+      headers: data ? { "Content-Type": "application/json" } : {},
+      body: data ? JSON.stringify(data) : undefined
+    });
+    const json = await res.json().catch(() => ({}));
+    return { ok: res.ok, status: res.status, json };
+  }
+
+  function allQuestions() {
+    return sections.flatMap(section => section.questions);
+  }
+
+  function renderQuestion(question, answers) {
+    const id = `brief-${question.id}`;
+    const label = `${escapeHtml(question.label)}${question.required ? ' <span class="brief-required" aria-hidden="true">*</span>' : ""}`;
+    const hint = question.hint ? `<p class="brief-hint" id="${id}-hint">${escapeHtml(question.hint)}</p>` : "";
+    const describedBy = question.hint ? `aria-describedby="${id}-hint"` : "";
+    const required = question.required ? 'aria-required="true"' : "";
+
+    if (question.type === "choice" || question.type === "multi") {
+      const picked = [].concat(answers[question.id] || []);
+      const inputType = question.type === "choice" ? "radio" : "checkbox";
+      return `
+        <fieldset class="brief-question" data-question="${question.id}" ${describedBy} ${question.type === "choice" ? `role="radiogroup" ${required}` : ""}>
+          <legend class="brief-legend">${label}</legend>
+          ${hint}
+          <div class="brief-options">
+            ${question.options.map(option => `
+              <label class="brief-option">
+                <input type="${inputType}" name="${question.id}" value="${escapeHtml(option.value)}" ${picked.includes(option.value) ? "checked" : ""}>
+                ${escapeHtml(option.label)}
+              </label>
+            `).join("")}
+          </div>
+        </fieldset>
+      `;
+    }
+
+    const input = question.type === "textarea"
+      ? `<textarea id="${id}" name="${question.id}" rows="4" ${describedBy} ${required}></textarea>`
+      : `<input id="${id}" name="${question.id}" ${describedBy} ${required}>`;
+    return `
+      <div class="brief-question" data-question="${question.id}">
+        <label for="${id}">${label}</label>
+        ${hint}
+        ${input}
+      </div>
+    `;
+  }
+
+  function renderForm(brief) {
+    sections = brief.sections || [];
+    const answers = brief.answers || {};
+
+    questionsEl.innerHTML = sections.map(section => `
+      <section class="brief-section">
+        <h2>${escapeHtml(section.title)}</h2>
+        ${section.questions.map(question => renderQuestion(question, answers)).join("")}
+      </section>
+    `).join("");
+
+    // Free text goes in as values, never as markup
+    allQuestions().forEach(question => {
+      if (question.type === "text" || question.type === "textarea") {
+        form.elements[question.id].value = answers[question.id] || "";
+      }
+    });
+
+    if (brief.first_name) {
+      title.textContent = `${brief.first_name}, tell me about your project`;
+    }
+    form.hidden = false;
+  }
+
+  function collectAnswers() {
+    const answers = {};
+    allQuestions().forEach(question => {
+      if (question.type === "multi") {
+        const picked = Array.from(form.querySelectorAll(`input[name="${question.id}"]:checked`), input => input.value);
+        if (picked.length) answers[question.id] = picked;
+      } else if (question.type === "choice") {
+        const picked = form.querySelector(`input[name="${question.id}"]:checked`);
+        if (picked) answers[question.id] = picked.value;
+      } else {
+        const value = form.elements[question.id].value.trim();
+        if (value) answers[question.id] = value;
+      }
+    });
+    return answers;
+  }
+
+  function markMissing(ids) {
+    form.querySelectorAll("[data-question]").forEach(el => {
+      const missing = ids.includes(el.dataset.question);
+      el.classList.toggle("brief-missing", missing);
+      el.querySelectorAll("input, textarea").forEach(field => {
+        if (missing) field.setAttribute("aria-invalid", "true");
+        else field.removeAttribute("aria-invalid");
+      });
+    });
+
+    const first = form.querySelector(".brief-missing input, .brief-missing textarea");
+    if (first) first.focus();
+  }
+
+  // Sent: the answers stay visible for reference, but can't change
+  function showSubmitted() {
+    form.querySelectorAll("input, textarea").forEach(input => { input.disabled = true; });
+    actions.hidden = true;
+    showNotice("Thanks, your brief is in. I'll read it before our next conversation and get back to you with any questions.", "ok");
+  }
+
+  function timeLabel() {
+    return new Date().toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  }
+
+  async function save({ quiet = false } = {}) {
+    clearTimeout(autosaveTimer);
+    if (saving) await saving;
+
+    unsaved = false;
+    if (!quiet) saveBtn.disabled = true;
+    saving = request("PUT", "/api/admin/brief", { token, answers: collectAnswers() });
+    const { ok, status, json } = await saving;
+    saving = null;
+    saveBtn.disabled = false;
+
+    if (ok) {
+      showNotice(quiet
+        ? `Saved at ${timeLabel()}.`
+        : `Saved at ${timeLabel()}. Come back to this page with the same link to finish.`, quiet ? "" : "ok");
+    } else if (status === 409) {
+      showSubmitted();
+    } else {
+      unsaved = true;
+      showNotice(json?.error || "Your answers couldn't be saved. Please try again.", "bad");
+    }
+    return ok;
+  }
+
+  async function submit() {
+    clearTimeout(autosaveTimer);
+    const answers = collectAnswers();
+    const missing = allQuestions().filter(q => q.required && !(q.id in answers)).map(q => q.id);
+    markMissing(missing);
+    if (missing.length) {
+      showNotice("Please answer the questions marked * before sending.", "bad");
+      return;
+    }
+
+    if (saving) await saving;
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Sending…";
+    const { ok, status, json } = await request("POST", "/api/admin/brief/submit", { token, answers });
+    submitBtn.disabled = false;
+    submitBtn.textContent = "Send My Brief";
+
+    if (ok || status === 409) {
+      unsaved = false;
+      showSubmitted();
+    } else {
+      if (Array.isArray(json?.missing)) markMissing(json.missing);
+      showNotice(json?.error || "Something went wrong. Please try again.", "bad");
+    }
+  }
+
+  function onChange() {
+    unsaved = true;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => save({ quiet: true }), AUTOSAVE_DELAY_MS);
+  }
+
+  async function init() {
+    if (!token) {
+      showNotice("This link is missing its access code. Please open the brief from the link in your email.", "bad");
+      return;
+    }
+
+    const { ok, json } = await request("GET", `/api/admin/brief?token=${encodeURIComponent(token)}`);
+    if (!ok) {
+      showNotice(json?.error || "Your brief couldn't be loaded. Please try again.", "bad");
+      return;
+    }
+
+    renderForm(json);
+    if (json.status === "submitted") {
+      showSubmitted();
+      return;
+    }
+    showNotice(json.status === "in-progress"
+      ? "Welcome back. Your earlier answers are filled in below."
+      : "Answer what you can. Your answers save as you type.", "");
+
+    form.addEventListener("input", onChange);
+    form.addEventListener("change", onChange);
+    saveBtn.addEventListener("click", () => save());
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      submit();
+    });
+    window.addEventListener("beforeunload", (e) => {
+      if (unsaved) e.preventDefault();
+    });
+  }
+
+  init();
+})();
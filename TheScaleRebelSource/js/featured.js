@@ -18,6 +18,29 @@
     return `/api/instagram-image?raw=1&url=${encodeURIComponent(instagramUrl)}&w=${THUMBNAIL_SIZE}&q=${THUMBNAIL_QUALITY}`;
   }
 
+  // Resolve all featured posts in a single batch request.
+  // Returns a Map of post URL -> optimized thumbnail URL (empty on failure).
+  async function resolveThumbs(instagramUrls) {
+    const thumbs = new Map();
+    const urls = instagramUrls.filter(Boolean);
+    if (!urls.length) return thumbs;
+
+    try {
+      // Sorted so the same set of posts shares one CDN cache entry
+      const params = new URLSearchParams({ w: THUMBNAIL_SIZE, q: THUMBNAIL_QUALITY });
+      [...urls].sort().forEach((url) => params.append("urls", url));
+      const response = await fetch(`/api/instagram-image/batch?${params}`);
+      if (!response.ok) return thumbs;
+      const data = await response.json();
+      (data.results || []).forEach((result) => {
+        if (result.imageUrl) thumbs.set(result.url, result.imageUrl);
+      });
+    } catch (err) {
+      console.error("Error resolving featured images:", err);
+    }
+    return thumbs;
+  }
+
   // Create a skeleton placeholder cell
   function createSkeletonItem() {
     const galleryItem = document.createElement("div");
@@ -30,8 +53,9 @@
     return galleryItem;
   }
 
-  function createGalleryItem(item, idx) {
-    const thumb = proxyThumb(item.instagramUrl);
+  function createGalleryItem(item, idx, resolvedThumb) {
+    // Fall back to the per-post redirect endpoint if the batch didn't resolve it
+    const thumb = resolvedThumb || proxyThumb(item.instagramUrl);
     const instagramUrl = item.instagramUrl || "";
     const alt = item.alt || `Featured tattoo work ${idx + 1}`;
 
@@ -89,8 +113,13 @@
     .then(async (items) => {
       items = Array.isArray(items) ? items.slice(0, EXPECTED_COUNT) : [];
 
+      // Resolve every thumbnail in one round trip
+      const thumbs = await resolveThumbs(items.map((item) => item.instagramUrl));
+
       // Create all gallery items (but don't add to DOM yet)
-      const galleryItems = items.map((item, idx) => createGalleryItem(item, idx));
+      const galleryItems = items.map((item, idx) =>
+        createGalleryItem(item, idx, thumbs.get(item.instagramUrl))
+      );
 
       // Preload all images in parallel
       const preloadPromises = galleryItems.map((gi) =>
@@ -8,6 +8,18 @@
   let items = [];
   let totalLoaded = 0;
 
+  // Tag facets that can be filtered on, in chip display order
+  const FILTER_FACETS = [
+    { key: "style", label: "Style" },
+    { key: "placement", label: "Placement" },
+    { key: "color", label: "Color" },
+    { key: "design", label: "Design" }
+  ];
+
+  // Active filters: facet -> Set of values. Values within a facet are OR'd,
+  // facets are AND'd. Mirrored in the query string (?style=traditional,blackwork)
+  const activeFilters = new Map();
+
   // Cache for Instagram image URLs
   const imageCache = new Map();
 
@@ -15,8 +27,16 @@
   const THUMBNAIL_SIZE = 400;
   const THUMBNAIL_QUALITY = 75;
 
-  // Concurrent requests for loading images
-  const CONCURRENT_REQUESTS = 6;
+  // Larger rendition shown in the lightbox
+  const FULL_SIZE = 1200;
+  const FULL_QUALITY = 85;
+
+  // Posts per batch request. Small batches run side by side, so a batch of cache
+  // misses only holds back its own tiles (the server allows up to 50)
+  const BATCH_SIZE = 12;
+
+  // Tiles resolved in the first batch so the top of the grid fills first
+  const ABOVE_FOLD_COUNT = 12;
 
   const PLACEHOLDER_THUMB = (() => {
     const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="800" viewBox="0 0 800 800">
@@ -63,37 +83,205 @@
 
   function updateCounter() {
     if (counter) {
-      counter.textContent = `Showing ${totalLoaded} of ${items.length}`;
+      const shown = grid.querySelectorAll(".gallery-item:not(.gallery-item--loading):not([hidden])").length;
+      counter.textContent = `Showing ${shown} of ${items.length}`;
     }
   }
 
-  // Fetch Instagram image URL via our API (now returns optimized Netlify Image CDN URL)
-  async function fetchInstagramImage(instagramUrl) {
-    // Check cache first
-    if (imageCache.has(instagramUrl)) {
-      return imageCache.get(instagramUrl);
+  // Normalize an item's tags to { facet: [values] } (accepts arrays or comma strings)
+  function getItemTags(item) {
+    const tags = {};
+    FILTER_FACETS.forEach(({ key }) => {
+      const raw = item.tags ? item.tags[key] : null;
+      const values = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(",") : [];
+      tags[key] = values.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+    });
+    return tags;
+  }
+
+  function matchesFilters(item) {
+    const tags = getItemTags(item);
+    for (const [facet, values] of activeFilters) {
+      if (values.size === 0) continue;
+      if (!tags[facet].some(v => values.has(v))) return false;
     }
+    return true;
+  }
 
-    try {
-      // Request optimized thumbnail size from the API
-      const response = await fetch(`/api/instagram-image?url=${encodeURIComponent(instagramUrl)}&w=${THUMBNAIL_SIZE}&q=${THUMBNAIL_QUALITY}`);
-      if (!response.ok) {
-        console.error("Failed to fetch Instagram image for:", instagramUrl);
-        return PLACEHOLDER_THUMB;
-      }
-      const data = await response.json();
-      if (data.imageUrl) {
-        imageCache.set(instagramUrl, data.imageUrl);
-        return data.imageUrl;
-      }
-    } catch (error) {
-      console.error("Error fetching Instagram image:", error);
+  function formatTagLabel(value) {
+    const text = value.replace(/-/g, " ");
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  function readFiltersFromUrl() {
+    const params = new URLSearchParams(location.search);
+    FILTER_FACETS.forEach(({ key }) => {
+      const values = (params.get(key) || "").split(",").map(v => v.trim().toLowerCase()).filter(Boolean);
+      if (values.length) activeFilters.set(key, new Set(values));
+    });
+  }
+
+  // Keep filtered views shareable without adding history entries
+  function writeFiltersToUrl() {
+    if (!history.replaceState) return;
+    const params = new URLSearchParams(location.search);
+    FILTER_FACETS.forEach(({ key }) => {
+      const values = activeFilters.get(key);
+      if (values && values.size) params.set(key, Array.from(values).join(","));
+      else params.delete(key);
+    });
+    const query = params.toString().replace(/%2C/g, ",");
+    history.replaceState(null, "", `${location.pathname}${query ? `?${query}` : ""}${location.hash}`);
+  }
+
+  // Show/hide tiles for the current filters and refresh chips + counter
+  function applyFilters() {
+    grid.querySelectorAll(".gallery-item[data-index]").forEach(el => {
+      const item = items[parseInt(el.getAttribute("data-index"), 10)];
+      el.hidden = !!item && !matchesFilters(item);
+    });
+
+    document.querySelectorAll(".gallery-filter-chip").forEach(chip => {
+      const values = activeFilters.get(chip.getAttribute("data-facet"));
+      const pressed = !!values && values.has(chip.getAttribute("data-value"));
+      chip.setAttribute("aria-pressed", pressed ? "true" : "false");
+    });
+
+    const clear = document.querySelector("[data-gallery-filters-clear]");
+    if (clear) clear.hidden = !Array.from(activeFilters.values()).some(v => v.size);
+
+    updateCounter();
+  }
+
+  function toggleFilter(facet, value) {
+    const values = activeFilters.get(facet) || new Set();
+    if (values.has(value)) values.delete(value);
+    else values.add(value);
+    if (values.size) activeFilters.set(facet, values);
+    else activeFilters.delete(facet);
+
+    writeFiltersToUrl();
+    applyFilters();
+  }
+
+  // Build filter chips from the tags present in the loaded items
+  function renderFilterChips() {
+    let host = document.querySelector("[data-gallery-filters]");
+    if (!host) {
+      host = document.createElement("div");
+      host.setAttribute("data-gallery-filters", "");
+      grid.parentNode.insertBefore(host, grid);
     }
-    return PLACEHOLDER_THUMB;
+    host.className = "gallery-filters";
+    host.innerHTML = "";
+
+    // Count how often each value occurs per facet
+    const counts = new Map(FILTER_FACETS.map(({ key }) => [key, new Map()]));
+    items.forEach(item => {
+      const tags = getItemTags(item);
+      FILTER_FACETS.forEach(({ key }) => {
+        tags[key].forEach(v => counts.get(key).set(v, (counts.get(key).get(v) || 0) + 1));
+      });
+    });
+
+    FILTER_FACETS.forEach(({ key, label }) => {
+      const values = Array.from(counts.get(key).entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+      if (!values.length) return;
+
+      const group = document.createElement("div");
+      group.className = "gallery-filter-group";
+      group.setAttribute("role", "group");
+      group.setAttribute("aria-label", `Filter by ${label.toLowerCase()}`);
+
+      const heading = document.createElement("span");
+      heading.className = "gallery-filter-label";
+      heading.textContent = label;
+      group.appendChild(heading);
+
+      values.forEach(([value, count]) => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "gallery-filter-chip";
+        chip.setAttribute("data-facet", key);
+        chip.setAttribute("data-value", value);
+        chip.setAttribute("aria-pressed", "false");
+        chip.textContent = `${formatTagLabel(value)} (${count})`;
+        chip.addEventListener("click", () => toggleFilter(key, value));
+        group.appendChild(chip);
+      });
+
+      host.appendChild(group);
+    });
+
+    if (!host.children.length) {
+      host.hidden = true;
+      return;
+    }
+    host.hidden = false;
+
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "gallery-filter-clear";
+    clear.setAttribute("data-gallery-filters-clear", "");
+    clear.textContent = "Clear filters";
+    clear.addEventListener("click", () => {
+      activeFilters.clear();
+      writeFiltersToUrl();
+      applyFilters();
+    });
+    host.appendChild(clear);
+  }
+
+  // Batch API URL; sorted so the same set of posts shares one CDN cache entry
+  function batchUrl(urls) {
+    const params = new URLSearchParams({ w: THUMBNAIL_SIZE, q: THUMBNAIL_QUALITY });
+    [...urls].sort().forEach(url => params.append("urls", url));
+    return `/api/instagram-image/batch?${params}`;
+  }
+
+  // Resolve Instagram image URLs via the batch API (returns optimized Netlify
+  // Image CDN URLs) and store them in the cache. Returns the URLs the server ran
+  // out of time for, which are worth asking about again.
+  async function fetchInstagramImages(instagramUrls) {
+    const unresolved = [...new Set(instagramUrls)].filter(url => !imageCache.has(url));
+    const batches = [];
+    for (let i = 0; i < unresolved.length; i += BATCH_SIZE) {
+      batches.push(unresolved.slice(i, i + BATCH_SIZE));
+    }
+    const pending = [];
+
+    await Promise.all(batches.map(async (urls) => {
+      try {
+        const response = await fetch(batchUrl(urls));
+        if (!response.ok) {
+          console.error("Failed to resolve Instagram images:", response.status);
+          return;
+        }
+        const data = await response.json();
+        (data.results || []).forEach(result => {
+          if (result.imageUrl) {
+            imageCache.set(result.url, result.imageUrl);
+          } else if (result.status === "pending") {
+            pending.push(result.url);
+          } else {
+            console.error("Failed to fetch Instagram image for:", result.url, result.error);
+          }
+        });
+      } catch (error) {
+        console.error("Error fetching Instagram images:", error);
+      }
+    }));
+    return pending;
+  }
+
+  // Full-size lightbox image via the redirecting instagram-image endpoint,
+  // so it is only resolved when the lightbox actually opens it
+  function fullSizeUrl(instagramUrl) {
+    return `/api/instagram-image?raw=1&url=${encodeURIComponent(instagramUrl)}&w=${FULL_SIZE}&q=${FULL_QUALITY}`;
   }
 
-  // Resolve the image URL - either direct src or via Instagram API
-  async function resolveImageUrl(item) {
+  // Resolve the image URL - either direct src or from the batch-resolved cache
+  function resolveImageUrl(item) {
     // If item has direct src, use it
     if (item.src && item.src.trim() !== "") {
       return {
@@ -103,12 +291,12 @@
       };
     }
 
-    // If item has Instagram URL, fetch the image via API
+    // If item has Instagram URL, use the resolved image (placeholder if it failed)
     if (item.instagram && item.instagram.trim() !== "") {
-      const imageUrl = await fetchInstagramImage(item.instagram);
+      const imageUrl = imageCache.get(item.instagram);
       return {
-        src: imageUrl,
-        thumbnail: imageUrl,
+        src: imageUrl ? fullSizeUrl(item.instagram) : PLACEHOLDER_THUMB,
+        thumbnail: imageUrl || PLACEHOLDER_THUMB,
         instagramUrl: item.instagram
       };
     }
@@ -125,6 +313,7 @@
     galleryItem.className = "gallery-item gallery-item--loading";
     galleryItem.id = id;
     galleryItem.setAttribute("data-index", index);
+    galleryItem.hidden = !matchesFilters(items[index]);
 
     // Create placeholder structure
     const placeholder = document.createElement("div");
@@ -150,18 +339,25 @@
 
     const number = index + 1;
 
-    // Create the actual content
+    // Create the actual content. The link still points at Instagram so it works
+    // without the lightbox; lightbox.js intercepts plain clicks on [data-lightbox].
     const instagramUrl = item.instagram || item.instagramUrl || resolved.instagramUrl || "";
     const trigger = document.createElement("a");
     trigger.className = "gallery-trigger";
     trigger.href = instagramUrl || resolved.src;
     trigger.target = "_blank";
     trigger.rel = "noopener noreferrer";
-    trigger.setAttribute("aria-label", `View ${item.alt || `portfolio image ${number}`} on Instagram`);
+    trigger.setAttribute("aria-label", `Open ${item.alt || `portfolio image ${number}`}`);
+    trigger.setAttribute("data-lightbox", "");
+    trigger.setAttribute("data-src", resolved.src);
+    trigger.setAttribute("data-alt", item.alt || `Portfolio image ${number}`);
+    trigger.setAttribute("data-type", item.src ? item.type || "image" : "image");
+    if (item.caption) trigger.setAttribute("data-caption", item.caption);
+    if (instagramUrl) trigger.setAttribute("data-instagram", instagramUrl);
 
     // Create thumbnail image
     const img = document.createElement("img");
-    img.loading = index < 12 ? "eager" : "lazy"; // Eager load first 12 images
+    img.loading = index < ABOVE_FOLD_COUNT ? "eager" : "lazy"; // Eager load the first row(s)
     img.decoding = "async";
     img.alt = item.alt || `Portfolio image ${number}`;
     img.width = THUMBNAIL_SIZE;
@@ -205,38 +401,78 @@
   async function loadImagesIntoPlaceholders() {
     showLoading(true);
 
-    // Process all items with controlled concurrency
-    for (let i = 0; i < items.length; i += CONCURRENT_REQUESTS) {
-      const chunk = items.slice(i, i + CONCURRENT_REQUESTS);
-      const chunkStartIndex = i;
-
-      // Start all requests in this chunk in parallel
-      const chunkPromises = chunk.map((item, idx) => {
-        const absoluteIndex = chunkStartIndex + idx;
-        return resolveImageUrl(item).then(resolved => {
-          // Update the placeholder immediately when this image resolves
-          updatePlaceholderWithImage(absoluteIndex, item, resolved);
-        });
+    // Resolve a set of tiles and fill them in, leaving the ones the server
+    // didn't get to as placeholders for one more try
+    const pending = [];
+    async function fillTiles(indexes) {
+      const instagramUrls = indexes
+        .map(index => items[index])
+        .filter(item => !(item.src && item.src.trim() !== "") && item.instagram && item.instagram.trim() !== "")
+        .map(item => item.instagram);
+      pending.push(...(await fetchInstagramImages(instagramUrls)));
+
+      indexes.forEach(index => {
+        if (pending.includes(items[index].instagram)) return;
+        updatePlaceholderWithImage(index, items[index], resolveImageUrl(items[index]));
       });
+    }
 
-      // Wait for this chunk to complete before starting next
-      await Promise.all(chunkPromises);
+    // The first visible tiles come first so the top of the grid fills right away;
+    // the rest follow in parallel batches
+    const indexes = items.map((item, index) => index);
+    const visible = indexes.filter(index => matchesFilters(items[index]));
+    const firstBatch = visible.slice(0, ABOVE_FOLD_COUNT);
+    const rest = indexes.filter(index => !firstBatch.includes(index));
+
+    await fillTiles(firstBatch);
+    const restBatches = [];
+    for (let i = 0; i < rest.length; i += BATCH_SIZE) {
+      restBatches.push(rest.slice(i, i + BATCH_SIZE));
+    }
+    await Promise.all(restBatches.map(fillTiles));
+
+    // By now the server has usually finished scraping those in the background
+    if (pending.length > 0) {
+      const retry = new Set(pending);
+      await fetchInstagramImages([...retry]);
+      items.forEach((item, index) => {
+        if (retry.has(item.instagram)) updatePlaceholderWithImage(index, item, resolveImageUrl(item));
+      });
     }
 
     // All done
     showLoading(false);
     btn.disabled = true;
     btn.textContent = "All loaded";
+
+    // Let lightbox.js open a deep-linked tile (e.g. #img-07) now that it exists
+    document.dispatchEvent(new CustomEvent("gallery:loaded"));
   }
 
-  // Load portfolio data from JSON file
+  // Fetch portfolio entries curated in the admin panel, falling back to the
+  // static JSON file if the API is unavailable or nothing has been curated yet
+  async function fetchPortfolioItems() {
+    try {
+      const res = await fetch("/api/portfolio");
+      if (res.ok) {
+        const data = await res.json();
+        if (Array.isArray(data.items) && data.items.length > 0) return data.items;
+      }
+    } catch (error) {
+      console.error("Error fetching portfolio from API:", error);
+    }
+
+    const res = await fetch("data/portfolio-images.json");
+    if (!res.ok) throw new Error("Failed to load portfolio-images.json");
+    return res.json();
+  }
+
+  // Load portfolio data
   async function loadPortfolioData() {
     showLoading(true);
 
     try {
-      const res = await fetch("data/portfolio-images.json");
-      if (!res.ok) throw new Error("Failed to load portfolio-images.json");
-      items = await res.json();
+      items = await fetchPortfolioItems();
 
       // Filter out items without src or instagram (empty placeholders)
       items = items.filter(item =>
@@ -246,6 +482,8 @@
 
       // Create the pre-sized grid with placeholder cells
       createPlaceholderGrid();
+      renderFilterChips();
+      applyFilters();
 
       // Start loading images into placeholders
       loadImagesIntoPlaceholders();
@@ -259,23 +497,12 @@
   // Hide load more button - we load everything progressively
   btn.style.display = "none";
 
+  // Prev/next in the lightbox stays within the portfolio grid
+  grid.setAttribute("data-lightbox-group", "");
+
   // Initialize
+  readFiltersFromUrl();
   loadPortfolioData();
 
-  // Handle deep links (e.g. #img-18)
-  const m = (location.hash || "").match(/^#img-(\d{2})$/);
-  if (m) {
-    const targetId = `img-${m[1]}`;
-    // Wait for images to load then scroll to target
-    const scrollToTarget = () => {
-      const targetEl = document.getElementById(targetId);
-      if (targetEl) {
-        targetEl.scrollIntoView({ behavior: "smooth", block: "center" });
-      } else if (totalLoaded < items.length) {
-        // Target not yet loaded, check again
-        setTimeout(scrollToTarget, 200);
-      }
-    };
-    setTimeout(scrollToTarget, 500);
-  }
+  // Deep links (e.g. #img-18) are opened by lightbox.js on "gallery:loaded"
 })();
@@ -7,6 +7,9 @@
   const title = overlay.querySelector("#lightbox-title");
   const closeBtn = overlay.querySelector("[data-lightbox-close]");
 
+  // Minimum horizontal travel (px) for a touch gesture to count as a swipe
+  const SWIPE_THRESHOLD = 50;
+
 function ensureIgLink() {
   let ig = overlay.querySelector("[data-lightbox-instagram]");
   if (ig) return ig;
@@ -31,10 +34,51 @@ function ensureIgLink() {
   return ig;
 }
 
+  // Prev/next buttons, created once and placed on either side of the media
+  function ensureNavButtons() {
+    let prev = overlay.querySelector("[data-lightbox-prev]");
+    let next = overlay.querySelector("[data-lightbox-next]");
+    if (prev && next) return { prev, next };
+
+    prev = document.createElement("button");
+    prev.type = "button";
+    prev.className = "lightbox-nav lightbox-nav--prev";
+    prev.setAttribute("data-lightbox-prev", "1");
+    prev.setAttribute("aria-label", "Previous image");
+    prev.textContent = "‹";
+
+    next = document.createElement("button");
+    next.type = "button";
+    next.className = "lightbox-nav lightbox-nav--next";
+    next.setAttribute("data-lightbox-next", "1");
+    next.setAttribute("aria-label", "Next image");
+    next.textContent = "›";
+
+    body.parentNode.insertBefore(prev, body);
+    body.parentNode.insertBefore(next, body.nextSibling);
+
+    prev.addEventListener("click", () => step(-1));
+    next.addEventListener("click", () => step(1));
+    return { prev, next };
+  }
+
+  function ensureCaption() {
+    let caption = overlay.querySelector("[data-lightbox-caption]");
+    if (caption) return caption;
 
+    caption = document.createElement("p");
+    caption.setAttribute("data-lightbox-caption", "1");
+    caption.className = "lightbox-caption";
+    caption.id = "lightbox-caption";
+    body.parentNode.insertBefore(caption, body.nextSibling);
+    return caption;
+  }
 
   let lastActiveEl = null;
   let currentMedia = null; // Track current media element (img or video)
+  let currentTrigger = null; // The [data-lightbox] element currently shown
+  let touchStartX = null;
+  let touchStartY = null;
 
   const focusableSelector = [
     "button","[href]","input","select","textarea","[tabindex]:not([tabindex='-1'])"
@@ -45,11 +89,21 @@ function ensureIgLink() {
       .filter((el) => !el.hasAttribute("disabled") && !el.getAttribute("aria-hidden"));
   }
 
-  function openLightbox(src, altText, mediaType) {
-    lastActiveEl = document.activeElement;
+  // Triggers that belong to the same set as the current one (same
+  // [data-lightbox-group] container, or the whole page), in DOM order
+  function getSiblings(trigger) {
+    const group = trigger.closest("[data-lightbox-group]") || document;
+    return Array.from(group.querySelectorAll("[data-lightbox]"))
+      .filter((el) => el.offsetParent !== null || el === trigger);
+  }
 
+  function showMedia(src, altText, mediaType) {
     // Clear previous media
     if (currentMedia) {
+      if (currentMedia.tagName === "VIDEO") {
+        currentMedia.pause();
+        currentMedia.src = "";
+      }
       currentMedia.remove();
       currentMedia = null;
     }
@@ -70,14 +124,65 @@ function ensureIgLink() {
       const img = document.createElement("img");
       img.id = "lightbox-image";
       img.src = src;
-      img.alt = altText || "Tattoo work photo";
+      img.alt = altText || "Portfolio image";
       body.appendChild(img);
       currentMedia = img;
       title.textContent = "Preview";
     }
+  }
+
+  // Render a trigger's media, caption, Instagram link and nav state
+  function showTrigger(trigger) {
+    currentTrigger = trigger;
+
+    const src = trigger.getAttribute("data-src") || trigger.getAttribute("href");
+    const altText = trigger.getAttribute("data-alt") || trigger.getAttribute("aria-label") || "Portfolio image";
+    const mediaType = trigger.getAttribute("data-type") || "image";
+    showMedia(src, altText, mediaType);
+
+    const captionText = trigger.getAttribute("data-caption") || "";
+    const caption = ensureCaption();
+    caption.textContent = captionText;
+    caption.hidden = !captionText;
+
+    const instagramUrl = trigger.getAttribute("data-instagram") || "";
+    const ig = ensureIgLink();
+    ig.hidden = !instagramUrl;
+    if (instagramUrl) ig.href = instagramUrl;
+
+    const siblings = getSiblings(trigger);
+    const index = siblings.indexOf(trigger);
+    const { prev, next } = ensureNavButtons();
+    prev.hidden = siblings.length < 2;
+    next.hidden = siblings.length < 2;
+    prev.disabled = index <= 0;
+    next.disabled = index === -1 || index >= siblings.length - 1;
+    if (siblings.length > 1) {
+      title.textContent = `${index + 1} of ${siblings.length}`;
+    }
+
+    // Keep the address bar pointing at the open item so it can be shared
+    const item = trigger.closest("[id^='img-']");
+    if (item && history.replaceState) {
+      history.replaceState(null, "", `#${item.id}`);
+    }
+  }
+
+  function step(direction) {
+    if (!currentTrigger) return;
+    const siblings = getSiblings(currentTrigger);
+    const target = siblings[siblings.indexOf(currentTrigger) + direction];
+    if (target) showTrigger(target);
+  }
+
+  function openLightbox(trigger) {
+    lastActiveEl = document.activeElement;
+
+    showTrigger(trigger);
 
     overlay.hidden = false;
     overlay.setAttribute("aria-hidden", "false");
+    if (dialog) dialog.setAttribute("aria-describedby", "lightbox-caption");
 
     document.documentElement.style.overflow = "hidden";
     document.body.style.overflow = "hidden";
@@ -97,6 +202,11 @@ function ensureIgLink() {
       currentMedia.remove();
       currentMedia = null;
     }
+    currentTrigger = null;
+
+    if (/^#img-\d{2}$/.test(location.hash) && history.replaceState) {
+      history.replaceState(null, "", location.pathname + location.search);
+    }
 
     document.documentElement.style.overflow = "";
     document.body.style.overflow = "";
@@ -106,29 +216,47 @@ function ensureIgLink() {
   document.addEventListener("click", (e) => {
     const btn = e.target.closest("[data-lightbox]");
     if (!btn) return;
+    // Let modified clicks (new tab/window) follow the link
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.button === 1) return;
     const src = btn.getAttribute("data-src") || btn.getAttribute("href");
-    const altText = btn.getAttribute("data-alt") || btn.getAttribute("aria-label") || "Tattoo work photo";
-    const mediaType = btn.getAttribute("data-type") || "image";
     if (!src) return;
     e.preventDefault();
-    openLightbox(src, altText, mediaType);
+    openLightbox(btn);
   });
 
   closeBtn.addEventListener("click", closeLightbox);
   overlay.addEventListener("click", (e) => {
-  // Close when clicking the dimmed background (outside the content)
-  const inner = overlay.querySelector(".lightbox-inner") || overlay.querySelector(".lightbox-content");
-  if (!inner) {
-    if (e.target === overlay) close();
-    return;
-  }
-  if (e.target === overlay || !inner.contains(e.target)) close();
-});
-});
+    // Close when clicking the dimmed background (outside the content)
+    const inner = overlay.querySelector(".lightbox-inner") || overlay.querySelector(".lightbox-content");
+    if (!inner) {
+      if (e.target === overlay) closeLightbox();
+      return;
+    }
+    if (e.target === overlay || !inner.contains(e.target)) closeLightbox();
+  });
+
+  // Swipe left/right to move between items on touch screens
+  overlay.addEventListener("touchstart", (e) => {
+    if (e.touches.length !== 1) return;
+    touchStartX = e.touches[0].clientX;
+    touchStartY = e.touches[0].clientY;
+  }, { passive: true });
+
+  overlay.addEventListener("touchend", (e) => {
+    if (touchStartX === null) return;
+    const dx = e.changedTouches[0].clientX - touchStartX;
+    const dy = e.changedTouches[0].clientY - touchStartY;
+    touchStartX = null;
+    touchStartY = null;
+    if (Math.abs(dx) < SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+    step(dx < 0 ? 1 : -1);
+  });
 
   document.addEventListener("keydown", (e) => {
     if (overlay.hidden) return;
     if (e.key === "Escape") { e.preventDefault(); closeLightbox(); return; }
+    if (e.key === "ArrowLeft") { e.preventDefault(); step(-1); return; }
+    if (e.key === "ArrowRight") { e.preventDefault(); step(1); return; }
     if (e.key === "Tab") {
       const focusables = getFocusable(overlay);
       if (!focusables.length) return;
@@ -145,15 +273,25 @@ function ensureIgLink() {
   const m = hash.match(/^#img-(\d{2})$/);
   if (!m) return;
 
-  const target = document.getElementById(hash.slice(1));
-  if (!target) return;
+  // Returns true once the target tile exists and has been opened
+  function openTarget() {
+    const target = document.getElementById(hash.slice(1));
+    if (!target) return false;
 
-  // Scroll into view and open lightbox
-  try { target.scrollIntoView({ block: "center", behavior: "instant" }); } catch (e) { target.scrollIntoView(); }
+    const btn = target.querySelector("[data-lightbox]");
+    if (!btn) return false;
 
-  const btn = target.querySelector("[data-lightbox]");
-  if (btn) {
-    // Trigger click to reuse existing handlers
-    btn.click();
+    // Scroll into view and open lightbox
+    try { target.scrollIntoView({ block: "center", behavior: "instant" }); } catch (e) { target.scrollIntoView(); }
+
+    // Trigger click to reuse existing handlers (only when the page has a
+    // lightbox; otherwise the click would navigate away to Instagram)
+    if (document.querySelector("#lightbox")) btn.click();
+    return true;
   }
+
+  // Static markup can open right away; the async portfolio grid announces
+  // when its tiles are ready
+  if (openTarget()) return;
+  document.addEventListener("gallery:loaded", openTarget, { once: true });
 })();
@@ -12,24 +12,28 @@
   const THUMBNAIL_SIZE = 400;
   const THUMBNAIL_QUALITY = 75;
   const PREFETCH_DELAY = 2000; // Wait 2 seconds after page load before starting
-  const PREFETCH_BATCH_SIZE = 3; // Prefetch 3 images at a time
-  const PREFETCH_BATCH_DELAY = 500; // Wait 500ms between batches
+  const PREFETCH_BATCH_SIZE = 50; // Matches the batch endpoint's per-request limit
 
-  function buildPrefetchUrl(instagramUrl) {
-    return `/api/instagram-image?url=${encodeURIComponent(instagramUrl)}&w=${THUMBNAIL_SIZE}&q=${THUMBNAIL_QUALITY}`;
-  }
-
-  async function prefetchImage(url) {
+  // Resolve a batch of posts so the server-side cache is warm for the portfolio page,
+  // then warm the browser cache with the optimized thumbnails themselves
+  async function prefetchBatch(instagramUrls) {
     try {
-      // Use fetch with low priority to avoid competing with visible content
-      const response = await fetch(url, {
-        priority: "low",
-        cache: "force-cache"
+      // Use fetch with low priority to avoid competing with visible content; URLs are
+      // sorted so the same set of posts shares one CDN cache entry
+      const params = new URLSearchParams({ w: THUMBNAIL_SIZE, q: THUMBNAIL_QUALITY });
+      [...instagramUrls].sort().forEach((url) => params.append("urls", url));
+      const response = await fetch(`/api/instagram-image/batch?${params}`, { priority: "low" });
+      if (!response.ok) return;
+
+      const data = await response.json();
+      (data.results || []).forEach((result) => {
+        if (result.imageUrl) {
+          const img = new Image();
+          img.decoding = "async";
+          img.fetchPriority = "low";
+          img.src = result.imageUrl;
+        }
       });
-      // Just fetch the JSON response to trigger the backend caching
-      if (response.ok) {
-        await response.json();
-      }
     } catch (e) {
       // Silently ignore prefetch errors
     }
@@ -37,30 +41,28 @@
 
   async function prefetchPortfolioImages() {
     try {
-      // Fetch the portfolio data
-      const response = await fetch("data/portfolio-images.json", { cache: "force-cache" });
-      if (!response.ok) return;
-
-      const items = await response.json();
+      // Fetch the portfolio data (admin-curated list, static file as fallback)
+      let items = null;
+      const apiResponse = await fetch("/api/portfolio", { priority: "low" }).catch(() => null);
+      if (apiResponse && apiResponse.ok) {
+        const data = await apiResponse.json();
+        items = data.items;
+      }
+      if (!Array.isArray(items) || items.length === 0) {
+        const response = await fetch("data/portfolio-images.json", { cache: "force-cache" });
+        if (!response.ok) return;
+        items = await response.json();
+      }
 
       // Filter to items with Instagram URLs
       const instagramItems = items.filter(
         (item) => item.instagram && item.instagram.trim() !== ""
       );
 
-      // Prefetch in small batches with delays to avoid overwhelming the network
+      // One batch request per 50 posts (a single round trip for a typical portfolio)
       for (let i = 0; i < instagramItems.length; i += PREFETCH_BATCH_SIZE) {
         const batch = instagramItems.slice(i, i + PREFETCH_BATCH_SIZE);
-
-        // Prefetch batch in parallel
-        await Promise.all(
-          batch.map((item) => prefetchImage(buildPrefetchUrl(item.instagram)))
-        );
-
-        // Small delay between batches
-        if (i + PREFETCH_BATCH_SIZE < instagramItems.length) {
-          await new Promise((resolve) => setTimeout(resolve, PREFETCH_BATCH_DELAY));
-        }
+        await prefetchBatch(batch.map((item) => item.instagram));
       }
     } catch (e) {
       // Silently ignore prefetch errors
@@ -218,13 +218,18 @@ function hasSuspiciousHeaders(request: Request): boolean {
   return false;
 }
 
+// Request body limits. Client file uploads (admin-api.mts allows 5 MB files) get the
+// 6 MB Netlify Functions maximum; everything else is small JSON or form posts.
+const MAX_REQUEST_BYTES = 1048576;
+const MAX_UPLOAD_REQUEST_BYTES = 6 * 1048576;
+
 // Check for oversized requests that could be DoS attempts
-function isOversizedRequest(request: Request): boolean {
+function isOversizedRequest(request: Request, pathname: string): boolean {
   const contentLength = request.headers.get("content-length");
   if (contentLength) {
     const size = parseInt(contentLength, 10);
-    // Block requests larger than 1MB for a static site
-    if (size > 1048576) {
+    const isUpload = request.method === "POST" && pathname === "/api/admin/files";
+    if (size > (isUpload ? MAX_UPLOAD_REQUEST_BYTES : MAX_REQUEST_BYTES)) {
       return true;
     }
   }
@@ -238,7 +243,7 @@ export default async (request: Request, context: Context): Promise<Response> =>
   const userAgent = request.headers.get("user-agent");
 
   // Check for oversized requests
-  if (isOversizedRequest(request)) {
+  if (isOversizedRequest(request, pathname)) {
     console.log(`Blocked request (oversized): ${pathname}`);
     return new Response("Payload Too Large", { status: 413 });
   }
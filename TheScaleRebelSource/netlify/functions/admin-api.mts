@@ -1,105 +1,262 @@
 import type { Context, Config } from "@netlify/functions";
 import { neon } from "@netlify/neon";
+import { getStore } from "@netlify/blobs";
+import { ensureSchema } from "../lib/schema.mjs";
+import { normalizePermalink } from "../lib/instagram.mjs";
 
-// Initialize database tables on first request
-async function initializeDatabase(sql: ReturnType<typeof neon>) {
-  try {
-    // Create clients table
-    await sql`
-      CREATE TABLE IF NOT EXISTS clients (
-        id SERIAL PRIMARY KEY,
-        name TEXT NOT NULL,
-        email TEXT,
-        phone TEXT,
-        company TEXT,
-        status TEXT DEFAULT 'lead',
-        budget TEXT,
-        deadline TEXT,
-        cost TEXT,
-        notes TEXT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `;
-
-    // Create inquiries table
-    await sql`
-      CREATE TABLE IF NOT EXISTS inquiries (
-        id SERIAL PRIMARY KEY,
-        client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
-        name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        company TEXT,
-        budget TEXT,
-        message TEXT,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `;
-
-    // Create OTP codes table
-    await sql`
-      CREATE TABLE IF NOT EXISTS otp_codes (
-        id SERIAL PRIMARY KEY,
-        email TEXT NOT NULL,
-        code TEXT NOT NULL,
-        expires_at TIMESTAMP NOT NULL,
-        used BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `;
+// Done once per function instance; reset on failure so the next request retries
+let adminReady: Promise<void> | null = null;
 
-    // Create admin sessions table
-    await sql`
-      CREATE TABLE IF NOT EXISTS admin_sessions (
-        id SERIAL PRIMARY KEY,
-        token TEXT NOT NULL UNIQUE,
-        email TEXT NOT NULL,
-        expires_at TIMESTAMP NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `;
-  } catch (error) {
-    console.error("Database initialization error:", error);
-    throw error;
+// Bring the schema up to date and make sure the bootstrap owner exists
+async function initializeDatabase(sql: ReturnType<typeof neon>) {
+  await ensureSchema(sql);
+  if (!adminReady) {
+    adminReady = (async () => {
+      // ADMIN_EMAIL is the bootstrap owner, so existing installs keep their login
+      const ownerEmail = Netlify.env.get("ADMIN_EMAIL");
+      if (ownerEmail) {
+        await sql`
+          INSERT INTO admin_users (email, role)
+          VALUES (${ownerEmail.trim().toLowerCase()}, 'owner')
+          ON CONFLICT (email) DO NOTHING
+        `;
+      }
+    })().catch((error) => {
+      adminReady = null;
+      console.error("Database initialization error:", error);
+      throw error;
+    });
   }
+  await adminReady;
 }
 
-// Generate a random 6-digit OTP
+// Generate a random 6-digit OTP. Rejection sampling keeps every code equally likely
 function generateOTP(): string {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  const limit = Math.floor(0x100000000 / 1000000) * 1000000;
+  const value = new Uint32Array(1);
+  do {
+    crypto.getRandomValues(value);
+  } while (value[0] >= limit);
+  return (value[0] % 1000000).toString().padStart(6, "0");
 }
 
 // Generate a random session token
 function generateSessionToken(): string {
-  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
-  let token = "";
-  for (let i = 0; i < 64; i++) {
-    token += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return token;
+  return toBase64url(crypto.getRandomValues(new Uint8Array(48)));
+}
+
+async function hashOtp(code: string, salt: string): Promise<string> {
+  const digest = await sha256(new TextEncoder().encode(`${salt}:${code}`));
+  return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Failed OTP guesses allowed before a lockout. Per IP is higher because offices share one
+const OTP_MAX_FAILURES = 5;
+const OTP_MAX_IP_FAILURES = 20;
+
+// First lockout length; it doubles with every further failure, up to a day
+const OTP_LOCKOUT_MINUTES = 5;
+const OTP_LOCKOUT_MAX_MINUTES = 24 * 60;
+
+// Seconds until this email and IP may try again (0 when not locked out), and guesses left before a lockout.
+// `unjudged` is how many of the recorded attempts (the caller's own) haven't been checked yet;
+// they don't count toward their own lockout.
+async function getOtpLockout(
+  sql: ReturnType<typeof neon>,
+  email: string,
+  ip: string | null,
+  unjudged = 0
+): Promise<{ retryAfter: number; attemptsRemaining: number }> {
+  const [byEmail] = await sql`
+    SELECT COUNT(*)::int AS count, EXTRACT(EPOCH FROM NOW() - MAX(created_at))::int AS seconds_since
+    FROM otp_failures
+    WHERE email = ${email} AND created_at > NOW() - INTERVAL '24 hours'
+  `;
+  const [byIp] = ip
+    ? await sql`
+        SELECT COUNT(*)::int AS count, EXTRACT(EPOCH FROM NOW() - MAX(created_at))::int AS seconds_since
+        FROM otp_failures
+        WHERE ip = ${ip} AND created_at > NOW() - INTERVAL '24 hours'
+      `
+    : [{ count: unjudged, seconds_since: null }];
+  const emailFailures = byEmail.count - unjudged;
+  const ipFailures = byIp.count - unjudged;
+
+  const remainingLock = (count: number, secondsSince: number | null, limit: number) => {
+    if (count < limit) return 0;
+    const minutes = Math.min(OTP_LOCKOUT_MINUTES * 2 ** (count - limit), OTP_LOCKOUT_MAX_MINUTES);
+    return Math.max(0, minutes * 60 - (secondsSince ?? 0));
+  };
+
+  return {
+    retryAfter: Math.max(
+      remainingLock(emailFailures, byEmail.seconds_since, OTP_MAX_FAILURES),
+      remainingLock(ipFailures, byIp.seconds_since, OTP_MAX_IP_FAILURES)
+    ),
+    attemptsRemaining: Math.max(0, Math.min(OTP_MAX_FAILURES - emailFailures, OTP_MAX_IP_FAILURES - ipFailures)),
+  };
+}
+
+function lockoutResponse(retryAfter: number) {
+  const minutes = Math.ceil(retryAfter / 60);
+  return jsonResponse(
+    {
+      error: `Too many incorrect codes. Try again in ${minutes} ${minutes === 1 ? "minute" : "minutes"}.`,
+      locked: true,
+      retry_after: retryAfter,
+    },
+    429
+  );
+}
+
+const ADMIN_ROLES = ["owner", "staff", "read-only"];
+
+interface AdminUser {
+  email: string;
+  role: string;
+  sessionId: number;
+}
+
+// Minutes without a request before a session ends (ADMIN_SESSION_IDLE_MINUTES, default 60)
+function getSessionIdleMinutes(): number {
+  const minutes = parseInt(Netlify.env.get("ADMIN_SESSION_IDLE_MINUTES") || "");
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : 60;
 }
 
-// Session-based authentication
-async function checkAuth(request: Request, sql: ReturnType<typeof neon>): Promise<boolean> {
+// Hard limit on a session's lifetime, however active it is
+const SESSION_MAX_HOURS = 24;
+
+// Session-based authentication. Returns the signed-in admin, or null.
+// Each request slides the expiry forward by the idle timeout (capped at
+// SESSION_MAX_HOURS from sign-in). Sessions of revoked users stop working straight away.
+async function checkAuth(request: Request, sql: ReturnType<typeof neon>): Promise<AdminUser | null> {
   const authHeader = request.headers.get("Authorization");
 
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return false;
+    return null;
   }
 
   const token = authHeader.replace("Bearer ", "");
 
   try {
     const sessions = await sql`
-      SELECT * FROM admin_sessions
-      WHERE token = ${token}
-        AND expires_at > NOW()
+      UPDATE admin_sessions s
+      SET last_used_at = NOW(),
+        expires_at = LEAST(
+          NOW() + make_interval(mins => ${getSessionIdleMinutes()}),
+          s.created_at + make_interval(hours => ${SESSION_MAX_HOURS})
+        )
+      FROM admin_users u
+      WHERE s.token = ${token}
+        AND s.expires_at > NOW()
+        AND u.email = s.email
+        AND u.revoked_at IS NULL
+      RETURNING s.id, s.email, u.role
     `;
-    return sessions.length > 0;
+    return sessions.length > 0 ? { email: sessions[0].email, role: sessions[0].role, sessionId: sessions[0].id } : null;
   } catch (error) {
     console.error("Auth check error:", error);
+    return null;
+  }
+}
+
+// Caller's IP as reported by Netlify's edge
+function getClientIp(request: Request): string | null {
+  const forwarded = request.headers.get("x-forwarded-for");
+  return request.headers.get("x-nf-client-connection-ip") || (forwarded ? forwarded.split(",")[0].trim() : null);
+}
+
+// Routes every signed-in admin may use on their own account, whatever their role
+const SELF_SERVICE_ROUTES: Array<[string, RegExp]> = [
+  ["POST", /\/api\/admin\/passkeys$/],
+  ["POST", /\/api\/admin\/passkeys\/register\/options$/],
+  ["DELETE", /\/api\/admin\/passkeys$/],
+  ["DELETE", /\/api\/admin\/sessions$/],
+];
+
+// Routes only owners may use: trash, bulk import, the ledger, calendar links and team management
+const OWNER_ROUTES: Array<[string, RegExp]> = [
+  ["DELETE", /\/api\/admin\/clients$/],
+  ["GET", /\/api\/admin\/clients\/trash$/],
+  ["DELETE", /\/api\/admin\/clients\/trash$/],
+  ["POST", /\/api\/admin\/clients\/restore$/],
+  ["POST", /\/api\/admin\/clients\/import$/],
+  ["POST", /\/api\/admin\/clients\/merge$/],
+  ["POST", /\/api\/admin\/ledger$/],
+  ["DELETE", /\/api\/admin\/ledger$/],
+  ["GET", /\/api\/admin\/calendar\/feeds$/],
+  ["POST", /\/api\/admin\/calendar\/feeds$/],
+  ["DELETE", /\/api\/admin\/calendar\/feeds$/],
+  ["GET", /\/api\/admin\/users$/],
+  ["POST", /\/api\/admin\/users$/],
+  ["PUT", /\/api\/admin\/users$/],
+  ["DELETE", /\/api\/admin\/users$/],
+];
+
+function canAccess(admin: AdminUser, method: string, pathname: string): boolean {
+  if (admin.role === "owner") return true;
+  if (SELF_SERVICE_ROUTES.some(([routeMethod, pattern]) => routeMethod === method && pattern.test(pathname))) {
+    return true;
+  }
+  if (OWNER_ROUTES.some(([routeMethod, pattern]) => routeMethod === method && pattern.test(pathname))) {
     return false;
   }
+  // Read-only users can look but not change anything
+  return admin.role !== "read-only" || method === "GET";
+}
+
+// Client fields only owners can see or edit
+const FINANCIAL_CLIENT_FIELDS = ["budget", "cost"];
+
+function canSeeFinancials(admin: AdminUser): boolean {
+  return admin.role === "owner";
+}
+
+// Drop financial fields, the ledger and financial audit changes from a client row
+function redactClient(client: Record<string, any>, admin: AdminUser): Record<string, any> {
+  if (canSeeFinancials(admin)) return client;
+
+  const { ledger, ledger_summary, overdue_invoices, ...rest } = client;
+  for (const field of FINANCIAL_CLIENT_FIELDS) delete rest[field];
+  if (Array.isArray(rest.audit)) {
+    rest.audit = rest.audit.map((entry: Record<string, any>) => {
+      const changes = { ...(entry.changes || {}) };
+      for (const field of FINANCIAL_CLIENT_FIELDS) delete changes[field];
+      return { ...entry, changes };
+    });
+  }
+  return rest;
+}
+
+type FieldChanges = Record<string, { from: unknown; to: unknown }>;
+
+// Field-level diff between a stored row and incoming values (only fields that actually change)
+function diffFields(before: Record<string, any>, after: Record<string, any>, fields: string[]): FieldChanges {
+  const changes: FieldChanges = {};
+  for (const field of fields) {
+    if (!(field in after)) continue;
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (String(from ?? "") !== String(to ?? "")) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+// Append an entry to the audit log. Failures are logged, never surfaced: the change itself already succeeded
+async function recordAudit(
+  sql: ReturnType<typeof neon>,
+  entry: { clientId: number | null; entityType: string; entityId: number | null; action: string; actor: string | null; changes?: unknown }
+) {
+  try {
+    await sql`
+      INSERT INTO audit_log (client_id, entity_type, entity_id, action, actor_email, changes)
+      VALUES (${entry.clientId}, ${entry.entityType}, ${entry.entityId}, ${entry.action}, ${entry.actor}, ${JSON.stringify(entry.changes || {})})
+    `;
+  } catch (error) {
+    console.error("Error writing audit log:", error);
+  }
 }
 
 // JSON response helper
@@ -139,17 +296,22 @@ async function sendOTP(request: Request, sql: ReturnType<typeof neon>) {
       return errorResponse("Email is required", 400);
     }
 
-    // Check if this email is the allowed admin email
-    const adminEmail = Netlify.env.get("ADMIN_EMAIL");
-    if (!adminEmail) {
-      console.error("ADMIN_EMAIL not configured");
-      return errorResponse("Admin login not configured", 500);
+    // No new codes while locked out (checked for every address, so it doesn't reveal which are admins)
+    const lockout = await getOtpLockout(sql, email.trim().toLowerCase(), getClientIp(request));
+    if (lockout.retryAfter > 0) {
+      return lockoutResponse(lockout.retryAfter);
     }
 
-    if (email.trim().toLowerCase() !== adminEmail.trim().toLowerCase()) {
+    // Check if this email belongs to an active admin user
+    const admins = await sql`
+      SELECT id FROM admin_users
+      WHERE email = ${email.trim().toLowerCase()} AND revoked_at IS NULL
+    `;
+
+    if (admins.length === 0) {
       // Don't reveal whether the email exists — just say "sent"
       // This prevents email enumeration
-      console.log("OTP: email mismatch", { provided: email.trim().toLowerCase(), expected: adminEmail.trim().toLowerCase() });
+      console.log("OTP: no active admin user", { provided: email.trim().toLowerCase() });
       return jsonResponse({ sent: true });
     }
 
@@ -167,11 +329,12 @@ async function sendOTP(request: Request, sql: ReturnType<typeof neon>) {
       return errorResponse("Too many attempts. Try again later.", 429);
     }
 
-    // Generate OTP (expires in 10 minutes)
+    // Generate OTP (expires in 10 minutes). Only a salted hash is stored
     const code = generateOTP();
+    const salt = toBase64url(crypto.getRandomValues(new Uint8Array(16)));
     await sql`
-      INSERT INTO otp_codes (email, code, expires_at)
-      VALUES (${email.toLowerCase()}, ${code}, NOW() + INTERVAL '10 minutes')
+      INSERT INTO otp_codes (email, code_hash, salt, expires_at)
+      VALUES (${email.toLowerCase()}, ${await hashOtp(code, salt)}, ${salt}, NOW() + INTERVAL '10 minutes')
     `;
 
     // Send OTP via Resend
@@ -245,6 +408,29 @@ async function sendOTP(request: Request, sql: ReturnType<typeof neon>) {
   }
 }
 
+// Start a session for an admin user (after OTP or passkey sign-in). It lasts
+// as long as it keeps being used; see checkAuth
+async function createSession(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: Record<string, any>,
+  extra: Record<string, unknown> = {}
+) {
+  // Clean up expired sessions
+  await sql`DELETE FROM admin_sessions WHERE expires_at < NOW()`;
+
+  const idleMinutes = getSessionIdleMinutes();
+  const token = generateSessionToken();
+  const userAgent = (request.headers.get("User-Agent") || "").slice(0, 500) || null;
+  await sql`
+    INSERT INTO admin_sessions (token, email, expires_at, last_used_at, ip, user_agent)
+    VALUES (${token}, ${admin.email}, NOW() + make_interval(mins => ${idleMinutes}), NOW(), ${getClientIp(request)}, ${userAgent})
+  `;
+  await sql`UPDATE admin_users SET last_login_at = NOW() WHERE id = ${admin.id}`;
+
+  return jsonResponse({ token, expiresIn: idleMinutes * 60, user: { email: admin.email, role: admin.role }, ...extra });
+}
+
 // POST /api/admin/otp/verify — verify OTP and create session (no auth required)
 async function verifyOTP(request: Request, sql: ReturnType<typeof neon>) {
   try {
@@ -255,41 +441,70 @@ async function verifyOTP(request: Request, sql: ReturnType<typeof neon>) {
       return errorResponse("Email and code are required", 400);
     }
 
-    // Check if this email is the allowed admin email
-    const adminEmail = Netlify.env.get("ADMIN_EMAIL");
-    if (!adminEmail || email.toLowerCase() !== adminEmail.toLowerCase()) {
-      return errorResponse("Invalid code", 401);
+    const normalizedEmail = String(email).trim().toLowerCase();
+    const ip = getClientIp(request);
+
+    // Failures only count for 24 hours (and no lockout lasts longer), so drop older ones.
+    // Guesses against unknown addresses are never cleared by a sign-in.
+    await sql`DELETE FROM otp_failures WHERE created_at < NOW() - INTERVAL '24 hours'`;
+
+    // Record the attempt as a failure before judging it, so a burst of parallel guesses
+    // all count against each other; a correct code clears it again below. Attempts made
+    // while locked out stay recorded and restart the lockout.
+    await sql`INSERT INTO otp_failures (email, ip) VALUES (${normalizedEmail}, ${ip})`;
+    const lockout = await getOtpLockout(sql, normalizedEmail, ip, 1);
+    if (lockout.retryAfter > 0) {
+      return lockoutResponse(lockout.retryAfter);
     }
 
-    // Find valid OTP
-    const otpCodes = await sql`
-      SELECT * FROM otp_codes
-      WHERE email = ${email.toLowerCase()}
-        AND code = ${code}
-        AND expires_at > NOW()
-        AND used = FALSE
-      ORDER BY created_at DESC
-      LIMIT 1
+    // Check if this email belongs to an active admin user
+    const admins = await sql`
+      SELECT * FROM admin_users
+      WHERE email = ${normalizedEmail} AND revoked_at IS NULL
     `;
 
-    if (otpCodes.length === 0) {
-      return errorResponse("Invalid or expired code", 401);
+    // Compare against every outstanding code for this email (a resend doesn't cancel the previous one)
+    const otpCodes = admins.length > 0
+      ? await sql`
+          SELECT * FROM otp_codes
+          WHERE email = ${normalizedEmail}
+            AND expires_at > NOW()
+            AND used = FALSE
+          ORDER BY created_at DESC
+        `
+      : [];
+    let match: Record<string, any> | null = null;
+    for (const otp of otpCodes) {
+      if ((await hashOtp(String(code), otp.salt)) === otp.code_hash) {
+        match = otp;
+        break;
+      }
     }
 
-    // Mark OTP as used
-    await sql`UPDATE otp_codes SET used = TRUE WHERE id = ${otpCodes[0].id}`;
-
-    // Clean up old sessions for this email
-    await sql`DELETE FROM admin_sessions WHERE expires_at < NOW()`;
+    if (!match) {
+      // The attempt is already recorded. Unknown addresses count too, so lockouts
+      // don't reveal which emails are admins
+      const after = await getOtpLockout(sql, normalizedEmail, ip);
+      if (after.retryAfter > 0) {
+        // Burn outstanding codes: after a lockout the admin needs a fresh one
+        await sql`UPDATE otp_codes SET used = TRUE WHERE email = ${normalizedEmail} AND used = FALSE`;
+        return lockoutResponse(after.retryAfter);
+      }
+      return jsonResponse(
+        {
+          error: `Invalid or expired code. ${after.attemptsRemaining} ${after.attemptsRemaining === 1 ? "attempt" : "attempts"} left.`,
+          attempts_remaining: after.attemptsRemaining,
+        },
+        401
+      );
+    }
 
-    // Create session (valid for 24 hours)
-    const token = generateSessionToken();
-    await sql`
-      INSERT INTO admin_sessions (token, email, expires_at)
-      VALUES (${token}, ${email.toLowerCase()}, NOW() + INTERVAL '24 hours')
-    `;
+    // Mark OTP as used and reset this email's failure count
+    await sql`UPDATE otp_codes SET used = TRUE WHERE id = ${match.id}`;
+    await sql`DELETE FROM otp_failures WHERE email = ${normalizedEmail}`;
 
-    return jsonResponse({ token, expiresIn: 86400 });
+    const passkeys = await sql`SELECT COUNT(*)::int AS count FROM admin_passkeys WHERE email = ${admins[0].email}`;
+    return await createSession(request, sql, admins[0], { has_passkey: passkeys[0].count > 0 });
   } catch (error) {
     console.error("Error verifying OTP:", error);
     return errorResponse("Verification failed", 500);
@@ -311,206 +526,3202 @@ async function logout(request: Request, sql: ReturnType<typeof neon>) {
   }
 }
 
-// GET /api/admin/clients - list all or get single client
-async function getClients(
+// GET /api/admin/sessions - the signed-in admin's active sessions
+async function getSessions(
   request: Request,
-  sql: ReturnType<typeof neon>
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
 ) {
   try {
-    const url = new URL(request.url);
-    const clientId = url.searchParams.get("id");
+    const sessions = await sql`
+      SELECT id, created_at, last_used_at, expires_at, ip, user_agent, id = ${admin.sessionId} AS current
+      FROM admin_sessions
+      WHERE email = ${admin.email} AND expires_at > NOW()
+      ORDER BY last_used_at DESC NULLS LAST
+    `;
+    return jsonResponse({ sessions, idle_minutes: getSessionIdleMinutes() });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    return errorResponse("Failed to fetch sessions", 500);
+  }
+}
 
-    if (clientId) {
-      // Get single client with their inquiries
-      const clients = await sql`
-        SELECT * FROM clients WHERE id = ${parseInt(clientId)}
-      `;
+// DELETE /api/admin/sessions - sign out one session ({ id }) or every session, this one included ({ all: true })
+async function revokeSessions(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
 
-      if (clients.length === 0) {
-        return errorResponse("Client not found", 404);
-      }
+    if (body.all) {
+      const result = await sql`DELETE FROM admin_sessions WHERE email = ${admin.email} RETURNING id`;
+      return jsonResponse({ success: true, revoked: result.length });
+    }
 
-      const client = clients[0];
-      const inquiries = await sql`
-        SELECT * FROM inquiries WHERE client_id = ${parseInt(clientId)}
-        ORDER BY created_at DESC
-      `;
+    if (!body.id) {
+      return errorResponse("Session ID is required", 400);
+    }
 
-      return jsonResponse({ client: { ...client, inquiries } });
-    } else {
-      // Get all clients
-      const clients = await sql`
-        SELECT * FROM clients ORDER BY updated_at DESC
-      `;
-      return jsonResponse({ clients });
+    const result = await sql`
+      DELETE FROM admin_sessions WHERE id = ${parseInt(body.id)} AND email = ${admin.email}
+      RETURNING id
+    `;
+
+    if (result.length === 0) {
+      return errorResponse("Session not found", 404);
     }
+    return jsonResponse({ success: true, revoked: 1 });
   } catch (error) {
-    console.error("Error fetching clients:", error);
-    return errorResponse("Failed to fetch clients", 500);
+    console.error("Error revoking sessions:", error);
+    return errorResponse("Failed to sign out", 500);
   }
 }
 
-// POST /api/admin/clients - create new client
-async function createClient(
+// ---- Passkeys (WebAuthn) ----
+//
+// Registration asks for attestation "none" and reads the public key through the
+// browser's getPublicKey() (SPKI), so no CBOR parsing is needed here. OTP stays
+// the fallback and the way back in after losing a device.
+
+// COSE algorithm ids we accept: ES256 and RS256 cover platform authenticators and security keys
+const PASSKEY_ALGORITHMS: Record<number, { importParams: RsaHashedImportParams | EcKeyImportParams; verifyParams: AlgorithmIdentifier | EcdsaParams }> = {
+  [-7]: {
+    importParams: { name: "ECDSA", namedCurve: "P-256" },
+    verifyParams: { name: "ECDSA", hash: "SHA-256" },
+  },
+  [-257]: {
+    importParams: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+    verifyParams: { name: "RSASSA-PKCS1-v1_5" },
+  },
+};
+
+const WEBAUTHN_TIMEOUT_MS = 120000;
+
+function toBase64url(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64url(value: string): Uint8Array<ArrayBuffer> {
+  const base64 = String(value).replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+// Decode a base64url (or padded base64) field from the browser; null when it isn't valid
+function decodeBase64url(value: unknown): Uint8Array<ArrayBuffer> | null {
+  if (typeof value !== "string" || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(value)) return null;
+  try {
+    return fromBase64url(value);
+  } catch {
+    return null;
+  }
+}
+
+async function sha256(data: Uint8Array<ArrayBuffer>): Promise<Uint8Array<ArrayBuffer>> {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+}
+
+function concatBytes(a: Uint8Array, b: Uint8Array): Uint8Array<ArrayBuffer> {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+}
+
+// ES256 signatures arrive DER-encoded; WebCrypto expects raw r || s. Null when malformed
+function derToRawSignature(der: Uint8Array): Uint8Array<ArrayBuffer> | null {
+  const readInteger = (offset: number) => {
+    if (der[offset] !== 0x02) return null;
+    const length = der[offset + 1];
+    if (offset + 2 + length > der.length) return null;
+    let value = der.slice(offset + 2, offset + 2 + length);
+    while (value.length > 32 && value[0] === 0) value = value.slice(1);
+    if (value.length > 32) return null;
+    const padded = new Uint8Array(32);
+    padded.set(value, 32 - value.length);
+    return { value: padded, next: offset + 2 + length };
+  };
+  if (der[0] !== 0x30) return null;
+  const r = readInteger(2);
+  const s = r && readInteger(r.next);
+  if (!r || !s) return null;
+  return concatBytes(r.value, s.value);
+}
+
+// Relying party = the site serving the admin panel
+function getRelyingParty(request: Request) {
+  const url = new URL(request.url);
+  return { id: url.hostname, origin: url.origin, name: "Scale Rebel Studio Admin" };
+}
+
+async function issueChallenge(sql: ReturnType<typeof neon>, purpose: string, email: string | null): Promise<string> {
+  await sql`DELETE FROM webauthn_challenges WHERE expires_at < NOW()`;
+  const challenge = toBase64url(crypto.getRandomValues(new Uint8Array(32)));
+  await sql`
+    INSERT INTO webauthn_challenges (challenge, purpose, email, expires_at)
+    VALUES (${challenge}, ${purpose}, ${email}, NOW() + make_interval(secs => ${WEBAUTHN_TIMEOUT_MS / 1000}))
+  `;
+  return challenge;
+}
+
+// Check clientDataJSON and use up its challenge. Returns an error message, or null when valid
+async function verifyClientData(
+  sql: ReturnType<typeof neon>,
   request: Request,
-  sql: ReturnType<typeof neon>
-) {
+  clientDataJSON: Uint8Array<ArrayBuffer>,
+  type: "webauthn.create" | "webauthn.get",
+  email: string | null
+): Promise<string | null> {
+  let clientData: { type?: string; challenge?: string; origin?: string };
   try {
-    const body = await request.json();
-    const { name, email, phone, company, status = "lead", budget, deadline, cost, notes } = body;
+    clientData = JSON.parse(new TextDecoder().decode(clientDataJSON));
+  } catch {
+    return "Malformed client data";
+  }
 
-    if (!name) {
-      return errorResponse("Name is required", 400);
-    }
+  if (clientData.type !== type) return "Unexpected credential type";
+  if (clientData.origin !== getRelyingParty(request).origin) return "Origin mismatch";
+
+  const challenges = await sql`
+    DELETE FROM webauthn_challenges
+    WHERE challenge = ${String(clientData.challenge || "")}
+      AND purpose = ${type === "webauthn.create" ? "register" : "login"}
+      AND expires_at > NOW()
+    RETURNING email
+  `;
+  if (challenges.length === 0 || (email && challenges[0].email !== email)) {
+    return "Passkey request expired. Try again.";
+  }
+  return null;
+}
 
-    const result = await sql`
-      INSERT INTO clients (name, email, phone, company, status, budget, deadline, cost, notes)
-      VALUES (${name}, ${email || null}, ${phone || null}, ${company || null}, ${status}, ${budget || null}, ${deadline || null}, ${cost || null}, ${notes || null})
-      RETURNING *
+// Check the authenticator data's RP ID hash and user-presence flag; returns the signature counter
+async function verifyAuthenticatorData(request: Request, authData: Uint8Array): Promise<{ signCount: number } | null> {
+  if (authData.length < 37) return null;
+  const rpIdHash = await sha256(new TextEncoder().encode(getRelyingParty(request).id));
+  if (!rpIdHash.every((byte, i) => authData[i] === byte)) return null;
+
+  const userPresent = (authData[32] & 0x01) !== 0;
+  if (!userPresent) return null;
+
+  const signCount = new DataView(authData.buffer, authData.byteOffset + 33, 4).getUint32(0);
+  return { signCount };
+}
+
+// GET /api/admin/passkeys - the signed-in admin's passkeys
+async function getPasskeys(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const passkeys = await sql`
+      SELECT id, name, transports, created_at, last_used_at FROM admin_passkeys
+      WHERE email = ${admin.email}
+      ORDER BY created_at ASC
     `;
+    return jsonResponse({ passkeys });
+  } catch (error) {
+    console.error("Error fetching passkeys:", error);
+    return errorResponse("Failed to fetch passkeys", 500);
+  }
+}
 
-    return jsonResponse(result[0], 201);
+// POST /api/admin/passkeys/register/options - creation options for navigator.credentials.create()
+async function getPasskeyRegistrationOptions(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const users = await sql`SELECT id FROM admin_users WHERE email = ${admin.email}`;
+    const existing = await sql`SELECT credential_id, transports FROM admin_passkeys WHERE email = ${admin.email}`;
+    const rp = getRelyingParty(request);
+
+    return jsonResponse({
+      challenge: await issueChallenge(sql, "register", admin.email),
+      rp: { id: rp.id, name: rp.name },
+      // Opaque, stable user handle (no email address on the authenticator's user id)
+      user: { id: toBase64url(new TextEncoder().encode(`admin-${users[0].id}`)), name: admin.email, displayName: admin.email },
+      pubKeyCredParams: Object.keys(PASSKEY_ALGORITHMS).map((alg) => ({ type: "public-key", alg: Number(alg) })),
+      authenticatorSelection: { residentKey: "required", userVerification: "preferred" },
+      excludeCredentials: existing.map((p) => ({ type: "public-key", id: p.credential_id, transports: p.transports || [] })),
+      attestation: "none",
+      timeout: WEBAUTHN_TIMEOUT_MS,
+    });
   } catch (error) {
-    console.error("Error creating client:", error);
-    return errorResponse("Failed to create client", 500);
+    console.error("Error creating passkey options:", error);
+    return errorResponse("Failed to start passkey setup", 500);
   }
 }
 
-// PUT /api/admin/clients - update client
-async function updateClient(
+// POST /api/admin/passkeys - verify and store a new passkey for the signed-in admin
+async function registerPasskey(
   request: Request,
-  sql: ReturnType<typeof neon>
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
 ) {
   try {
     const body = await request.json();
-    const { id, name, email, phone, company, status, budget, deadline, cost, notes } = body;
+    const { id, client_data, authenticator_data, public_key, algorithm } = body;
 
-    if (!id) {
-      return errorResponse("Client ID is required", 400);
+    if (!id || !client_data || !authenticator_data || !public_key) {
+      return errorResponse("Incomplete passkey response", 400);
     }
-
-    // Build dynamic update query
-    const updates: string[] = [];
-    const values: unknown[] = [];
-    const fields = ["name", "email", "phone", "company", "status", "budget", "deadline", "cost", "notes"];
-    let paramIndex = 1;
-
-    for (const field of fields) {
-      if (field in body && field !== "id") {
-        updates.push(`${field} = $${paramIndex}`);
-        values.push(body[field] || null);
-        paramIndex++;
-      }
+    const clientDataJSON = decodeBase64url(client_data);
+    const authData = decodeBase64url(authenticator_data);
+    const publicKey = decodeBase64url(public_key);
+    if (!clientDataJSON || !authData || !publicKey) {
+      return errorResponse("Malformed passkey response", 400);
+    }
+    const alg = PASSKEY_ALGORITHMS[Number(algorithm)];
+    if (!alg) {
+      return errorResponse("This authenticator uses an unsupported algorithm", 400);
     }
 
-    if (updates.length === 0) {
-      return errorResponse("No fields to update", 400);
+    const clientError = await verifyClientData(sql, request, clientDataJSON, "webauthn.create", admin.email);
+    if (clientError) {
+      return errorResponse(clientError, 400);
+    }
+    if (!(await verifyAuthenticatorData(request, authData))) {
+      return errorResponse("Passkey was created for a different site", 400);
     }
 
-    values.push(id);
-    const query = `UPDATE clients SET ${updates.join(", ")}, updated_at = NOW() WHERE id = $${paramIndex} RETURNING *`;
+    // Make sure the key is usable before storing it
+    try {
+      await crypto.subtle.importKey("spki", publicKey, alg.importParams, false, ["verify"]);
+    } catch {
+      return errorResponse("Invalid public key", 400);
+    }
 
-    const result = await sql(query, values);
+    const transports = Array.isArray(body.transports) ? body.transports.map(String).slice(0, 10) : [];
+    const name = String(body.name || "").trim().slice(0, 100) || "Passkey";
+    const result = await sql`
+      INSERT INTO admin_passkeys (email, credential_id, public_key, algorithm, transports, name)
+      VALUES (${admin.email}, ${String(id)}, ${String(public_key)}, ${Number(algorithm)}, ${JSON.stringify(transports)}, ${name})
+      ON CONFLICT (credential_id) DO NOTHING
+      RETURNING id, name, transports, created_at, last_used_at
+    `;
 
     if (result.length === 0) {
-      return errorResponse("Client not found", 404);
+      return errorResponse("This passkey is already registered", 409);
     }
-
-    return jsonResponse(result[0]);
+    return jsonResponse(result[0], 201);
   } catch (error) {
-    console.error("Error updating client:", error);
-    return errorResponse("Failed to update client", 500);
+    console.error("Error registering passkey:", error);
+    return errorResponse("Failed to register passkey", 500);
   }
 }
 
-// DELETE /api/admin/clients - delete client
-async function deleteClient(
+// DELETE /api/admin/passkeys - remove one of the signed-in admin's passkeys
+async function deletePasskey(
   request: Request,
-  sql: ReturnType<typeof neon>
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
 ) {
   try {
     const body = await request.json();
     const { id } = body;
 
     if (!id) {
-      return errorResponse("Client ID is required", 400);
+      return errorResponse("Passkey ID is required", 400);
     }
 
     const result = await sql`
-      DELETE FROM clients WHERE id = ${parseInt(id)}
-      RETURNING *
+      DELETE FROM admin_passkeys WHERE id = ${parseInt(id)} AND email = ${admin.email}
+      RETURNING id
     `;
 
     if (result.length === 0) {
-      return errorResponse("Client not found", 404);
+      return errorResponse("Passkey not found", 404);
     }
-
-    return jsonResponse({ success: true, message: "Client deleted", client: result[0] });
+    return jsonResponse({ success: true });
   } catch (error) {
-    console.error("Error deleting client:", error);
-    return errorResponse("Failed to delete client", 500);
+    console.error("Error deleting passkey:", error);
+    return errorResponse("Failed to delete passkey", 500);
   }
 }
 
-// GET /api/admin/inquiries - list all inquiries
-async function getInquiries(
-  request: Request,
-  sql: ReturnType<typeof neon>
-) {
+// POST /api/admin/passkeys/login/options — request options for navigator.credentials.get() (no auth required).
+// No email is asked for: the browser offers the passkeys it holds for this site.
+async function getPasskeyLoginOptions(request: Request, sql: ReturnType<typeof neon>) {
   try {
-    const inquiries = await sql`
-      SELECT
-        inquiries.*,
-        clients.name as client_name
-      FROM inquiries
-      LEFT JOIN clients ON inquiries.client_id = clients.id
-      ORDER BY inquiries.created_at DESC
-    `;
-    return jsonResponse({ inquiries });
+    return jsonResponse({
+      challenge: await issueChallenge(sql, "login", null),
+      rpId: getRelyingParty(request).id,
+      userVerification: "preferred",
+      timeout: WEBAUTHN_TIMEOUT_MS,
+    });
   } catch (error) {
-    console.error("Error fetching inquiries:", error);
-    return errorResponse("Failed to fetch inquiries", 500);
+    console.error("Error creating passkey login options:", error);
+    return errorResponse("Passkey sign-in is unavailable", 500);
   }
 }
 
-// POST /api/admin/inquiries/link - link inquiry to client
-async function linkInquiry(
-  request: Request,
-  sql: ReturnType<typeof neon>
-) {
+// POST /api/admin/passkeys/login — verify a passkey assertion and create session (no auth required)
+async function loginWithPasskey(request: Request, sql: ReturnType<typeof neon>) {
   try {
     const body = await request.json();
-    const { inquiry_id, client_id } = body;
+    const { id, client_data, authenticator_data, signature } = body;
 
-    if (!inquiry_id || !client_id) {
-      return errorResponse("inquiry_id and client_id are required", 400);
+    if (!id || !client_data || !authenticator_data || !signature) {
+      return errorResponse("Incomplete passkey response", 400);
+    }
+    const clientDataJSON = decodeBase64url(client_data);
+    const authData = decodeBase64url(authenticator_data);
+    const rawSignature = decodeBase64url(signature);
+    if (!clientDataJSON || !authData || !rawSignature) {
+      return errorResponse("Malformed passkey response", 400);
     }
 
-    const result = await sql`
-      UPDATE inquiries
-      SET client_id = ${parseInt(client_id)}
-      WHERE id = ${parseInt(inquiry_id)}
-      RETURNING *
+    const passkeys = await sql`
+      SELECT p.*, u.id AS user_id, u.role FROM admin_passkeys p
+      JOIN admin_users u ON u.email = p.email AND u.revoked_at IS NULL
+      WHERE p.credential_id = ${String(id)}
     `;
+    if (passkeys.length === 0) {
+      return errorResponse("This passkey isn't registered. Sign in with an email code instead.", 401);
+    }
+    const passkey = passkeys[0];
+    const alg = PASSKEY_ALGORITHMS[passkey.algorithm];
 
-    if (result.length === 0) {
-      return errorResponse("Inquiry not found", 404);
+    const clientError = await verifyClientData(sql, request, clientDataJSON, "webauthn.get", null);
+    if (clientError) {
+      return errorResponse(clientError, 401);
     }
 
-    return jsonResponse({ success: true, inquiry: result[0] });
+    const checked = await verifyAuthenticatorData(request, authData);
+    if (!checked || !alg) {
+      return errorResponse("Passkey sign-in failed", 401);
+    }
+
+    const key = await crypto.subtle.importKey("spki", fromBase64url(passkey.public_key), alg.importParams, false, ["verify"]);
+    const signatureBytes = passkey.algorithm === -7 ? derToRawSignature(rawSignature) : rawSignature;
+    if (!signatureBytes) {
+      return errorResponse("Malformed passkey response", 400);
+    }
+    const valid = await crypto.subtle.verify(
+      alg.verifyParams,
+      key,
+      signatureBytes,
+      concatBytes(authData, await sha256(clientDataJSON))
+    );
+    if (!valid) {
+      return errorResponse("Passkey sign-in failed", 401);
+    }
+
+    // A counter that goes backwards suggests a cloned authenticator (synced passkeys always report 0)
+    const storedCount = Number(passkey.sign_count);
+    if (checked.signCount > 0 || storedCount > 0) {
+      if (checked.signCount <= storedCount) {
+        console.error("Passkey counter did not increase", { id: passkey.id, storedCount, signCount: checked.signCount });
+        return errorResponse("Passkey sign-in failed", 401);
+      }
+    }
+
+    await sql`
+      UPDATE admin_passkeys SET sign_count = ${checked.signCount}, last_used_at = NOW()
+      WHERE id = ${passkey.id}
+    `;
+
+    return await createSession(request, sql, { id: passkey.user_id, email: passkey.email, role: passkey.role });
   } catch (error) {
-    console.error("Error linking inquiry:", error);
-    return errorResponse("Failed to link inquiry", 500);
+    console.error("Error signing in with passkey:", error);
+    return errorResponse("Passkey sign-in failed", 500);
   }
 }
 
-// Main handler — Netlify Functions V2: first arg is Request, second is Context
-export default async function handler(request: Request, context: Context) {
-  // Handle CORS preflight
-  if (request.method === "OPTIONS") {
-    return handleCors();
-  }
-
+// GET /api/admin/users - list admin users (owner only)
+async function getAdminUsers(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const users = await sql`
+      SELECT id, email, role, invited_by, last_login_at, revoked_at, created_at
+      FROM admin_users
+      ORDER BY revoked_at IS NOT NULL, created_at ASC
+    `;
+    return jsonResponse({ users });
+  } catch (error) {
+    console.error("Error fetching admin users:", error);
+    return errorResponse("Failed to fetch users", 500);
+  }
+}
+
+// Tell a new admin user they can sign in. Failures are logged: the invite itself already worked
+async function sendInviteEmail(request: Request, email: string, role: string, invitedBy: string) {
+  const resendApiKey = Netlify.env.get("RESEND_API_KEY");
+  const fromEmail = Netlify.env.get("FROM_EMAIL");
+  if (!resendApiKey || !fromEmail) {
+    console.error("Email config missing: RESEND_API_KEY or FROM_EMAIL");
+    return false;
+  }
+
+  const loginUrl = `${new URL(request.url).origin}/admin`;
+  try {
+    const response = await fetch("https://api.resend.com/emails", {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${resendApiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        from: `The Scale Rebel <${fromEmail}>`,
+        to: [email],
+        subject: "You've been invited to the admin dashboard",
+        html: `
+          <p>${escapeHtml(invitedBy)} gave you <strong>${escapeHtml(role)}</strong> access to the Scale Rebel Studio admin dashboard.</p>
+          <p>Sign in at <a href="${loginUrl}">${loginUrl}</a> with this email address. We'll email you a one-time code each time.</p>
+        `,
+      }),
+    });
+    if (!response.ok) {
+      console.error("Resend API error:", await response.json().catch(() => ({})));
+    }
+    return response.ok;
+  } catch (error) {
+    console.error("Error sending invite email:", error);
+    return false;
+  }
+}
+
+// POST /api/admin/users - invite a user, or restore access for a revoked one (owner only)
+async function inviteAdminUser(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const email = String(body.email || "").trim().toLowerCase();
+    const role = body.role || "staff";
+
+    if (!isValidEmail(email)) {
+      return errorResponse("A valid email address is required", 400);
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return errorResponse(`Role must be one of: ${ADMIN_ROLES.join(", ")}`, 400);
+    }
+
+    const existing = await sql`SELECT * FROM admin_users WHERE email = ${email}`;
+    if (existing.length > 0 && !existing[0].revoked_at) {
+      return errorResponse("That email already has access", 409);
+    }
+
+    const result = await sql`
+      INSERT INTO admin_users (email, role, invited_by)
+      VALUES (${email}, ${role}, ${admin.email})
+      ON CONFLICT (email) DO UPDATE
+      SET role = EXCLUDED.role, invited_by = EXCLUDED.invited_by, revoked_at = NULL
+      RETURNING id, email, role, invited_by, last_login_at, revoked_at, created_at
+    `;
+
+    await recordAudit(sql, {
+      clientId: null,
+      entityType: "admin_user",
+      entityId: result[0].id,
+      action: "invite",
+      actor: admin.email,
+      changes: { role: { from: existing[0]?.role ?? null, to: role } },
+    });
+
+    const emailSent = await sendInviteEmail(request, email, role, admin.email);
+    return jsonResponse({ ...result[0], email_sent: emailSent }, 201);
+  } catch (error) {
+    console.error("Error inviting admin user:", error);
+    return errorResponse("Failed to invite user", 500);
+  }
+}
+
+// True when the user is an active owner and no other active owner exists
+async function isLastOwner(sql: ReturnType<typeof neon>, user: Record<string, any>): Promise<boolean> {
+  if (user.role !== "owner" || user.revoked_at) return false;
+  const owners = await sql`
+    SELECT COUNT(*)::int AS count FROM admin_users WHERE role = 'owner' AND revoked_at IS NULL
+  `;
+  return owners[0].count <= 1;
+}
+
+// PUT /api/admin/users - change a user's role (owner only)
+async function updateAdminUser(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const { id, role } = body;
+
+    if (!id) {
+      return errorResponse("User ID is required", 400);
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return errorResponse(`Role must be one of: ${ADMIN_ROLES.join(", ")}`, 400);
+    }
+
+    const before = await sql`SELECT * FROM admin_users WHERE id = ${parseInt(id)}`;
+    if (before.length === 0) {
+      return errorResponse("User not found", 404);
+    }
+    if (role !== "owner" && (await isLastOwner(sql, before[0]))) {
+      return errorResponse("There must be at least one owner", 400);
+    }
+
+    const result = await sql`
+      UPDATE admin_users SET role = ${role} WHERE id = ${parseInt(id)}
+      RETURNING id, email, role, invited_by, last_login_at, revoked_at, created_at
+    `;
+
+    if (before[0].role !== role) {
+      await recordAudit(sql, {
+        clientId: null,
+        entityType: "admin_user",
+        entityId: result[0].id,
+        action: "update",
+        actor: admin.email,
+        changes: { role: { from: before[0].role, to: role } },
+      });
+    }
+
+    return jsonResponse(result[0]);
+  } catch (error) {
+    console.error("Error updating admin user:", error);
+    return errorResponse("Failed to update user", 500);
+  }
+}
+
+// DELETE /api/admin/users - revoke a user's access, end their sessions and remove their passkeys (owner only)
+async function revokeAdminUser(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("User ID is required", 400);
+    }
+
+    const users = await sql`SELECT * FROM admin_users WHERE id = ${parseInt(id)} AND revoked_at IS NULL`;
+    if (users.length === 0) {
+      return errorResponse("User not found", 404);
+    }
+    if (users[0].email === admin.email) {
+      return errorResponse("You can't revoke your own access", 400);
+    }
+
+    await sql.transaction((txn) => [
+      txn`UPDATE admin_users SET revoked_at = NOW() WHERE id = ${users[0].id}`,
+      txn`DELETE FROM admin_sessions WHERE email = ${users[0].email}`,
+      txn`DELETE FROM admin_passkeys WHERE email = ${users[0].email}`,
+    ]);
+
+    await recordAudit(sql, {
+      clientId: null,
+      entityType: "admin_user",
+      entityId: users[0].id,
+      action: "revoke",
+      actor: admin.email,
+      changes: { role: { from: users[0].role, to: null } },
+    });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error("Error revoking admin user:", error);
+    return errorResponse("Failed to revoke user", 500);
+  }
+}
+
+const CLIENT_PAGE_SIZE = 50;
+const CLIENT_PAGE_MAX = 200;
+
+// Sortable client list columns. Text columns sort blanks as "" so every row has a
+// non-null key for the cursor; cost is hidden from roles that can't see financials
+const CLIENT_SORTS: Record<string, { expr: string; type: string; financial?: boolean }> = {
+  name: { expr: "LOWER(c.name)", type: "text" },
+  company: { expr: "LOWER(COALESCE(c.company, ''))", type: "text" },
+  status: { expr: "COALESCE(c.status, 'lead')", type: "text" },
+  budget: { expr: "COALESCE(c.budget, '')", type: "text", financial: true },
+  deadline: { expr: "COALESCE(c.deadline, '')", type: "text" },
+  cost: { expr: "COALESCE(c.cost, '')", type: "text", financial: true },
+  created_at: { expr: "c.created_at", type: "timestamp" },
+  updated_at: { expr: "c.updated_at", type: "timestamp" },
+};
+
+interface ClientCursor {
+  sort: string;
+  dir: string;
+  key: string;
+  id: number;
+}
+
+// Opaque keyset cursor: the last row's sort key and id, plus the sort it belongs to
+function encodeClientCursor(cursor: ClientCursor): string {
+  return toBase64url(new TextEncoder().encode(JSON.stringify(cursor)));
+}
+
+function decodeClientCursor(value: string): ClientCursor | null {
+  try {
+    const cursor = JSON.parse(new TextDecoder().decode(fromBase64url(value)));
+    return typeof cursor.key === "string" && Number.isInteger(cursor.id) ? cursor : null;
+  } catch {
+    return null;
+  }
+}
+
+// GET /api/admin/clients - one client by ?id, or a page of clients (?q, status, sort, dir, cursor, limit)
+async function getClients(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const url = new URL(request.url);
+    const clientId = url.searchParams.get("id");
+
+    if (clientId) {
+      // Get single client with their inquiries
+      const clients = await sql`
+        SELECT * FROM clients WHERE id = ${parseInt(clientId)} AND deleted_at IS NULL
+      `;
+
+      if (clients.length === 0) {
+        return errorResponse("Client not found", 404);
+      }
+
+      const client = clients[0];
+      const inquiries = await sql`
+        SELECT * FROM inquiries WHERE client_id = ${parseInt(clientId)}
+        ORDER BY created_at DESC
+      `;
+      const milestones = await sql`
+        SELECT * FROM client_milestones WHERE client_id = ${parseInt(clientId)}
+        ORDER BY COALESCE(due_date, meeting_at::date) ASC NULLS LAST, id ASC
+      `;
+      const nextMilestone = milestones.find((m) => isOpenMilestone(m.status)) || null;
+      const ledgerRows = await sql`
+        SELECT * FROM client_ledger WHERE client_id = ${parseInt(clientId)}
+        ORDER BY entry_date DESC, id DESC
+      `;
+      const { entries: ledger, summary: ledger_summary } = summarizeLedger(ledgerRows, client.cost);
+      const emails = await sql`
+        SELECT * FROM client_emails WHERE client_id = ${parseInt(clientId)}
+        ORDER BY created_at DESC
+      `;
+      const audit = await sql`
+        SELECT * FROM audit_log WHERE client_id = ${parseInt(clientId)}
+        ORDER BY created_at DESC, id DESC
+      `;
+      const files = await withFileUrls(await sql`
+        SELECT * FROM client_files WHERE client_id = ${parseInt(clientId)}
+        ORDER BY created_at DESC, id DESC
+      `);
+      const briefs = await sql`SELECT * FROM client_briefs WHERE client_id = ${parseInt(clientId)}`;
+      const brief = briefs.length > 0 ? { ...briefs[0], sections: BRIEF_SECTIONS } : null;
+
+      return jsonResponse({
+        client: redactClient(
+          { ...client, inquiries, milestones, next_milestone: nextMilestone, ledger, ledger_summary, emails, audit, files, brief },
+          admin
+        ),
+      });
+    } else {
+      // One page of live clients, each with its earliest open milestone
+      const query = (url.searchParams.get("q") || "").trim();
+      const status = url.searchParams.get("status") || "all";
+      const sortField = url.searchParams.get("sort") || "updated_at";
+      const direction = url.searchParams.get("dir") === "asc" ? "asc" : "desc";
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get("limit") || "") || CLIENT_PAGE_SIZE, 1), CLIENT_PAGE_MAX);
+
+      const sort = CLIENT_SORTS[sortField];
+      if (!sort || (sort.financial && !canSeeFinancials(admin))) {
+        return errorResponse("Invalid sort field", 400);
+      }
+      if (status !== "all" && !CLIENT_STATUSES.includes(status)) {
+        return errorResponse("Invalid status", 400);
+      }
+
+      const conditions = ["c.deleted_at IS NULL"];
+      const values: unknown[] = [];
+
+      if (query) {
+        values.push(`%${query.replace(/[\\%_]/g, "\\$&")}%`);
+        const like = `$${values.length}`;
+        const matches = ["c.name", "c.company", "c.email", "c.phone", "c.notes"].map((column) => `${column} ILIKE ${like}`);
+
+        // Phone numbers also match on digits alone, so "555 0100" finds "(555) 555-0100"
+        const digits = query.replace(/\D/g, "");
+        if (digits.length >= 3 && /^[\d\s()+.-]+$/.test(query)) {
+          values.push(`%${digits}%`);
+          matches.push(`regexp_replace(COALESCE(c.phone, ''), '\\D', '', 'g') LIKE $${values.length}`);
+        }
+        conditions.push(`(${matches.join(" OR ")})`);
+      }
+      if (status !== "all") {
+        values.push(status);
+        conditions.push(`COALESCE(c.status, 'lead') = $${values.length}`);
+      }
+
+      // Total for the current filters, before the cursor narrows it to later pages
+      const counted = await sql.query(
+        `SELECT COUNT(*)::int AS total FROM clients c WHERE ${conditions.join(" AND ")}`,
+        values
+      );
+
+      const cursorParam = url.searchParams.get("cursor");
+      if (cursorParam) {
+        const cursor = decodeClientCursor(cursorParam);
+        if (!cursor || cursor.sort !== sortField || cursor.dir !== direction) {
+          return errorResponse("Invalid cursor", 400);
+        }
+        values.push(cursor.key, cursor.id);
+        conditions.push(
+          `(${sort.expr}, c.id) ${direction === "asc" ? ">" : "<"} ($${values.length - 1}::${sort.type}, $${values.length}::int)`
+        );
+      }
+      values.push(limit + 1);
+
+      const rows = await sql.query(
+        `
+        SELECT c.*, row_to_json(nm) AS next_milestone, (${sort.expr})::text AS sort_key,
+          (SELECT b.status FROM client_briefs b WHERE b.client_id = c.id) AS brief_status,
+          (
+            SELECT COUNT(*)::int FROM client_ledger i
+            WHERE i.client_id = c.id
+              AND i.entry_type = 'invoice'
+              AND i.due_date < CURRENT_DATE
+              AND i.amount > (
+                SELECT COALESCE(SUM(CASE WHEN p.entry_type = 'refund' THEN -p.amount ELSE p.amount END), 0)
+                FROM client_ledger p WHERE p.invoice_id = i.id
+              )
+          ) AS overdue_invoices
+        FROM clients c
+        LEFT JOIN LATERAL (
+          SELECT m.id, m.phase, m.due_date, m.status, m.meeting_at
+          FROM client_milestones m
+          WHERE m.client_id = c.id
+            AND COALESCE(m.status, 'planned') NOT IN ('done', 'cancelled')
+          ORDER BY COALESCE(m.due_date, m.meeting_at::date) ASC NULLS LAST, m.id ASC
+          LIMIT 1
+        ) nm ON TRUE
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY ${sort.expr} ${direction}, c.id ${direction}
+        LIMIT $${values.length}
+        `,
+        values
+      );
+
+      const page = rows.slice(0, limit);
+      const last = page[page.length - 1];
+      const nextCursor =
+        rows.length > limit ? encodeClientCursor({ sort: sortField, dir: direction, key: last.sort_key, id: last.id }) : null;
+
+      return jsonResponse({
+        clients: page.map(({ sort_key, ...client }) => redactClient(client, admin)),
+        total: counted[0].total,
+        next_cursor: nextCursor,
+      });
+    }
+  } catch (error) {
+    console.error("Error fetching clients:", error);
+    return errorResponse("Failed to fetch clients", 500);
+  }
+}
+
+// POST /api/admin/clients - create new client. Probable duplicates are returned with a 409
+// instead, unless the request says allow_duplicate
+async function createClient(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const { name, email, phone, company, status = "lead", deadline, notes } = body;
+    const budget = canSeeFinancials(admin) ? body.budget : null;
+    const cost = canSeeFinancials(admin) ? body.cost : null;
+
+    if (!name) {
+      return errorResponse("Name is required", 400);
+    }
+
+    if (!body.allow_duplicate) {
+      const duplicates = await findDuplicateClients(sql, { name, email, phone });
+      if (duplicates.length > 0) {
+        return jsonResponse({ error: "This looks like an existing client", duplicates }, 409);
+      }
+    }
+
+    const result = await sql`
+      INSERT INTO clients (name, email, phone, company, status, budget, deadline, cost, notes)
+      VALUES (${name}, ${email || null}, ${phone || null}, ${company || null}, ${status}, ${budget || null}, ${deadline || null}, ${cost || null}, ${notes || null})
+      RETURNING *
+    `;
+
+    const client = result[0];
+    await recordAudit(sql, {
+      clientId: client.id,
+      entityType: "client",
+      entityId: client.id,
+      action: "create",
+      actor: admin.email,
+      changes: diffFields({}, client, CLIENT_IMPORT_FIELDS),
+    });
+
+    return jsonResponse(redactClient(client, admin), 201);
+  } catch (error) {
+    console.error("Error creating client:", error);
+    return errorResponse("Failed to create client", 500);
+  }
+}
+
+const CLIENT_STATUSES = ["lead", "active", "completed", "archived"];
+
+const CLIENT_IMPORT_FIELDS = ["name", "email", "phone", "company", "status", "budget", "deadline", "cost", "notes"];
+
+const IMPORT_MAX_ROWS = 1000;
+
+// POST /api/admin/clients/import - bulk create clients from a mapped CSV.
+// Rows whose email matches an existing client are skipped, or update that client when on_duplicate = "update".
+async function importClients(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const { clients, on_duplicate = "skip" } = body;
+
+    if (!Array.isArray(clients) || clients.length === 0) {
+      return errorResponse("clients must be a non-empty array", 400);
+    }
+    if (clients.length > IMPORT_MAX_ROWS) {
+      return errorResponse(`Import at most ${IMPORT_MAX_ROWS} clients at a time`, 400);
+    }
+
+    const existing = await sql`
+      SELECT *, LOWER(TRIM(email)) AS email_key FROM clients
+      WHERE email IS NOT NULL AND TRIM(email) <> '' AND deleted_at IS NULL
+    `;
+    const idsByEmail = new Map(existing.map((row) => [row.email_key, row.id]));
+    const rowsById = new Map(existing.map((row) => [row.id, row]));
+    const seenEmails = new Set<string>();
+
+    let skipped = 0;
+    const errors: { row: number; error: string }[] = [];
+    const inserts: Record<string, string | null>[] = [];
+    const updates: { id: number; record: Record<string, string | null> }[] = [];
+
+    clients.forEach((raw: Record<string, unknown>, index: number) => {
+      const record: Record<string, string | null> = {};
+      for (const field of CLIENT_IMPORT_FIELDS) {
+        const value = raw && raw[field] !== undefined && raw[field] !== null ? String(raw[field]).trim() : "";
+        record[field] = value || null;
+      }
+
+      if (!record.name) {
+        errors.push({ row: index + 1, error: "Name is required" });
+        return;
+      }
+      if (record.status) {
+        record.status = record.status.toLowerCase();
+        if (!CLIENT_STATUSES.includes(record.status)) {
+          errors.push({ row: index + 1, error: `Unknown status "${record.status}"` });
+          return;
+        }
+      }
+
+      const email = record.email ? record.email.toLowerCase() : null;
+      if (email && seenEmails.has(email)) {
+        skipped++;
+        return;
+      }
+      if (email) seenEmails.add(email);
+
+      const existingId = email ? idsByEmail.get(email) : undefined;
+      if (existingId) {
+        if (on_duplicate === "update") updates.push({ id: existingId, record });
+        else skipped++;
+        return;
+      }
+      // New clients without a status start as leads; updates keep the current one
+      inserts.push({ ...record, status: record.status || "lead" });
+    });
+
+    if (inserts.length > 0 || updates.length > 0) {
+      await sql.transaction((txn) => [
+        ...inserts.map((c) => txn`
+          WITH created AS (
+            INSERT INTO clients (name, email, phone, company, status, budget, deadline, cost, notes)
+            VALUES (${c.name}, ${c.email}, ${c.phone}, ${c.company}, ${c.status}, ${c.budget}, ${c.deadline}, ${c.cost}, ${c.notes})
+            RETURNING id
+          )
+          INSERT INTO audit_log (client_id, entity_type, entity_id, action, actor_email, changes)
+          SELECT id, 'client', id, 'import', ${admin.email}, ${JSON.stringify(diffFields({}, c, CLIENT_IMPORT_FIELDS))}::jsonb
+          FROM created
+        `),
+        ...updates.map(({ id, record: c }) => {
+          const incoming = Object.fromEntries(Object.entries(c).filter(([, value]) => value !== null));
+          return txn`
+            INSERT INTO audit_log (client_id, entity_type, entity_id, action, actor_email, changes)
+            VALUES (${id}, 'client', ${id}, 'import', ${admin.email}, ${JSON.stringify(diffFields(rowsById.get(id) || {}, incoming, CLIENT_IMPORT_FIELDS.filter((f) => f !== "email")))}::jsonb)
+          `;
+        }),
+        // Only overwrite fields the import actually has a value for
+        ...updates.map(({ id, record: c }) => txn`
+          UPDATE clients SET
+            name = ${c.name},
+            phone = COALESCE(${c.phone}, phone),
+            company = COALESCE(${c.company}, company),
+            status = COALESCE(${c.status}, status),
+            budget = COALESCE(${c.budget}, budget),
+            deadline = COALESCE(${c.deadline}, deadline),
+            cost = COALESCE(${c.cost}, cost),
+            notes = COALESCE(${c.notes}, notes),
+            updated_at = NOW()
+          WHERE id = ${id}
+        `),
+      ]);
+    }
+
+    return jsonResponse({
+      created: inserts.length,
+      updated: updates.length,
+      skipped,
+      errors,
+    });
+  } catch (error) {
+    console.error("Error importing clients:", error);
+    return errorResponse("Failed to import clients", 500);
+  }
+}
+
+// PUT /api/admin/clients - update client
+async function updateClient(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("Client ID is required", 400);
+    }
+
+    // Staff can't change what they can't see
+    if (!canSeeFinancials(admin)) {
+      for (const field of FINANCIAL_CLIENT_FIELDS) delete body[field];
+    }
+
+    if ("status" in body && !CLIENT_STATUSES.includes(body.status)) {
+      return errorResponse("Invalid status", 400);
+    }
+
+    // Build dynamic update query
+    const updates: string[] = [];
+    const values: unknown[] = [];
+    const fields = ["name", "email", "phone", "company", "status", "budget", "deadline", "cost", "notes"];
+    let paramIndex = 1;
+
+    for (const field of fields) {
+      if (field in body && field !== "id") {
+        updates.push(`${field} = $${paramIndex}`);
+        values.push(body[field] || null);
+        paramIndex++;
+      }
+    }
+
+    if (updates.length === 0) {
+      return errorResponse("No fields to update", 400);
+    }
+
+    // Keep the previous values for the audit diff
+    const before = await sql`SELECT * FROM clients WHERE id = ${parseInt(id)} AND deleted_at IS NULL`;
+    if (before.length === 0) {
+      return errorResponse("Client not found", 404);
+    }
+
+    values.push(parseInt(id));
+    const query = `UPDATE clients SET ${updates.join(", ")}, updated_at = NOW() WHERE id = $${paramIndex} AND deleted_at IS NULL RETURNING *`;
+
+    const result = await sql.query(query, values);
+
+    if (result.length === 0) {
+      return errorResponse("Client not found", 404);
+    }
+
+    const changes = diffFields(before[0], result[0], fields.filter((field) => field in body));
+    if (Object.keys(changes).length > 0) {
+      await recordAudit(sql, {
+        clientId: result[0].id,
+        entityType: "client",
+        entityId: result[0].id,
+        action: "update",
+        actor: admin.email,
+        changes,
+      });
+    }
+
+    return jsonResponse(redactClient(result[0], admin));
+  } catch (error) {
+    console.error("Error updating client:", error);
+    return errorResponse("Failed to update client", 500);
+  }
+}
+
+// Days a trashed client is kept before trash-purge.mts deletes it for good
+function getTrashRetentionDays(): number {
+  const days = parseInt(Netlify.env.get("CLIENT_TRASH_RETENTION_DAYS") || "");
+  return Number.isInteger(days) && days > 0 ? days : 30;
+}
+
+// DELETE /api/admin/clients - move client to the trash (restorable until purged)
+async function deleteClient(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("Client ID is required", 400);
+    }
+
+    const result = await sql`
+      UPDATE clients SET deleted_at = NOW()
+      WHERE id = ${parseInt(id)} AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      return errorResponse("Client not found", 404);
+    }
+
+    await recordAudit(sql, {
+      clientId: result[0].id,
+      entityType: "client",
+      entityId: result[0].id,
+      action: "delete",
+      actor: admin.email,
+    });
+
+    return jsonResponse({ success: true, message: "Client moved to trash", client: result[0] });
+  } catch (error) {
+    console.error("Error deleting client:", error);
+    return errorResponse("Failed to delete client", 500);
+  }
+}
+
+// GET /api/admin/clients/trash - trashed clients with their purge dates
+async function getTrashedClients(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const retentionDays = getTrashRetentionDays();
+    const clients = await sql`
+      SELECT c.*,
+        c.deleted_at + make_interval(days => ${retentionDays}) AS purge_at,
+        (SELECT COUNT(*)::int FROM inquiries i WHERE i.client_id = c.id) AS inquiry_count
+      FROM clients c
+      WHERE c.deleted_at IS NOT NULL
+      ORDER BY c.deleted_at DESC
+    `;
+    return jsonResponse({ clients, retention_days: retentionDays });
+  } catch (error) {
+    console.error("Error fetching trash:", error);
+    return errorResponse("Failed to fetch trash", 500);
+  }
+}
+
+// POST /api/admin/clients/restore - take a client out of the trash
+async function restoreClient(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("Client ID is required", 400);
+    }
+
+    const result = await sql`
+      UPDATE clients SET deleted_at = NULL, updated_at = NOW()
+      WHERE id = ${parseInt(id)} AND deleted_at IS NOT NULL
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      return errorResponse("Client not found in trash", 404);
+    }
+
+    await recordAudit(sql, {
+      clientId: result[0].id,
+      entityType: "client",
+      entityId: result[0].id,
+      action: "restore",
+      actor: admin.email,
+    });
+
+    return jsonResponse(result[0]);
+  } catch (error) {
+    console.error("Error restoring client:", error);
+    return errorResponse("Failed to restore client", 500);
+  }
+}
+
+// DELETE /api/admin/clients/trash - permanently delete a trashed client now
+async function purgeClient(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("Client ID is required", 400);
+    }
+
+    // Stored files go too; their rows cascade with the client
+    const files = await sql`
+      SELECT f.blob_key, f.thumbnail_key FROM client_files f
+      JOIN clients c ON c.id = f.client_id AND c.deleted_at IS NOT NULL
+      WHERE f.client_id = ${parseInt(id)}
+    `;
+
+    // Inquiries lose their link on delete; archive them so they don't reappear as open leads
+    const [, result] = await sql.transaction((txn) => [
+      txn`
+        UPDATE inquiries SET status = 'archived'
+        WHERE client_id = ${parseInt(id)}
+          AND EXISTS (SELECT 1 FROM clients WHERE id = ${parseInt(id)} AND deleted_at IS NOT NULL)
+      `,
+      txn`DELETE FROM clients WHERE id = ${parseInt(id)} AND deleted_at IS NOT NULL RETURNING *`,
+    ]);
+
+    if (result.length === 0) {
+      return errorResponse("Client not found in trash", 404);
+    }
+
+    await deleteFileBlobs(files);
+
+    await recordAudit(sql, {
+      clientId: result[0].id,
+      entityType: "client",
+      entityId: result[0].id,
+      action: "purge",
+      actor: admin.email,
+      changes: diffFields(result[0], Object.fromEntries(CLIENT_IMPORT_FIELDS.map((f) => [f, null])), CLIENT_IMPORT_FIELDS),
+    });
+
+    return jsonResponse({ success: true, client: result[0] });
+  } catch (error) {
+    console.error("Error purging client:", error);
+    return errorResponse("Failed to delete client", 500);
+  }
+}
+
+// ---- Duplicates and merging ----
+
+// Names at least this similar (Dice coefficient of letter pairs) count as a probable duplicate
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+const DUPLICATE_LIMIT = 5;
+
+function normalizeName(name: unknown): string {
+  return String(name ?? "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// Phones compare on their last 10 digits so "+1 (555) 010-0123" matches "555 010 0123"
+function phoneKey(phone: unknown): string | null {
+  const digits = String(phone ?? "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+function nameSimilarity(a: string, b: string): number {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const pairs = (text: string) => {
+    const compact = text.replace(/ /g, "");
+    return Array.from({ length: Math.max(compact.length - 1, 0) }, (_, i) => compact.substring(i, i + 2));
+  };
+  const left = pairs(a);
+  const right = pairs(b);
+  if (left.length === 0 || right.length === 0) return 0;
+
+  const remaining = [...right];
+  let shared = 0;
+  for (const pair of left) {
+    const index = remaining.indexOf(pair);
+    if (index >= 0) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (left.length + right.length);
+}
+
+// Live clients that probably are the same person: same email, same phone or a very similar name
+async function findDuplicateClients(
+  sql: ReturnType<typeof neon>,
+  candidate: { name?: unknown; email?: unknown; phone?: unknown },
+  excludeId: number | null = null
+) {
+  const emailKey = String(candidate.email ?? "").trim().toLowerCase() || null;
+  const phone = phoneKey(candidate.phone);
+  const name = normalizeName(candidate.name);
+  // Only names sharing a word are scored, so the database does the coarse filtering
+  const namePatterns = name
+    .split(" ")
+    .filter((word) => word.length >= 3)
+    .slice(0, 3)
+    .map((word) => `%${word}%`);
+
+  const rows = await sql.query(
+    `
+    SELECT id, name, email, phone, company, status, updated_at
+    FROM clients
+    WHERE deleted_at IS NULL
+      AND ($1::int IS NULL OR id <> $1)
+      AND (
+        ($2::text IS NOT NULL AND LOWER(TRIM(email)) = $2)
+        OR ($3::text IS NOT NULL AND RIGHT(regexp_replace(COALESCE(phone, ''), '\\D', '', 'g'), 10) = $3)
+        OR name ILIKE ANY($4::text[])
+      )
+    LIMIT 50
+    `,
+    [excludeId, emailKey, phone, namePatterns]
+  );
+
+  return rows
+    .map((row) => {
+      const reasons: string[] = [];
+      if (emailKey && String(row.email ?? "").trim().toLowerCase() === emailKey) reasons.push("email");
+      if (phone && phoneKey(row.phone) === phone) reasons.push("phone");
+      if (nameSimilarity(name, normalizeName(row.name)) >= NAME_SIMILARITY_THRESHOLD) reasons.push("name");
+      return { ...row, reasons };
+    })
+    .filter((row) => row.reasons.length > 0)
+    .sort((a, b) => b.reasons.length - a.reasons.length)
+    .slice(0, DUPLICATE_LIMIT);
+}
+
+// GET /api/admin/clients/duplicates - probable duplicates of ?id
+async function getClientDuplicates(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const url = new URL(request.url);
+    const id = parseInt(url.searchParams.get("id") || "");
+    if (!id) {
+      return errorResponse("Client ID is required", 400);
+    }
+
+    const clients = await sql`SELECT * FROM clients WHERE id = ${id} AND deleted_at IS NULL`;
+    if (clients.length === 0) {
+      return errorResponse("Client not found", 404);
+    }
+
+    return jsonResponse({ duplicates: await findDuplicateClients(sql, clients[0], id) });
+  } catch (error) {
+    console.error("Error finding duplicate clients:", error);
+    return errorResponse("Failed to find duplicates", 500);
+  }
+}
+
+// Fields a merge can take from either record. Notes are always combined
+const MERGE_FIELDS = ["name", "email", "phone", "company", "status", "budget", "deadline", "cost"];
+
+// POST /api/admin/clients/merge - fold client merge_id into client id (owner only).
+// `take` lists the fields to copy from the merged client; everything linked to it moves over,
+// and the emptied record goes to the trash.
+async function mergeClients(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const id = parseInt(body.id);
+    const mergeId = parseInt(body.merge_id);
+    const take: string[] = Array.isArray(body.take) ? body.take : [];
+
+    if (!id || !mergeId) {
+      return errorResponse("Both client IDs are required", 400);
+    }
+    if (id === mergeId) {
+      return errorResponse("A client can't be merged with itself", 400);
+    }
+    if (take.some((field) => !MERGE_FIELDS.includes(field))) {
+      return errorResponse("Unknown field to merge", 400);
+    }
+
+    const clients = await sql`SELECT * FROM clients WHERE id IN (${id}, ${mergeId}) AND deleted_at IS NULL`;
+    const target = clients.find((c) => c.id === id);
+    const source = clients.find((c) => c.id === mergeId);
+    if (!target || !source) {
+      return errorResponse("Client not found", 404);
+    }
+
+    const merged: Record<string, unknown> = {};
+    for (const field of MERGE_FIELDS) {
+      merged[field] = take.includes(field) ? source[field] : target[field];
+    }
+    const notes = [target.notes, source.notes].map((n) => String(n ?? "").trim()).filter(Boolean);
+    merged.notes = [...new Set(notes)].join("\n\n") || null;
+
+    const [updated] = await sql.transaction((txn) => [
+      txn`
+        UPDATE clients SET
+          name = ${merged.name}, email = ${merged.email}, phone = ${merged.phone}, company = ${merged.company},
+          status = ${merged.status}, budget = ${merged.budget}, deadline = ${merged.deadline}, cost = ${merged.cost},
+          notes = ${merged.notes}, updated_at = NOW()
+        WHERE id = ${id}
+        RETURNING *
+      `,
+      txn`UPDATE inquiries SET client_id = ${id} WHERE client_id = ${mergeId}`,
+      txn`UPDATE client_milestones SET client_id = ${id} WHERE client_id = ${mergeId}`,
+      txn`UPDATE client_ledger SET client_id = ${id} WHERE client_id = ${mergeId}`,
+      txn`UPDATE client_emails SET client_id = ${id} WHERE client_id = ${mergeId}`,
+      txn`UPDATE client_files SET client_id = ${id} WHERE client_id = ${mergeId}`,
+      // One brief per client: the merged client's brief only moves if this one has none
+      txn`
+        UPDATE client_briefs SET client_id = ${id}
+        WHERE client_id = ${mergeId} AND NOT EXISTS (SELECT 1 FROM client_briefs WHERE client_id = ${id})
+      `,
+      txn`UPDATE calendar_feed_tokens SET client_id = ${id} WHERE client_id = ${mergeId}`,
+      txn`UPDATE audit_log SET client_id = ${id} WHERE client_id = ${mergeId}`,
+      txn`UPDATE clients SET deleted_at = NOW() WHERE id = ${mergeId}`,
+    ]);
+
+    await recordAudit(sql, {
+      clientId: id,
+      entityType: "client",
+      entityId: id,
+      action: "merge",
+      actor: admin.email,
+      changes: {
+        ...diffFields(target, updated[0], [...MERGE_FIELDS, "notes"]),
+        merged_from: { from: null, to: `${source.name} (#${source.id})` },
+      },
+    });
+    await recordAudit(sql, {
+      clientId: mergeId,
+      entityType: "client",
+      entityId: mergeId,
+      action: "delete",
+      actor: admin.email,
+      changes: { merged_into: { from: null, to: `${target.name} (#${target.id})` } },
+    });
+
+    return jsonResponse(updated[0]);
+  } catch (error) {
+    console.error("Error merging clients:", error);
+    return errorResponse("Failed to merge clients", 500);
+  }
+}
+
+// GET /api/admin/inquiries - list all inquiries
+async function getInquiries(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const inquiries = await sql`
+      SELECT
+        inquiries.*,
+        clients.name as client_name,
+        clients.deleted_at as client_deleted_at
+      FROM inquiries
+      LEFT JOIN clients ON inquiries.client_id = clients.id
+      ORDER BY inquiries.created_at DESC
+    `;
+    return jsonResponse({ inquiries });
+  } catch (error) {
+    console.error("Error fetching inquiries:", error);
+    return errorResponse("Failed to fetch inquiries", 500);
+  }
+}
+
+// Statuses an admin can set by hand. "converted" is only set by linking the
+// inquiry to a client, and a linked inquiry keeps it.
+const INQUIRY_STATUSES = ["new", "contacted", "spam", "archived"];
+
+// Accept { id } or { ids: [...] } and return a clean list of integer ids
+function readIds(body: { id?: unknown; ids?: unknown }): number[] {
+  const raw = Array.isArray(body.ids) ? body.ids : body.id !== undefined ? [body.id] : [];
+  return raw.map((id) => parseInt(String(id))).filter((id) => Number.isInteger(id));
+}
+
+// GET /api/admin/inquiries/unread - number of inquiries nobody has acted on yet
+async function getUnreadInquiryCount(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const result = await sql`
+      SELECT COUNT(*)::int AS unread FROM inquiries WHERE status = 'new'
+    `;
+    return jsonResponse({ unread: result[0].unread });
+  } catch (error) {
+    console.error("Error counting inquiries:", error);
+    return errorResponse("Failed to count inquiries", 500);
+  }
+}
+
+// PUT /api/admin/inquiries - set the status of one or more inquiries ({ id } or { ids }, plus status)
+async function updateInquiryStatus(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const ids = readIds(body);
+
+    if (ids.length === 0) {
+      return errorResponse("Inquiry ID is required", 400);
+    }
+    if (body.status === "converted") {
+      return errorResponse("Link the inquiry to a client to mark it converted", 400);
+    }
+    if (!INQUIRY_STATUSES.includes(body.status)) {
+      return errorResponse("Invalid inquiry status", 400);
+    }
+
+    const linked = await sql`
+      SELECT id FROM inquiries WHERE id = ANY(${ids}) AND client_id IS NOT NULL
+    `;
+    if (linked.length > 0) {
+      return errorResponse(
+        linked.length === 1 && ids.length === 1
+          ? "This inquiry is linked to a client and stays converted"
+          : `${linked.length} of these inquiries are linked to a client and stay converted`,
+        409
+      );
+    }
+
+    const result = await sql`
+      UPDATE inquiries SET status = ${body.status}
+      WHERE id = ANY(${ids}) AND client_id IS NULL
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      return errorResponse("Inquiry not found", 404);
+    }
+
+    return jsonResponse({ success: true, inquiries: result });
+  } catch (error) {
+    console.error("Error updating inquiry status:", error);
+    return errorResponse("Failed to update inquiry", 500);
+  }
+}
+
+// DELETE /api/admin/inquiries - permanently delete one or more inquiries ({ id } or { ids })
+async function deleteInquiries(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const ids = readIds(body);
+
+    if (ids.length === 0) {
+      return errorResponse("Inquiry ID is required", 400);
+    }
+
+    const result = await sql`
+      DELETE FROM inquiries WHERE id = ANY(${ids})
+      RETURNING id
+    `;
+
+    return jsonResponse({ success: true, deleted: result.length });
+  } catch (error) {
+    console.error("Error deleting inquiries:", error);
+    return errorResponse("Failed to delete inquiries", 500);
+  }
+}
+
+// POST /api/admin/inquiries/link - link inquiry to client
+async function linkInquiry(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const { inquiry_id, client_id } = body;
+
+    if (!inquiry_id || !client_id) {
+      return errorResponse("inquiry_id and client_id are required", 400);
+    }
+
+    // Only live clients; one in the trash can't take on new inquiries
+    const clients = await sql`SELECT id FROM clients WHERE id = ${parseInt(client_id)} AND deleted_at IS NULL`;
+    if (clients.length === 0) {
+      return errorResponse("Client not found", 404);
+    }
+
+    const result = await sql`
+      UPDATE inquiries
+      SET client_id = ${parseInt(client_id)}, status = 'converted'
+      WHERE id = ${parseInt(inquiry_id)}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      return errorResponse("Inquiry not found", 404);
+    }
+
+    await recordAudit(sql, {
+      clientId: parseInt(client_id),
+      entityType: "inquiry",
+      entityId: result[0].id,
+      action: "link_inquiry",
+      actor: admin.email,
+      changes: { inquiry: { from: null, to: `${result[0].name} <${result[0].email}>` } },
+    });
+
+    return jsonResponse({ success: true, inquiry: result[0] });
+  } catch (error) {
+    console.error("Error linking inquiry:", error);
+    return errorResponse("Failed to link inquiry", 500);
+  }
+}
+
+const PORTFOLIO_STATUSES = ["draft", "published", "rejected"];
+
+// Filter facets the public gallery understands
+const PORTFOLIO_TAG_FACETS = ["style", "placement", "color", "design"];
+
+// Keep only known facets, as arrays of lowercase slugs ("Black and Grey" -> "black-and-grey")
+function sanitizeTags(tags: unknown): Record<string, string[]> {
+  const clean: Record<string, string[]> = {};
+  if (!tags || typeof tags !== "object") return clean;
+
+  for (const facet of PORTFOLIO_TAG_FACETS) {
+    const raw = (tags as Record<string, unknown>)[facet];
+    const values = (Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(",") : [])
+      .map((v) => String(v).trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, ""))
+      .filter(Boolean);
+    if (values.length > 0) clean[facet] = [...new Set(values)].slice(0, 10);
+  }
+  return clean;
+}
+
+// GET /api/admin/portfolio - list all portfolio items (including hidden and drafts)
+async function getPortfolioItems(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const items = await sql`
+      SELECT * FROM portfolio_items ORDER BY position ASC, id ASC
+    `;
+    return jsonResponse({ items });
+  } catch (error) {
+    console.error("Error fetching portfolio items:", error);
+    return errorResponse("Failed to fetch portfolio items", 500);
+  }
+}
+
+// POST /api/admin/portfolio - add an Instagram post to the top of the portfolio
+async function createPortfolioItem(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const { instagram_url, media_type = "image", caption, alt, hidden = false, tags } = body;
+
+    // Only https Instagram post/reel/tv permalinks (same rule as instagram-image)
+    const permalink = instagram_url ? normalizePermalink(instagram_url) : null;
+    if (!permalink) {
+      return errorResponse("A valid Instagram post URL is required", 400);
+    }
+
+    const existing = await sql`
+      SELECT id FROM portfolio_items WHERE instagram_url = ${permalink}
+    `;
+    if (existing.length > 0) {
+      return errorResponse("That post is already in the portfolio", 409);
+    }
+
+    const result = await sql`
+      INSERT INTO portfolio_items (instagram_url, media_type, caption, alt, hidden, tags, position)
+      VALUES (
+        ${permalink},
+        ${media_type === "video" ? "video" : "image"},
+        ${caption || null},
+        ${alt || null},
+        ${!!hidden},
+        ${JSON.stringify(sanitizeTags(tags))},
+        (SELECT COALESCE(MIN(position), 0) - 1 FROM portfolio_items)
+      )
+      RETURNING *
+    `;
+
+    return jsonResponse(result[0], 201);
+  } catch (error) {
+    console.error("Error creating portfolio item:", error);
+    return errorResponse("Failed to add portfolio item", 500);
+  }
+}
+
+// PUT /api/admin/portfolio - update caption, alt text, type, tags, visibility or status (approve/reject drafts)
+async function updatePortfolioItem(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("Portfolio item ID is required", 400);
+    }
+
+    if ("status" in body && !PORTFOLIO_STATUSES.includes(body.status)) {
+      return errorResponse("Invalid portfolio status", 400);
+    }
+
+    // Build dynamic update query
+    const updates: string[] = [];
+    const values: unknown[] = [];
+    const fields = ["media_type", "caption", "alt", "hidden", "status", "tags"];
+    let paramIndex = 1;
+
+    for (const field of fields) {
+      if (field in body) {
+        updates.push(`${field} = $${paramIndex}`);
+        if (field === "hidden") {
+          values.push(!!body[field]);
+        } else if (field === "tags") {
+          values.push(JSON.stringify(sanitizeTags(body[field])));
+        } else {
+          values.push(body[field] || null);
+        }
+        paramIndex++;
+      }
+    }
+
+    if (updates.length === 0) {
+      return errorResponse("No fields to update", 400);
+    }
+
+    values.push(parseInt(id));
+    const query = `UPDATE portfolio_items SET ${updates.join(", ")}, updated_at = NOW() WHERE id = $${paramIndex} RETURNING *`;
+
+    const result = await sql.query(query, values);
+
+    if (result.length === 0) {
+      return errorResponse("Portfolio item not found", 404);
+    }
+
+    return jsonResponse(result[0]);
+  } catch (error) {
+    console.error("Error updating portfolio item:", error);
+    return errorResponse("Failed to update portfolio item", 500);
+  }
+}
+
+// DELETE /api/admin/portfolio - remove a portfolio item
+async function deletePortfolioItem(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("Portfolio item ID is required", 400);
+    }
+
+    const result = await sql`
+      DELETE FROM portfolio_items WHERE id = ${parseInt(id)}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      return errorResponse("Portfolio item not found", 404);
+    }
+
+    return jsonResponse({ success: true, item: result[0] });
+  } catch (error) {
+    console.error("Error deleting portfolio item:", error);
+    return errorResponse("Failed to delete portfolio item", 500);
+  }
+}
+
+// POST /api/admin/portfolio/reorder - persist display order from an array of ids
+async function reorderPortfolioItems(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const { ids } = body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return errorResponse("ids must be a non-empty array", 400);
+    }
+
+    await sql.transaction(txn =>
+      ids.map((id: unknown, index: number) =>
+        txn`UPDATE portfolio_items SET position = ${index}, updated_at = NOW() WHERE id = ${parseInt(String(id))}`
+      )
+    );
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error("Error reordering portfolio items:", error);
+    return errorResponse("Failed to reorder portfolio", 500);
+  }
+}
+
+// Project phases from how-it-works.html, in order
+const MILESTONE_PHASES = ["discovery", "design-build", "launch", "handover"];
+
+const MILESTONE_STATUSES = ["planned", "in-progress", "done", "cancelled"];
+
+// Planned and in-progress milestones count towards "next" and "upcoming"
+function isOpenMilestone(status: string | null): boolean {
+  return !status || status === "planned" || status === "in-progress";
+}
+
+// GET /api/admin/milestones - upcoming open milestones across all clients (optionally ?client_id=)
+async function getMilestones(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const url = new URL(request.url);
+    const clientId = url.searchParams.get("client_id");
+
+    const milestones = clientId
+      ? await sql`
+          SELECT m.*, c.name AS client_name
+          FROM client_milestones m
+          JOIN clients c ON c.id = m.client_id
+          WHERE m.client_id = ${parseInt(clientId)}
+          ORDER BY COALESCE(m.due_date, m.meeting_at::date) ASC NULLS LAST, m.id ASC
+        `
+      : await sql`
+          SELECT m.*, c.name AS client_name
+          FROM client_milestones m
+          JOIN clients c ON c.id = m.client_id
+          WHERE COALESCE(m.status, 'planned') NOT IN ('done', 'cancelled')
+            AND c.deleted_at IS NULL
+          ORDER BY COALESCE(m.meeting_at::date, m.due_date) ASC NULLS LAST, m.id ASC
+        `;
+
+    return jsonResponse({ milestones });
+  } catch (error) {
+    console.error("Error fetching milestones:", error);
+    return errorResponse("Failed to fetch milestones", 500);
+  }
+}
+
+// POST /api/admin/milestones - add a milestone or meeting to a client
+async function createMilestone(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const { client_id, phase, due_date, status = "planned", meeting_at, notes } = body;
+
+    if (!client_id) {
+      return errorResponse("Client ID is required", 400);
+    }
+    if (!MILESTONE_PHASES.includes(phase)) {
+      return errorResponse("Invalid milestone phase", 400);
+    }
+    if (!MILESTONE_STATUSES.includes(status)) {
+      return errorResponse("Invalid milestone status", 400);
+    }
+
+    const clients = await sql`SELECT id FROM clients WHERE id = ${parseInt(client_id)} AND deleted_at IS NULL`;
+    if (clients.length === 0) {
+      return errorResponse("Client not found", 404);
+    }
+
+    const result = await sql`
+      INSERT INTO client_milestones (client_id, phase, due_date, status, meeting_at, notes)
+      VALUES (${parseInt(client_id)}, ${phase}, ${due_date || null}, ${status}, ${meeting_at || null}, ${notes || null})
+      RETURNING *
+    `;
+
+    return jsonResponse(result[0], 201);
+  } catch (error) {
+    console.error("Error creating milestone:", error);
+    return errorResponse("Failed to create milestone", 500);
+  }
+}
+
+// PUT /api/admin/milestones - update phase, dates, status or notes
+async function updateMilestone(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("Milestone ID is required", 400);
+    }
+    if ("phase" in body && !MILESTONE_PHASES.includes(body.phase)) {
+      return errorResponse("Invalid milestone phase", 400);
+    }
+    if ("status" in body && !MILESTONE_STATUSES.includes(body.status)) {
+      return errorResponse("Invalid milestone status", 400);
+    }
+
+    // Build dynamic update query
+    const updates: string[] = [];
+    const values: unknown[] = [];
+    const fields = ["phase", "due_date", "status", "meeting_at", "notes"];
+    let paramIndex = 1;
+
+    for (const field of fields) {
+      if (field in body) {
+        updates.push(`${field} = $${paramIndex}`);
+        values.push(body[field] || null);
+        paramIndex++;
+      }
+    }
+
+    if (updates.length === 0) {
+      return errorResponse("No fields to update", 400);
+    }
+
+    values.push(parseInt(id));
+    const query = `UPDATE client_milestones SET ${updates.join(", ")}, updated_at = NOW() WHERE id = $${paramIndex} RETURNING *`;
+
+    const result = await sql.query(query, values);
+
+    if (result.length === 0) {
+      return errorResponse("Milestone not found", 404);
+    }
+
+    return jsonResponse(result[0]);
+  } catch (error) {
+    console.error("Error updating milestone:", error);
+    return errorResponse("Failed to update milestone", 500);
+  }
+}
+
+// DELETE /api/admin/milestones - remove a milestone
+async function deleteMilestone(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("Milestone ID is required", 400);
+    }
+
+    const result = await sql`
+      DELETE FROM client_milestones WHERE id = ${parseInt(id)}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      return errorResponse("Milestone not found", 404);
+    }
+
+    return jsonResponse({ success: true, milestone: result[0] });
+  } catch (error) {
+    console.error("Error deleting milestone:", error);
+    return errorResponse("Failed to delete milestone", 500);
+  }
+}
+
+const LEDGER_ENTRY_TYPES = ["invoice", "deposit", "payment", "refund"];
+
+const LEDGER_METHODS = ["card", "bank-transfer", "cash", "paypal", "stripe", "other"];
+
+type LedgerRow = Record<string, any>;
+
+// Money as a number; clients.budget/cost are TEXT and NUMERIC columns come back as strings
+function toAmount(value: unknown): number {
+  const amount = parseFloat(String(value ?? "").replace(/[^0-9.-]/g, ""));
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+function roundMoney(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+// Annotate invoices with what has been paid against them and total up the ledger.
+// Outstanding is measured against the agreed cost when there is one, otherwise against invoiced.
+function summarizeLedger(rows: LedgerRow[], cost: unknown) {
+  const today = new Date().toISOString().substring(0, 10);
+  const appliedByInvoice = new Map<number, number>();
+  let received = 0;
+  let refunded = 0;
+  let invoiced = 0;
+
+  for (const row of rows) {
+    const amount = toAmount(row.amount);
+    if (row.entry_type === "invoice") {
+      invoiced += amount;
+      continue;
+    }
+    const signed = row.entry_type === "refund" ? -amount : amount;
+    if (row.entry_type === "refund") refunded += amount;
+    else received += amount;
+    if (row.invoice_id) {
+      appliedByInvoice.set(row.invoice_id, (appliedByInvoice.get(row.invoice_id) || 0) + signed);
+    }
+  }
+
+  let overdueInvoices = 0;
+  const entries = rows.map((row) => {
+    if (row.entry_type !== "invoice") return row;
+
+    const paidAmount = roundMoney(appliedByInvoice.get(row.id) || 0);
+    const due = row.due_date ? new Date(row.due_date).toISOString().substring(0, 10) : null;
+    let invoiceStatus = "open";
+    if (paidAmount >= toAmount(row.amount)) invoiceStatus = "paid";
+    else if (due && due < today) invoiceStatus = "overdue";
+    if (invoiceStatus === "overdue") overdueInvoices++;
+
+    return { ...row, paid_amount: paidAmount, invoice_status: invoiceStatus };
+  });
+
+  const paid = roundMoney(received - refunded);
+  const agreedCost = toAmount(cost);
+  const target = agreedCost > 0 ? agreedCost : invoiced;
+
+  return {
+    entries,
+    summary: {
+      cost: agreedCost,
+      invoiced: roundMoney(invoiced),
+      received: roundMoney(received),
+      refunded: roundMoney(refunded),
+      paid,
+      outstanding: roundMoney(target - paid),
+      overdue_invoices: overdueInvoices,
+    },
+  };
+}
+
+// POST /api/admin/ledger - record an invoice, deposit, payment or refund for a client
+async function createLedgerEntry(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const { client_id, entry_type, entry_date, due_date, method, reference, invoice_id, milestone_id, notes } = body;
+    const amount = toAmount(body.amount);
+
+    if (!client_id) {
+      return errorResponse("Client ID is required", 400);
+    }
+    if (!LEDGER_ENTRY_TYPES.includes(entry_type)) {
+      return errorResponse("Invalid ledger entry type", 400);
+    }
+    if (amount <= 0) {
+      return errorResponse("Amount must be greater than zero", 400);
+    }
+    if (method && !LEDGER_METHODS.includes(method)) {
+      return errorResponse("Invalid payment method", 400);
+    }
+    if ((entry_date && !parseDay(String(entry_date))) || (due_date && !parseDay(String(due_date)))) {
+      return errorResponse("Dates must be YYYY-MM-DD", 400);
+    }
+
+    const clients = await sql`SELECT id FROM clients WHERE id = ${parseInt(client_id)} AND deleted_at IS NULL`;
+    if (clients.length === 0) {
+      return errorResponse("Client not found", 404);
+    }
+
+    // Invoices can be tied to one of the same client's milestones
+    let milestoneId: number | null = null;
+    if (milestone_id && entry_type === "invoice") {
+      const milestones = await sql`
+        SELECT id FROM client_milestones
+        WHERE id = ${parseInt(milestone_id)} AND client_id = ${parseInt(client_id)}
+      `;
+      if (milestones.length === 0) {
+        return errorResponse("Milestone not found for this client", 400);
+      }
+      milestoneId = milestones[0].id;
+    }
+
+    // Payments and refunds can be applied to one of the same client's invoices
+    let invoiceId: number | null = null;
+    if (invoice_id && entry_type !== "invoice") {
+      const invoices = await sql`
+        SELECT id FROM client_ledger
+        WHERE id = ${parseInt(invoice_id)} AND client_id = ${parseInt(client_id)} AND entry_type = 'invoice'
+      `;
+      if (invoices.length === 0) {
+        return errorResponse("Invoice not found for this client", 400);
+      }
+      invoiceId = invoices[0].id;
+    }
+
+    const isInvoice = entry_type === "invoice";
+    const result = await sql`
+      INSERT INTO client_ledger (client_id, entry_type, amount, entry_date, due_date, method, reference, invoice_id, milestone_id, notes)
+      VALUES (
+        ${parseInt(client_id)},
+        ${entry_type},
+        ${amount},
+        COALESCE(${entry_date || null}::date, CURRENT_DATE),
+        ${isInvoice ? due_date || null : null},
+        ${isInvoice ? null : method || null},
+        ${reference || null},
+        ${invoiceId},
+        ${milestoneId},
+        ${notes || null}
+      )
+      RETURNING *
+    `;
+
+    return jsonResponse(result[0], 201);
+  } catch (error) {
+    console.error("Error creating ledger entry:", error);
+    return errorResponse("Failed to record ledger entry", 500);
+  }
+}
+
+// DELETE /api/admin/ledger - remove a ledger entry (e.g. one recorded by mistake)
+async function deleteLedgerEntry(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("Ledger entry ID is required", 400);
+    }
+
+    const result = await sql`
+      DELETE FROM client_ledger WHERE id = ${parseInt(id)}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      return errorResponse("Ledger entry not found", 404);
+    }
+
+    return jsonResponse({ success: true, entry: result[0] });
+  } catch (error) {
+    console.error("Error deleting ledger entry:", error);
+    return errorResponse("Failed to delete ledger entry", 500);
+  }
+}
+
+// ---- Files ----
+
+const FILE_TAGS = ["contract", "brief", "asset", "handover"];
+
+// Netlify Functions accept request bodies up to 6 MB, so leave room for the form encoding
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_THUMBNAIL_BYTES = 256 * 1024;
+
+// Image types the download function serves inline (and the admin shows as thumbnails).
+// Anything else, SVG included, is always served as an attachment.
+const INLINE_IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+const FILE_URL_TTL_SECONDS = 15 * 60;
+
+function getFileStore() {
+  return getStore({ name: "client-files", consistency: "strong" });
+}
+
+// HMAC-SHA256 as hex (same as client-file.mts, which checks these signatures)
+async function hmacHex(secret: string, message: string): Promise<string> {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+  return Array.from(new Uint8Array(signature), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Short-lived link to /api/client-files/:id. The signature is the authorization, so the
+// link works in an <img> or a plain download without the admin's bearer token.
+async function signFileUrl(fileId: number, variant: "file" | "thumb"): Promise<string | null> {
+  const secret = Netlify.env.get("FILE_URL_SECRET");
+  if (!secret) return null;
+
+  const expires = Math.floor(Date.now() / 1000) + FILE_URL_TTL_SECONDS;
+  const signature = await hmacHex(secret, `${fileId}:${variant}:${expires}`);
+  return `/api/client-files/${fileId}?v=${variant}&exp=${expires}&sig=${signature}`;
+}
+
+// Listable file rows: storage keys stay server-side, signed URLs go out instead
+async function withFileUrls(rows: Record<string, any>[]) {
+  return Promise.all(
+    rows.map(async ({ blob_key, thumbnail_key, ...file }) => ({
+      ...file,
+      url: await signFileUrl(file.id, "file"),
+      thumbnail_url: thumbnail_key ? await signFileUrl(file.id, "thumb") : null,
+    }))
+  );
+}
+
+// Keep the uploaded name readable but safe to echo in a Content-Disposition header
+function sanitizeFileName(name: string): string {
+  const base = name.split(/[\\/]/).pop() || "";
+  const cleaned = base.replace(/[\u0000-\u001f\u007f"]/g, "").trim().substring(0, 200);
+  return cleaned || "file";
+}
+
+// Remove stored blobs, e.g. after their rows are deleted. Failures only leave orphans behind.
+async function deleteFileBlobs(rows: Record<string, any>[]) {
+  const store = getFileStore();
+  for (const row of rows) {
+    for (const key of [row.blob_key, row.thumbnail_key]) {
+      if (!key) continue;
+      try {
+        await store.delete(key);
+      } catch (error) {
+        console.error("Error deleting file blob:", key, error);
+      }
+    }
+  }
+}
+
+// GET /api/admin/files?client_id= - list a client's files with fresh signed URLs
+async function getClientFiles(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const url = new URL(request.url);
+    const clientId = parseInt(url.searchParams.get("client_id") || "");
+
+    if (!clientId) {
+      return errorResponse("Client ID is required", 400);
+    }
+
+    const rows = await sql`
+      SELECT * FROM client_files WHERE client_id = ${clientId}
+      ORDER BY created_at DESC, id DESC
+    `;
+
+    return jsonResponse(await withFileUrls(rows));
+  } catch (error) {
+    console.error("Error fetching files:", error);
+    return errorResponse("Failed to fetch files", 500);
+  }
+}
+
+// GET /api/admin/files/download?id= - fresh signed URL for one file
+async function getFileDownloadUrl(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const url = new URL(request.url);
+    const id = parseInt(url.searchParams.get("id") || "");
+
+    if (!id) {
+      return errorResponse("File ID is required", 400);
+    }
+
+    const rows = await sql`
+      SELECT f.id FROM client_files f
+      JOIN clients c ON c.id = f.client_id AND c.deleted_at IS NULL
+      WHERE f.id = ${id}
+    `;
+    if (rows.length === 0) {
+      return errorResponse("File not found", 404);
+    }
+
+    const signedUrl = await signFileUrl(id, "file");
+    if (!signedUrl) {
+      return errorResponse("File downloads aren't configured (set FILE_URL_SECRET)", 503);
+    }
+
+    return jsonResponse({ url: signedUrl });
+  } catch (error) {
+    console.error("Error signing file URL:", error);
+    return errorResponse("Failed to prepare download", 500);
+  }
+}
+
+// POST /api/admin/files - multipart upload: client_id, tag, file and an optional
+// thumbnail (a small JPEG the admin renders from image uploads)
+async function uploadClientFile(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    let form: FormData;
+    try {
+      form = await request.formData();
+    } catch {
+      return errorResponse("Expected a multipart form upload", 400);
+    }
+
+    const clientId = parseInt(String(form.get("client_id") || ""));
+    const tag = String(form.get("tag") || "");
+    const file = form.get("file");
+    const thumbnail = form.get("thumbnail");
+
+    if (!clientId) {
+      return errorResponse("Client ID is required", 400);
+    }
+    if (!FILE_TAGS.includes(tag)) {
+      return errorResponse("Invalid file tag", 400);
+    }
+    if (!(file instanceof File) || file.size === 0) {
+      return errorResponse("Choose a file to upload", 400);
+    }
+    if (file.size > MAX_FILE_BYTES) {
+      return errorResponse(`Files can be up to ${MAX_FILE_BYTES / 1024 / 1024} MB`, 413);
+    }
+
+    const clients = await sql`SELECT id FROM clients WHERE id = ${clientId} AND deleted_at IS NULL`;
+    if (clients.length === 0) {
+      return errorResponse("Client not found", 404);
+    }
+
+    const fileName = sanitizeFileName(file.name);
+    const contentType = file.type || "application/octet-stream";
+    const blobKey = `${clientId}/${crypto.randomUUID()}`;
+    const hasThumbnail =
+      INLINE_IMAGE_TYPES.includes(contentType) &&
+      thumbnail instanceof File &&
+      INLINE_IMAGE_TYPES.includes(thumbnail.type) &&
+      thumbnail.size > 0 &&
+      thumbnail.size <= MAX_THUMBNAIL_BYTES;
+    const thumbnailKey = hasThumbnail ? `${blobKey}/thumb` : null;
+
+    const store = getFileStore();
+    await store.set(blobKey, file, { metadata: { contentType, fileName } });
+    if (hasThumbnail && thumbnailKey) {
+      await store.set(thumbnailKey, thumbnail, { metadata: { contentType: thumbnail.type } });
+    }
+
+    let result;
+    try {
+      result = await sql`
+        INSERT INTO client_files (client_id, blob_key, thumbnail_key, file_name, content_type, size_bytes, tag, uploaded_by)
+        VALUES (${clientId}, ${blobKey}, ${thumbnailKey}, ${fileName}, ${contentType}, ${file.size}, ${tag}, ${admin.email})
+        RETURNING *
+      `;
+    } catch (error) {
+      await deleteFileBlobs([{ blob_key: blobKey, thumbnail_key: thumbnailKey }]);
+      throw error;
+    }
+
+    await recordAudit(sql, {
+      clientId,
+      entityType: "file",
+      entityId: result[0].id,
+      action: "upload_file",
+      actor: admin.email,
+      changes: { file: { from: null, to: fileName }, tag: { from: null, to: tag } },
+    });
+
+    const [uploaded] = await withFileUrls(result);
+    return jsonResponse(uploaded, 201);
+  } catch (error) {
+    console.error("Error uploading file:", error);
+    return errorResponse("Failed to upload file", 500);
+  }
+}
+
+// PUT /api/admin/files - change a file's tag
+async function updateClientFile(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const { id, tag } = body;
+
+    if (!id) {
+      return errorResponse("File ID is required", 400);
+    }
+    if (!FILE_TAGS.includes(tag)) {
+      return errorResponse("Invalid file tag", 400);
+    }
+
+    const existing = await sql`SELECT * FROM client_files WHERE id = ${parseInt(id)}`;
+    if (existing.length === 0) {
+      return errorResponse("File not found", 404);
+    }
+
+    const result = await sql`
+      UPDATE client_files SET tag = ${tag} WHERE id = ${parseInt(id)}
+      RETURNING *
+    `;
+
+    const changes = diffFields(existing[0], result[0], ["tag"]);
+    if (Object.keys(changes).length > 0) {
+      await recordAudit(sql, {
+        clientId: result[0].client_id,
+        entityType: "file",
+        entityId: result[0].id,
+        action: "update_file",
+        actor: admin.email,
+        changes: { file: { from: null, to: result[0].file_name }, ...changes },
+      });
+    }
+
+    const [updated] = await withFileUrls(result);
+    return jsonResponse(updated);
+  } catch (error) {
+    console.error("Error updating file:", error);
+    return errorResponse("Failed to update file", 500);
+  }
+}
+
+// DELETE /api/admin/files - remove a file and its stored copy
+async function deleteClientFile(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("File ID is required", 400);
+    }
+
+    const result = await sql`
+      DELETE FROM client_files WHERE id = ${parseInt(id)}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      return errorResponse("File not found", 404);
+    }
+
+    await deleteFileBlobs(result);
+    await recordAudit(sql, {
+      clientId: result[0].client_id,
+      entityType: "file",
+      entityId: result[0].id,
+      action: "delete_file",
+      actor: admin.email,
+      changes: { file: { from: result[0].file_name, to: null } },
+    });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error("Error deleting file:", error);
+    return errorResponse("Failed to delete file", 500);
+  }
+}
+
+// ---- Project briefs ----
+
+interface BriefQuestion {
+  id: string;
+  label: string;
+  type: "text" | "textarea" | "choice" | "multi";
+  options?: Array<{ value: string; label: string }>;
+  hint?: string;
+  required?: boolean;
+}
+
+// The questionnaire clients fill in after the discovery call, served to brief.html.
+// Answers are stored by question id: reword labels freely, but never reuse an id
+// for a different question.
+const BRIEF_SECTIONS: Array<{ id: string; title: string; questions: BriefQuestion[] }> = [
+  {
+    id: "goals",
+    title: "Goals",
+    questions: [
+      {
+        id: "goals",
+        label: "What should the new site do for your business?",
+        type: "textarea",
+        hint: "More enquiries, online bookings, sales, looking more established…",
+        required: true,
+      },
+      { id: "audience", label: "Who is it for?", type: "textarea" },
+      { id: "success", label: "How will you know it's working?", type: "textarea" },
+      { id: "examples", label: "Sites you like, and what you like about them", type: "textarea" },
+    ],
+  },
+  {
+    id: "pages",
+    title: "Pages",
+    questions: [
+      {
+        id: "pages",
+        label: "Which pages do you need?",
+        type: "multi",
+        options: [
+          { value: "home", label: "Home" },
+          { value: "about", label: "About" },
+          { value: "services", label: "Services" },
+          { value: "portfolio", label: "Portfolio / gallery" },
+          { value: "blog", label: "Blog / news" },
+          { value: "shop", label: "Shop" },
+          { value: "booking", label: "Booking" },
+          { value: "faq", label: "FAQ" },
+          { value: "contact", label: "Contact" },
+        ],
+        required: true,
+      },
+      { id: "other_pages", label: "Any other pages?", type: "text" },
+    ],
+  },
+  {
+    id: "content",
+    title: "Content",
+    questions: [
+      {
+        id: "content_ready",
+        label: "How ready is your content (text and photos)?",
+        type: "choice",
+        options: [
+          { value: "ready", label: "Written and ready to go" },
+          { value: "partial", label: "Some of it" },
+          { value: "none", label: "Not started yet" },
+        ],
+        required: true,
+      },
+      {
+        id: "brand_assets",
+        label: "What do you already have?",
+        type: "multi",
+        options: [
+          { value: "logo", label: "Logo" },
+          { value: "brand-guidelines", label: "Brand colours and fonts" },
+          { value: "photos", label: "Professional photos" },
+          { value: "copy", label: "Written copy" },
+        ],
+      },
+      { id: "content_notes", label: "Anything to add about content?", type: "textarea" },
+    ],
+  },
+  {
+    id: "domains",
+    title: "Domain & email",
+    questions: [
+      {
+        id: "has_domain",
+        label: "Do you already own a domain name?",
+        type: "choice",
+        options: [
+          { value: "yes", label: "Yes" },
+          { value: "no", label: "No" },
+          { value: "unsure", label: "Not sure" },
+        ],
+        required: true,
+      },
+      { id: "domain", label: "Domain name(s)", type: "text", hint: "e.g. yourbusiness.com" },
+      {
+        id: "domain_provider",
+        label: "Where is it registered, and who hosts your email?",
+        type: "textarea",
+        hint: "GoDaddy, Namecheap, Google Workspace, Microsoft 365… “Don't know” is fine.",
+      },
+    ],
+  },
+  {
+    id: "integrations",
+    title: "Integrations",
+    questions: [
+      {
+        id: "integrations",
+        label: "What should the site connect to?",
+        type: "multi",
+        options: [
+          { value: "booking", label: "Booking / calendar" },
+          { value: "payments", label: "Payments" },
+          { value: "newsletter", label: "Newsletter" },
+          { value: "analytics", label: "Analytics" },
+          { value: "social", label: "Social media" },
+          { value: "crm", label: "CRM" },
+        ],
+      },
+      {
+        id: "integration_tools",
+        label: "Which tools do you use today?",
+        type: "textarea",
+        hint: "e.g. Calendly, Stripe, Mailchimp, HubSpot",
+      },
+    ],
+  },
+  {
+    id: "other",
+    title: "Anything else",
+    questions: [{ id: "anything_else", label: "Anything else I should know?", type: "textarea" }],
+  },
+];
+
+const BRIEF_QUESTIONS = BRIEF_SECTIONS.flatMap((section) => section.questions);
+
+const BRIEF_ANSWER_MAX_LENGTH = 5000;
+
+type BriefAnswers = Record<string, string | string[]>;
+
+// Keep only answers to known questions, in the shape each question takes
+function sanitizeBriefAnswers(input: unknown): BriefAnswers {
+  const answers: BriefAnswers = {};
+  if (!input || typeof input !== "object") return answers;
+
+  const raw = input as Record<string, unknown>;
+  for (const question of BRIEF_QUESTIONS) {
+    const value = raw[question.id];
+    const allowed = (question.options || []).map((option) => option.value);
+
+    if (question.type === "multi") {
+      const picked = Array.isArray(value) ? allowed.filter((option) => value.includes(option)) : [];
+      if (picked.length > 0) answers[question.id] = picked;
+    } else if (question.type === "choice") {
+      if (typeof value === "string" && allowed.includes(value)) answers[question.id] = value;
+    } else if (typeof value === "string" && value.trim()) {
+      answers[question.id] = value.trim().substring(0, BRIEF_ANSWER_MAX_LENGTH);
+    }
+  }
+  return answers;
+}
+
+// Brief links are generated like calendar feed tokens
+function generateBriefToken(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// A brief by its token, only while the client is live. The token is the client's only credential.
+async function findBriefByToken(sql: ReturnType<typeof neon>, token: unknown) {
+  if (typeof token !== "string" || !/^[0-9a-f]{48}$/.test(token)) return null;
+
+  const briefs = await sql`
+    SELECT b.*, c.name AS client_name FROM client_briefs b
+    JOIN clients c ON c.id = b.client_id AND c.deleted_at IS NULL
+    WHERE b.token = ${token}
+  `;
+  return briefs[0] || null;
+}
+
+// What the client's browser gets: their answers, never other client data
+function toPublicBrief(brief: Record<string, any>) {
+  return {
+    first_name: String(brief.client_name || "").trim().split(/\s+/)[0] || null,
+    sections: BRIEF_SECTIONS,
+    answers: brief.answers || {},
+    status: brief.status,
+    updated_at: brief.updated_at,
+    submitted_at: brief.submitted_at,
+  };
+}
+
+// GET /api/admin/brief?token= - the questionnaire and saved answers (public, token instead of a session)
+async function getBriefForm(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const url = new URL(request.url);
+    const brief = await findBriefByToken(sql, url.searchParams.get("token"));
+    if (!brief) {
+      return errorResponse("This brief link isn't valid anymore", 404);
+    }
+
+    return jsonResponse(toPublicBrief(brief));
+  } catch (error) {
+    console.error("Error fetching brief:", error);
+    return errorResponse("Failed to load brief", 500);
+  }
+}
+
+// PUT /api/admin/brief - save answers so far (public, token instead of a session)
+async function saveBriefProgress(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    // Public route: a malformed body is the caller's mistake, not a server error
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== "object") {
+      return errorResponse("Invalid request format", 400);
+    }
+    const brief = await findBriefByToken(sql, body.token);
+    if (!brief) {
+      return errorResponse("This brief link isn't valid anymore", 404);
+    }
+    if (brief.status === "submitted") {
+      return errorResponse("This brief has already been sent", 409);
+    }
+
+    const answers = sanitizeBriefAnswers(body.answers);
+    const result = await sql`
+      UPDATE client_briefs
+      SET answers = ${JSON.stringify(answers)}, status = 'in-progress', updated_at = NOW()
+      WHERE id = ${brief.id} AND status <> 'submitted'
+      RETURNING *
+    `;
+    if (result.length === 0) {
+      return errorResponse("This brief has already been sent", 409);
+    }
+
+    return jsonResponse(toPublicBrief({ ...result[0], client_name: brief.client_name }));
+  } catch (error) {
+    console.error("Error saving brief:", error);
+    return errorResponse("Failed to save your answers", 500);
+  }
+}
+
+// POST /api/admin/brief/submit - final answers (public, token instead of a session)
+async function submitBrief(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== "object") {
+      return errorResponse("Invalid request format", 400);
+    }
+    const brief = await findBriefByToken(sql, body.token);
+    if (!brief) {
+      return errorResponse("This brief link isn't valid anymore", 404);
+    }
+    if (brief.status === "submitted") {
+      return errorResponse("This brief has already been sent", 409);
+    }
+
+    const answers = sanitizeBriefAnswers(body.answers);
+    const missing = BRIEF_QUESTIONS.filter((q) => q.required && !(q.id in answers)).map((q) => q.id);
+    if (missing.length > 0) {
+      return jsonResponse({ error: "Please answer the required questions", missing }, 400);
+    }
+
+    const result = await sql`
+      UPDATE client_briefs
+      SET answers = ${JSON.stringify(answers)}, status = 'submitted', updated_at = NOW(), submitted_at = NOW()
+      WHERE id = ${brief.id} AND status <> 'submitted'
+      RETURNING *
+    `;
+    if (result.length === 0) {
+      return errorResponse("This brief has already been sent", 409);
+    }
+
+    await recordAudit(sql, {
+      clientId: brief.client_id,
+      entityType: "brief",
+      entityId: brief.id,
+      action: "submit_brief",
+      actor: null,
+    });
+
+    return jsonResponse(toPublicBrief({ ...result[0], client_name: brief.client_name }));
+  } catch (error) {
+    console.error("Error submitting brief:", error);
+    return errorResponse("Failed to send your brief", 500);
+  }
+}
+
+// POST /api/admin/briefs - the client's brief link, created on first use.
+// With new_link the old link stops working; answers so far are kept.
+async function createBrief(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const clientId = parseInt(body.client_id);
+
+    if (!clientId) {
+      return errorResponse("Client ID is required", 400);
+    }
+
+    const clients = await sql`SELECT id FROM clients WHERE id = ${clientId} AND deleted_at IS NULL`;
+    if (clients.length === 0) {
+      return errorResponse("Client not found", 404);
+    }
+
+    const existing = await sql`SELECT * FROM client_briefs WHERE client_id = ${clientId}`;
+    if (existing.length > 0 && !body.new_link) {
+      return jsonResponse(existing[0]);
+    }
+
+    const result =
+      existing.length > 0
+        ? await sql`
+            UPDATE client_briefs SET token = ${generateBriefToken()}, updated_at = NOW()
+            WHERE client_id = ${clientId}
+            RETURNING *
+          `
+        : await sql`
+            INSERT INTO client_briefs (client_id, token, created_by)
+            VALUES (${clientId}, ${generateBriefToken()}, ${admin.email})
+            ON CONFLICT (client_id) DO UPDATE SET updated_at = client_briefs.updated_at
+            RETURNING *
+          `;
+
+    await recordAudit(sql, {
+      clientId,
+      entityType: "brief",
+      entityId: result[0].id,
+      action: existing.length > 0 ? "new_brief_link" : "create_brief",
+      actor: admin.email,
+    });
+
+    return jsonResponse(result[0], existing.length > 0 ? 200 : 201);
+  } catch (error) {
+    console.error("Error creating brief:", error);
+    return errorResponse("Failed to create brief", 500);
+  }
+}
+
+// POST /api/admin/briefs/reopen - let the client change a submitted brief
+async function reopenBrief(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const clientId = parseInt(body.client_id);
+
+    if (!clientId) {
+      return errorResponse("Client ID is required", 400);
+    }
+
+    const result = await sql`
+      UPDATE client_briefs SET status = 'in-progress', submitted_at = NULL, updated_at = NOW()
+      WHERE client_id = ${clientId} AND status = 'submitted'
+      RETURNING *
+    `;
+    if (result.length === 0) {
+      return errorResponse("No submitted brief for this client", 404);
+    }
+
+    await recordAudit(sql, {
+      clientId,
+      entityType: "brief",
+      entityId: result[0].id,
+      action: "reopen_brief",
+      actor: admin.email,
+    });
+
+    return jsonResponse(result[0]);
+  } catch (error) {
+    console.error("Error reopening brief:", error);
+    return errorResponse("Failed to reopen brief", 500);
+  }
+}
+
+// ---- Dashboard ----
+
+const DASHBOARD_DEFAULT_DAYS = 90;
+const DASHBOARD_MAX_DAYS = 366 * 3;
+const DAY_MS = 86400000;
+
+function parseDay(value: string | null): Date | null {
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().substring(0, 10) !== value ? null : date;
+}
+
+// YYYY-MM keys for every month the range touches, so empty months still chart as zero
+function monthsBetween(from: string, to: string): string[] {
+  const months: string[] = [];
+  const cursor = new Date(`${from.substring(0, 7)}-01T00:00:00Z`);
+  while (cursor.toISOString().substring(0, 7) <= to.substring(0, 7)) {
+    months.push(cursor.toISOString().substring(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+// GET /api/admin/dashboard - pipeline and revenue figures for ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: last 90 days).
+// Revenue is only included for roles that can see financials.
+async function getDashboard(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const url = new URL(request.url);
+    const today = new Date(new Date().toISOString().substring(0, 10) + "T00:00:00Z");
+    const toDate = url.searchParams.get("to") ? parseDay(url.searchParams.get("to")) : today;
+    const fromDate = url.searchParams.get("from")
+      ? parseDay(url.searchParams.get("from"))
+      : toDate && new Date(toDate.getTime() - (DASHBOARD_DEFAULT_DAYS - 1) * DAY_MS);
+
+    if (!fromDate || !toDate) {
+      return errorResponse("Dates must be YYYY-MM-DD", 400);
+    }
+    const rangeDays = Math.round((toDate.getTime() - fromDate.getTime()) / DAY_MS) + 1;
+    if (rangeDays < 1) {
+      return errorResponse("The start date must be on or before the end date", 400);
+    }
+    if (rangeDays > DASHBOARD_MAX_DAYS) {
+      return errorResponse("Pick a range of three years or less", 400);
+    }
+
+    const from = fromDate.toISOString().substring(0, 10);
+    const to = toDate.toISOString().substring(0, 10);
+
+    // Clients added in the range, by current status
+    const statusRows = await sql`
+      SELECT COALESCE(status, 'lead') AS status, COUNT(*)::int AS count
+      FROM clients
+      WHERE deleted_at IS NULL
+        AND created_at >= ${from}::date AND created_at < ${to}::date + 1
+      GROUP BY 1
+    `;
+    const clientsByStatus = CLIENT_STATUSES.map((status) => ({
+      status,
+      count: statusRows.find((row) => row.status === status)?.count || 0,
+    }));
+
+    // Inquiries received in the range (spam excluded) that became clients
+    const [conversion] = await sql`
+      SELECT COUNT(*)::int AS inquiries, COUNT(client_id)::int AS converted
+      FROM inquiries
+      WHERE COALESCE(status, 'new') <> 'spam'
+        AND created_at >= ${from}::date AND created_at < ${to}::date + 1
+    `;
+
+    // Days from a client's first inquiry to their first booked session, for clients who inquired in the range
+    const [booking] = await sql`
+      WITH first_inquiry AS (
+        SELECT client_id, MIN(created_at) AS inquired_at
+        FROM inquiries
+        WHERE client_id IS NOT NULL
+        GROUP BY client_id
+      ),
+      first_booking AS (
+        SELECT client_id, MIN(meeting_at) AS booked_at
+        FROM client_milestones
+        WHERE meeting_at IS NOT NULL AND COALESCE(status, 'planned') <> 'cancelled'
+        GROUP BY client_id
+      )
+      SELECT
+        AVG(EXTRACT(EPOCH FROM (b.booked_at - i.inquired_at::timestamptz)) / 86400)::float AS average_days,
+        COUNT(*)::int AS clients
+      FROM first_inquiry i
+      JOIN first_booking b ON b.client_id = i.client_id AND b.booked_at >= i.inquired_at::timestamptz
+      JOIN clients c ON c.id = i.client_id AND c.deleted_at IS NULL
+      WHERE i.inquired_at >= ${from}::date AND i.inquired_at < ${to}::date + 1
+    `;
+
+    // Open client deadlines and milestone due dates that fall in the range. Ones
+    // already past are still open, so they're flagged overdue rather than dropped.
+    const todayKey = today.toISOString().substring(0, 10);
+    const milestoneDeadlines = await sql`
+      SELECT 'milestone' AS type, c.id AS client_id, c.name AS client_name, m.phase,
+        TO_CHAR(m.due_date, 'YYYY-MM-DD') AS due_date
+      FROM client_milestones m
+      JOIN clients c ON c.id = m.client_id AND c.deleted_at IS NULL
+      WHERE m.due_date BETWEEN ${from}::date AND ${to}::date
+        AND COALESCE(m.status, 'planned') NOT IN ('done', 'cancelled')
+    `;
+    // Client deadlines are free text; only ones that start with a real date count
+    const clientDeadlines = (
+      await sql`
+        SELECT id, name, deadline FROM clients
+        WHERE deleted_at IS NULL
+          AND deadline IS NOT NULL
+          AND COALESCE(status, 'lead') NOT IN ('completed', 'archived')
+      `
+    ).flatMap((client) => {
+      const due = parseDay(String(client.deadline).substring(0, 10));
+      return due && due >= fromDate && due <= toDate
+        ? [{ type: "client", client_id: client.id, client_name: client.name, phase: null, due_date: String(client.deadline).substring(0, 10) }]
+        : [];
+    });
+    const deadlines = [...milestoneDeadlines, ...clientDeadlines]
+      .sort((a, b) => a.due_date.localeCompare(b.due_date) || String(a.client_name).localeCompare(String(b.client_name)))
+      .slice(0, 20)
+      .map((deadline) => ({ ...deadline, overdue: deadline.due_date < todayKey }));
+
+    let revenue = null;
+    if (canSeeFinancials(admin)) {
+      // Booked: agreed cost (budget when no cost is set) of active and completed clients, by the month they were added.
+      // Collected: deposits and payments less refunds in the ledger, by entry date.
+      const booked = await sql`
+        SELECT TO_CHAR(created_at, 'YYYY-MM') AS month, cost, budget
+        FROM clients
+        WHERE deleted_at IS NULL
+          AND COALESCE(status, 'lead') IN ('active', 'completed')
+          AND created_at >= ${from}::date AND created_at < ${to}::date + 1
+      `;
+      const collected = await sql`
+        SELECT TO_CHAR(l.entry_date, 'YYYY-MM') AS month,
+          SUM(CASE WHEN l.entry_type = 'refund' THEN -l.amount ELSE l.amount END) AS amount
+        FROM client_ledger l
+        JOIN clients c ON c.id = l.client_id AND c.deleted_at IS NULL
+        WHERE l.entry_type IN ('deposit', 'payment', 'refund')
+          AND l.entry_date BETWEEN ${from}::date AND ${to}::date
+        GROUP BY 1
+      `;
+
+      const months = monthsBetween(from, to).map((month) => ({
+        month,
+        booked: roundMoney(
+          booked
+            .filter((row) => row.month === month)
+            .reduce((sum, row) => sum + (toAmount(row.cost) || toAmount(row.budget)), 0)
+        ),
+        collected: roundMoney(toAmount(collected.find((row) => row.month === month)?.amount)),
+      }));
+      revenue = {
+        months,
+        booked: roundMoney(months.reduce((sum, m) => sum + m.booked, 0)),
+        collected: roundMoney(months.reduce((sum, m) => sum + m.collected, 0)),
+      };
+    }
+
+    return jsonResponse({
+      from,
+      to,
+      clients_by_status: clientsByStatus,
+      conversion: {
+        inquiries: conversion.inquiries,
+        converted: conversion.converted,
+        rate: conversion.inquiries > 0 ? conversion.converted / conversion.inquiries : null,
+      },
+      time_to_booking: {
+        average_days: booking.average_days === null ? null : Math.round(booking.average_days * 10) / 10,
+        clients: booking.clients,
+      },
+      deadlines,
+      revenue,
+    });
+  } catch (error) {
+    console.error("Error building dashboard:", error);
+    return errorResponse("Failed to load dashboard", 500);
+  }
+}
+
+// Unguessable token for calendar feed URLs (these are long-lived and shared with calendar apps)
+function generateFeedToken(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// GET /api/admin/calendar/feeds - list active calendar feed links
+async function getCalendarFeeds(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const feeds = await sql`
+      SELECT f.id, f.token, f.client_id, f.created_at, c.name AS client_name
+      FROM calendar_feed_tokens f
+      LEFT JOIN clients c ON c.id = f.client_id
+      WHERE f.revoked_at IS NULL
+      ORDER BY f.created_at DESC
+    `;
+    return jsonResponse({ feeds });
+  } catch (error) {
+    console.error("Error fetching calendar feeds:", error);
+    return errorResponse("Failed to fetch calendar feeds", 500);
+  }
+}
+
+// POST /api/admin/calendar/feeds - issue a feed link (replaces any existing link with the same scope)
+async function createCalendarFeed(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const clientId = body.client_id ? parseInt(body.client_id) : null;
+    const token = generateFeedToken();
+
+    const [, result] = await sql.transaction((txn) => [
+      clientId
+        ? txn`UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE client_id = ${clientId} AND revoked_at IS NULL`
+        : txn`UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE client_id IS NULL AND revoked_at IS NULL`,
+      txn`INSERT INTO calendar_feed_tokens (token, client_id) VALUES (${token}, ${clientId}) RETURNING id, token, client_id, created_at`,
+    ]);
+
+    return jsonResponse(result[0], 201);
+  } catch (error) {
+    console.error("Error creating calendar feed:", error);
+    return errorResponse("Failed to create calendar feed", 500);
+  }
+}
+
+// DELETE /api/admin/calendar/feeds - revoke a feed link
+async function revokeCalendarFeed(
+  request: Request,
+  sql: ReturnType<typeof neon>
+) {
+  try {
+    const body = await request.json();
+    const { id } = body;
+
+    if (!id) {
+      return errorResponse("Feed ID is required", 400);
+    }
+
+    const result = await sql`
+      UPDATE calendar_feed_tokens SET revoked_at = NOW()
+      WHERE id = ${parseInt(id)} AND revoked_at IS NULL
+      RETURNING id
+    `;
+
+    if (result.length === 0) {
+      return errorResponse("Calendar feed not found", 404);
+    }
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error("Error revoking calendar feed:", error);
+    return errorResponse("Failed to revoke calendar feed", 500);
+  }
+}
+
+// Escape user-supplied text for the HTML part of outgoing email
+function escapeHtml(text: string): string {
+  const map: Record<string, string> = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#039;",
+  };
+  return text.replace(/[&<>"']/g, (char) => map[char]);
+}
+
+function isValidEmail(email: string): boolean {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// POST /api/admin/emails - send an email to a client or inquiry via Resend and log it
+async function sendClientEmail(
+  request: Request,
+  sql: ReturnType<typeof neon>,
+  admin: AdminUser
+) {
+  try {
+    const body = await request.json();
+    const to = String(body.to || "").trim();
+    const subject = String(body.subject || "").trim().slice(0, 300);
+    const text = String(body.body || "").trim().slice(0, 20000);
+    const template = body.template ? String(body.template) : null;
+    let clientId = body.client_id ? parseInt(body.client_id) : null;
+    const inquiryId = body.inquiry_id ? parseInt(body.inquiry_id) : null;
+
+    if (!isValidEmail(to)) {
+      return errorResponse("A valid recipient email is required", 400);
+    }
+    if (!subject || !text) {
+      return errorResponse("Subject and message are required", 400);
+    }
+
+    // Replies to a linked inquiry belong on that client's timeline
+    if (inquiryId && !clientId) {
+      const inquiries = await sql`SELECT client_id FROM inquiries WHERE id = ${inquiryId}`;
+      if (inquiries.length === 0) {
+        return errorResponse("Inquiry not found", 404);
+      }
+      clientId = inquiries[0].client_id;
+    }
+
+    const resendApiKey = Netlify.env.get("RESEND_API_KEY");
+    const fromEmail = Netlify.env.get("FROM_EMAIL");
+    const replyTo = Netlify.env.get("CONTACT_EMAIL");
+
+    if (!resendApiKey || !fromEmail) {
+      console.error("Email config missing: RESEND_API_KEY or FROM_EMAIL");
+      return errorResponse("Email service not configured", 500);
+    }
+
+    const emailResponse = await fetch("https://api.resend.com/emails", {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${resendApiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        from: `The Scale Rebel <${fromEmail}>`,
+        to: [to],
+        ...(replyTo ? { reply_to: replyTo } : {}),
+        subject,
+        text,
+        html: `<div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 15px; line-height: 1.5; color: #18181b;">${escapeHtml(text).replace(/\n/g, "<br>")}</div>`,
+      }),
+    });
+
+    const resendResult = await emailResponse.json().catch(() => ({}));
+    const failed = !emailResponse.ok;
+    if (failed) {
+      console.error("Resend API error:", resendResult);
+    }
+
+    // Log failures too, so the timeline shows the attempt
+    const logged = await sql`
+      INSERT INTO client_emails (client_id, inquiry_id, to_email, subject, body, template, status, error, resend_id, sent_by)
+      VALUES (
+        ${clientId},
+        ${inquiryId},
+        ${to},
+        ${subject},
+        ${text},
+        ${template},
+        ${failed ? "failed" : "sent"},
+        ${failed ? resendResult.message || `HTTP ${emailResponse.status}` : null},
+        ${resendResult.id || null},
+        ${admin.email}
+      )
+      RETURNING *
+    `;
+
+    if (failed) {
+      return errorResponse("Failed to send email", 502);
+    }
+
+    // A reply moves a fresh inquiry along the pipeline
+    if (inquiryId) {
+      await sql`UPDATE inquiries SET status = 'contacted' WHERE id = ${inquiryId} AND status = 'new'`;
+    }
+
+    return jsonResponse(logged[0], 201);
+  } catch (error) {
+    console.error("Error sending client email:", error);
+    return errorResponse("Failed to send email", 500);
+  }
+}
+
+// Main handler — Netlify Functions V2: first arg is Request, second is Context
+export default async function handler(request: Request, context: Context) {
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return handleCors();
+  }
+
   try {
     // Initialize database connection
     const sql = neon();
@@ -530,44 +3741,193 @@ export default async function handler(request: Request, context: Context) {
       if (pathname.match(/\/api\/admin\/otp\/logout$/)) {
         return await logout(request, sql);
       }
+      if (pathname.match(/\/api\/admin\/passkeys\/login\/options$/)) {
+        return await getPasskeyLoginOptions(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/passkeys\/login$/)) {
+        return await loginWithPasskey(request, sql);
+      }
+    }
+
+    // Project brief routes for clients (the brief's token instead of a session)
+    if (pathname.match(/\/api\/admin\/brief$/)) {
+      if (request.method === "GET") return await getBriefForm(request, sql);
+      if (request.method === "PUT") return await saveBriefProgress(request, sql);
+    }
+    if (pathname.match(/\/api\/admin\/brief\/submit$/) && request.method === "POST") {
+      return await submitBrief(request, sql);
     }
 
     // All other routes require authentication
-    if (!(await checkAuth(request, sql))) {
+    const admin = await checkAuth(request, sql);
+    if (!admin) {
       return errorResponse("Unauthorized", 401);
     }
 
+    if (!canAccess(admin, request.method, pathname)) {
+      return errorResponse("You don't have permission to do that", 403);
+    }
+
     // GET routes
     if (request.method === "GET") {
+      if (pathname.match(/\/api\/admin\/me$/)) {
+        return jsonResponse({ user: { email: admin.email, role: admin.role } });
+      }
+      if (pathname.match(/\/api\/admin\/sessions$/)) {
+        return await getSessions(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/passkeys$/)) {
+        return await getPasskeys(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/users$/)) {
+        return await getAdminUsers(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/dashboard$/)) {
+        return await getDashboard(request, sql, admin);
+      }
       if (pathname.match(/\/api\/admin\/clients$/)) {
-        return await getClients(request, sql);
+        return await getClients(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/clients\/trash$/)) {
+        return await getTrashedClients(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/clients\/duplicates$/)) {
+        return await getClientDuplicates(request, sql);
       }
       if (pathname.match(/\/api\/admin\/inquiries$/)) {
         return await getInquiries(request, sql);
       }
+      if (pathname.match(/\/api\/admin\/inquiries\/unread$/)) {
+        return await getUnreadInquiryCount(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/portfolio$/)) {
+        return await getPortfolioItems(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/milestones$/)) {
+        return await getMilestones(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/calendar\/feeds$/)) {
+        return await getCalendarFeeds(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/files$/)) {
+        return await getClientFiles(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/files\/download$/)) {
+        return await getFileDownloadUrl(request, sql);
+      }
     }
 
     // POST routes
     if (request.method === "POST") {
       if (pathname.match(/\/api\/admin\/clients$/)) {
-        return await createClient(request, sql);
+        return await createClient(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/users$/)) {
+        return await inviteAdminUser(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/passkeys$/)) {
+        return await registerPasskey(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/passkeys\/register\/options$/)) {
+        return await getPasskeyRegistrationOptions(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/clients\/import$/)) {
+        return await importClients(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/clients\/restore$/)) {
+        return await restoreClient(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/clients\/merge$/)) {
+        return await mergeClients(request, sql, admin);
       }
       if (pathname.match(/\/api\/admin\/inquiries\/link$/)) {
-        return await linkInquiry(request, sql);
+        return await linkInquiry(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/portfolio$/)) {
+        return await createPortfolioItem(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/portfolio\/reorder$/)) {
+        return await reorderPortfolioItems(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/milestones$/)) {
+        return await createMilestone(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/ledger$/)) {
+        return await createLedgerEntry(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/calendar\/feeds$/)) {
+        return await createCalendarFeed(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/emails$/)) {
+        return await sendClientEmail(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/files$/)) {
+        return await uploadClientFile(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/briefs$/)) {
+        return await createBrief(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/briefs\/reopen$/)) {
+        return await reopenBrief(request, sql, admin);
       }
     }
 
     // PUT routes
     if (request.method === "PUT") {
       if (pathname.match(/\/api\/admin\/clients$/)) {
-        return await updateClient(request, sql);
+        return await updateClient(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/users$/)) {
+        return await updateAdminUser(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/portfolio$/)) {
+        return await updatePortfolioItem(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/inquiries$/)) {
+        return await updateInquiryStatus(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/milestones$/)) {
+        return await updateMilestone(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/files$/)) {
+        return await updateClientFile(request, sql, admin);
       }
     }
 
     // DELETE routes
     if (request.method === "DELETE") {
       if (pathname.match(/\/api\/admin\/clients$/)) {
-        return await deleteClient(request, sql);
+        return await deleteClient(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/clients\/trash$/)) {
+        return await purgeClient(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/users$/)) {
+        return await revokeAdminUser(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/passkeys$/)) {
+        return await deletePasskey(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/sessions$/)) {
+        return await revokeSessions(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/portfolio$/)) {
+        return await deletePortfolioItem(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/inquiries$/)) {
+        return await deleteInquiries(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/milestones$/)) {
+        return await deleteMilestone(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/ledger$/)) {
+        return await deleteLedgerEntry(request, sql);
+      }
+      if (pathname.match(/\/api\/admin\/files$/)) {
+        return await deleteClientFile(request, sql, admin);
+      }
+      if (pathname.match(/\/api\/admin\/calendar\/feeds$/)) {
+        return await revokeCalendarFeed(request, sql);
       }
     }
 
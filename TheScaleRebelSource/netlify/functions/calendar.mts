@@ -0,0 +1,279 @@
+import type { Context, Config } from "@netlify/functions";
+import { neon } from "@netlify/neon";
+import { ensureSchema } from "../lib/schema.mjs";
+
+// iCalendar export of client deadlines, milestone due dates and booked sessions.
+//
+//   GET /api/calendar.ics?token=...          subscribable feed (token issued in the admin Schedule tab)
+//   GET /api/calendar.ics?client_id=...      one-off download for a single client (admin session required)
+//
+// Every event has a UID derived from the record it came from and a SEQUENCE
+// derived from its updated_at, so calendar apps update events in place.
+
+const PHASE_LABELS: Record<string, string> = {
+  discovery: "Discovery",
+  "design-build": "Design + Build",
+  launch: "Launch",
+  handover: "Handover",
+};
+
+// Booked sessions have no end time in the CRM; assume a standard block
+const MEETING_DURATION = "PT1H";
+
+type Row = Record<string, any>;
+
+function textResponse(message: string, status: number) {
+  return new Response(message, {
+    status,
+    headers: { "Content-Type": "text/plain; charset=utf-8" },
+  });
+}
+
+// Same check as admin-api.mts, for the authenticated single-client download
+async function hasAdminSession(request: Request, sql: ReturnType<typeof neon>): Promise<boolean> {
+  const authHeader = request.headers.get("Authorization");
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return false;
+
+  const token = authHeader.replace("Bearer ", "");
+  const sessions = await sql`
+    SELECT s.id FROM admin_sessions s
+    JOIN admin_users u ON u.email = s.email AND u.revoked_at IS NULL
+    WHERE s.token = ${token} AND s.expires_at > NOW()
+  `;
+  return sessions.length > 0;
+}
+
+// Escape TEXT values (RFC 5545 3.3.11)
+function escapeText(value: unknown): string {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1)
+function foldLine(line: string): string {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts: string[] = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = new TextEncoder().encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// YYYY-MM-DD from a DATE column (Date object or string) or free-text deadline
+function toDay(value: unknown): string | null {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString().substring(0, 10);
+  const match = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : null;
+}
+
+function formatDay(day: string): string {
+  return day.replace(/-/g, "");
+}
+
+function nextDay(day: string): string {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return formatDay(date.toISOString().substring(0, 10));
+}
+
+function formatTimestamp(value: unknown): string {
+  return new Date(value as string).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Monotonic per-record revision number so edits replace the existing event
+function sequenceOf(row: Row): number {
+  const updated = row.updated_at ? new Date(row.updated_at).getTime() : 0;
+  return Number.isFinite(updated) ? Math.floor(updated / 1000) : 0;
+}
+
+interface CalendarEvent {
+  uid: string;
+  summary: string;
+  description?: string;
+  day?: string; // all-day event
+  start?: unknown; // timed event
+  sequence: number;
+  lastModified?: unknown;
+  cancelled?: boolean;
+}
+
+function renderEvent(event: CalendarEvent, stamp: string): string[] {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `SEQUENCE:${event.sequence}`,
+  ];
+
+  if (event.day) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDay(event.day)}`);
+    lines.push(`DTEND;VALUE=DATE:${nextDay(event.day)}`);
+    lines.push("TRANSP:TRANSPARENT");
+  } else {
+    lines.push(`DTSTART:${formatTimestamp(event.start)}`);
+    lines.push(`DURATION:${MEETING_DURATION}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatTimestamp(event.lastModified)}`);
+  lines.push(`STATUS:${event.cancelled ? "CANCELLED" : "CONFIRMED"}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function buildEvents(clients: Row[], milestones: Row[], host: string): CalendarEvent[] {
+  const events: CalendarEvent[] = [];
+  const clientNames = new Map(clients.map((c) => [c.id, c.name]));
+
+  for (const client of clients) {
+    const day = toDay(client.deadline);
+    if (!day) continue;
+    events.push({
+      uid: `client-${client.id}-deadline@${host}`,
+      summary: `Deadline: ${client.name}`,
+      description: client.company ? `${client.name} (${client.company})` : undefined,
+      day,
+      sequence: sequenceOf(client),
+      lastModified: client.updated_at,
+      cancelled: client.status === "archived",
+    });
+  }
+
+  for (const milestone of milestones) {
+    const clientName = clientNames.get(milestone.client_id) || "Client";
+    const phase = PHASE_LABELS[milestone.phase] || milestone.phase;
+    const cancelled = milestone.status === "cancelled";
+    const day = toDay(milestone.due_date);
+
+    if (day) {
+      events.push({
+        uid: `milestone-${milestone.id}-due@${host}`,
+        summary: `${phase} due: ${clientName}`,
+        description: milestone.notes || undefined,
+        day,
+        sequence: sequenceOf(milestone),
+        lastModified: milestone.updated_at,
+        cancelled,
+      });
+    }
+
+    if (milestone.meeting_at) {
+      events.push({
+        uid: `milestone-${milestone.id}-meeting@${host}`,
+        summary: `${clientName}: ${phase} session`,
+        description: milestone.notes || undefined,
+        start: milestone.meeting_at,
+        sequence: sequenceOf(milestone),
+        lastModified: milestone.updated_at,
+        cancelled,
+      });
+    }
+  }
+
+  return events;
+}
+
+function renderCalendar(name: string, events: CalendarEvent[]): string {
+  const stamp = formatTimestamp(new Date().toISOString());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//The Scale Rebel//Studio CRM//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => renderEvent(event, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+function calendarFileName(name: string): string {
+  return `${name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "calendar"}.ics`;
+}
+
+export default async (req: Request, context: Context) => {
+  if (req.method !== "GET") {
+    return textResponse("Method not allowed", 405);
+  }
+
+  const url = new URL(req.url);
+  const feedToken = url.searchParams.get("token");
+  const requestedClientId = url.searchParams.get("client_id");
+
+  try {
+    const sql = neon();
+    await ensureSchema(sql);
+
+    // Resolve which clients this request may see
+    let clientId: number | null = null;
+    if (feedToken) {
+      const feeds = await sql`
+        SELECT client_id FROM calendar_feed_tokens
+        WHERE token = ${feedToken} AND revoked_at IS NULL
+      `;
+      if (feeds.length === 0) {
+        return textResponse("Calendar feed not found", 404);
+      }
+      clientId = feeds[0].client_id;
+    } else if (requestedClientId && (await hasAdminSession(req, sql))) {
+      clientId = parseInt(requestedClientId);
+    } else {
+      return textResponse("Unauthorized", 401);
+    }
+
+    // Trashed clients drop out of the feed
+    const clients = clientId
+      ? await sql`SELECT * FROM clients WHERE id = ${clientId} AND deleted_at IS NULL`
+      : await sql`SELECT * FROM clients WHERE deleted_at IS NULL`;
+    const milestones = clientId
+      ? await sql`SELECT * FROM client_milestones WHERE client_id = ${clientId}`
+      : await sql`
+          SELECT m.* FROM client_milestones m
+          JOIN clients c ON c.id = m.client_id
+          WHERE c.deleted_at IS NULL
+        `;
+
+    if (clientId && clients.length === 0) {
+      return textResponse("Client not found", 404);
+    }
+
+    const name = clientId ? `Scale Rebel: ${clients[0].name}` : "Scale Rebel Studio";
+    const body = renderCalendar(name, buildEvents(clients, milestones, url.hostname));
+
+    const headers: Record<string, string> = {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Cache-Control": "private, max-age=300",
+    };
+    if (!feedToken) {
+      headers["Content-Disposition"] = `attachment; filename="${calendarFileName(name)}"`;
+    }
+
+    return new Response(body, { status: 200, headers });
+  } catch (error) {
+    console.error("Error building calendar:", error);
+    return textResponse("Failed to build calendar", 500);
+  }
+};
+
+export const config: Config = {
+  path: "/api/calendar.ics",
+};
@@ -0,0 +1,118 @@
+import type { Context, Config } from "@netlify/functions";
+import { neon } from "@netlify/neon";
+import { ensureSchema } from "../lib/schema.mjs";
+import { getStore } from "@netlify/blobs";
+
+// Serves client file attachments from the "client-files" blob store.
+//
+//   GET /api/client-files/:id?v=file|thumb&exp=...&sig=...[&download=1]
+//
+// Links are signed by admin-api.mts (signFileUrl) for an admin who is signed in
+// and expire after a few minutes, so they can be used as an <img> src or a
+// plain download link without sending the admin's bearer token.
+
+// Image types safe to show inline; everything else is sent as an attachment
+const INLINE_IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+function textResponse(message: string, status: number) {
+  return new Response(message, {
+    status,
+    headers: { "Content-Type": "text/plain; charset=utf-8" },
+  });
+}
+
+// HMAC-SHA256 as hex (same as admin-api.mts, which signs the links)
+async function hmacHex(secret: string, message: string): Promise<string> {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+  return Array.from(new Uint8Array(signature), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Compare without bailing out at the first difference
+function safeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// RFC 6266 filename plus a UTF-8 filename* for names outside ASCII
+function contentDisposition(type: "inline" | "attachment", fileName: string): string {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+export default async (req: Request, context: Context) => {
+  if (req.method !== "GET") {
+    return textResponse("Method not allowed", 405);
+  }
+
+  const url = new URL(req.url);
+  const id = parseInt(context.params.id);
+  const variant = url.searchParams.get("v") === "thumb" ? "thumb" : "file";
+  const expires = parseInt(url.searchParams.get("exp") || "");
+  const signature = url.searchParams.get("sig") || "";
+
+  const secret = Netlify.env.get("FILE_URL_SECRET");
+  if (!secret || !id || !expires) {
+    return textResponse("Not found", 404);
+  }
+  if (!safeEqual(signature, await hmacHex(secret, `${id}:${variant}:${expires}`))) {
+    return textResponse("Invalid link", 403);
+  }
+  if (expires < Date.now() / 1000) {
+    return textResponse("This link has expired", 410);
+  }
+
+  try {
+    const sql = neon();
+    await ensureSchema(sql);
+
+    // Files of trashed clients stay hidden until the client is restored
+    const files = await sql`
+      SELECT f.* FROM client_files f
+      JOIN clients c ON c.id = f.client_id AND c.deleted_at IS NULL
+      WHERE f.id = ${id}
+    `;
+    const file = files[0];
+    const key = file && (variant === "thumb" ? file.thumbnail_key : file.blob_key);
+    if (!key) {
+      return textResponse("File not found", 404);
+    }
+
+    const store = getStore({ name: "client-files", consistency: "strong" });
+    const blob = await store.getWithMetadata(key, { type: "stream" });
+    if (!blob) {
+      return textResponse("File not found", 404);
+    }
+
+    const contentType = String(
+      (variant === "thumb" ? blob.metadata.contentType : file.content_type) || "application/octet-stream"
+    );
+    const inline = INLINE_IMAGE_TYPES.includes(contentType) && url.searchParams.get("download") !== "1";
+
+    return new Response(blob.data, {
+      status: 200,
+      headers: {
+        "Content-Type": inline ? contentType : "application/octet-stream",
+        "Content-Disposition": contentDisposition(inline ? "inline" : "attachment", file.file_name),
+        "Cache-Control": "private, max-age=300",
+        "X-Content-Type-Options": "nosniff",
+        "Content-Security-Policy": "default-src 'none'; sandbox",
+      },
+    });
+  } catch (error) {
+    console.error("Error serving file:", error);
+    return textResponse("Failed to load file", 500);
+  }
+};
+
+export const config: Config = {
+  path: "/api/client-files/:id",
+};
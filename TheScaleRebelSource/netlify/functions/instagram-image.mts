@@ -1,26 +1,340 @@
 import type { Context, Config } from "@netlify/functions";
+import { neon } from "@netlify/neon";
+import { ensureSchema } from "../lib/schema.mjs";
+import { normalizePermalink } from "../lib/instagram.mjs";
+
+// Resolved og:image URLs stay fresh for a day; after that the last good URL is
+// still served while a single background refresh re-scrapes the post
+const CACHE_TTL_HOURS = 24;
+// Posts that failed to resolve (and have no good URL yet) aren't retried for this long
+const FAILURE_RETRY_MINUTES = 15;
+// A refresh claim older than this is considered abandoned
+const REFRESH_LOCK_MINUTES = 2;
+// Batch requests: max posts per call and how many Instagram scrapes run at once
+const BATCH_MAX_URLS = 50;
+const BATCH_SCRAPE_CONCURRENCY = 6;
+// A single Instagram fetch is abandoned after this long
+const SCRAPE_TIMEOUT_MS = 5000;
+// A batch answers within this long (well inside the function time limit); posts
+// it hasn't got to by then come back as "pending" for the client to ask again
+const BATCH_DEADLINE_MS = 6000;
+
+class ScrapeError extends Error {
+  status: number;
+  constructor(message: string, status: number) {
+    super(message);
+    this.status = status;
+  }
+}
+
+interface CacheRow {
+  post_url: string;
+  image_url: string | null;
+  failed: boolean;
+  last_error: string | null;
+  is_fresh: boolean;
+  retry_allowed: boolean;
+}
 
 // Helper to create Netlify Image CDN URL with WebP format and optimized size
 function getOptimizedImageUrl(imageUrl: string, width: number = 600, quality: number = 80): string {
   return `/.netlify/images?url=${encodeURIComponent(imageUrl)}&w=${width}&fm=webp&q=${quality}`;
 }
 
+// Scrape the post page for its og:image; throws ScrapeError on failure
+async function scrapeOgImage(postUrl: string): Promise<string> {
+  const response = await fetch(postUrl, {
+    headers: {
+      "User-Agent":
+        "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)",
+      Accept:
+        "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
+      "Accept-Language": "en-US,en;q=0.5",
+    },
+    signal: AbortSignal.timeout(SCRAPE_TIMEOUT_MS),
+  }).catch(() => null);
+
+  if (!response || !response.ok) {
+    throw new ScrapeError("Failed to fetch Instagram post", 502);
+  }
+
+  const html = await response.text().catch(() => {
+    throw new ScrapeError("Failed to fetch Instagram post", 502);
+  });
+
+  // Extract image URL from OpenGraph meta tag
+  const ogImageMatch = html.match(
+    /<meta\s+property="og:image"\s+content="([^"]+)"/i
+  ) || html.match(
+    /<meta\s+content="([^"]+)"\s+property="og:image"/i
+  );
+
+  if (!ogImageMatch || !ogImageMatch[1]) {
+    throw new ScrapeError("Could not find image in Instagram post", 404);
+  }
+
+  // Decode HTML entities in the URL
+  return ogImageMatch[1]
+    .replace(/&amp;/g, "&")
+    .replace(/&#x3D;/g, "=");
+}
+
+// Scrape a post and record the outcome. On failure the last good image_url is kept.
+async function refreshCacheEntry(sql: ReturnType<typeof neon>, postUrl: string): Promise<string> {
+  try {
+    const imageUrl = await scrapeOgImage(postUrl);
+    await sql`
+      INSERT INTO instagram_image_cache (post_url, image_url, fetched_at, succeeded_at, failed, failure_count, last_error, refreshing_at)
+      VALUES (${postUrl}, ${imageUrl}, NOW(), NOW(), FALSE, 0, NULL, NULL)
+      ON CONFLICT (post_url) DO UPDATE SET
+        image_url = EXCLUDED.image_url,
+        fetched_at = NOW(),
+        succeeded_at = NOW(),
+        failed = FALSE,
+        failure_count = 0,
+        last_error = NULL,
+        refreshing_at = NULL
+    `;
+    return imageUrl;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    await sql`
+      INSERT INTO instagram_image_cache (post_url, fetched_at, failed, failure_count, last_error)
+      VALUES (${postUrl}, NOW(), TRUE, 1, ${message})
+      ON CONFLICT (post_url) DO UPDATE SET
+        fetched_at = NOW(),
+        failed = TRUE,
+        failure_count = instagram_image_cache.failure_count + 1,
+        last_error = EXCLUDED.last_error,
+        refreshing_at = NULL
+    `.catch((dbError) => console.error("Failed to record Instagram fetch failure:", dbError));
+    throw error;
+  }
+}
+
+// Atomically claim the refresh for a stale entry so a burst of requests triggers one scrape
+async function claimRefresh(sql: ReturnType<typeof neon>, postUrl: string): Promise<boolean> {
+  const claimed = await sql`
+    UPDATE instagram_image_cache
+    SET refreshing_at = NOW()
+    WHERE post_url = ${postUrl}
+      AND (refreshing_at IS NULL OR refreshing_at < NOW() - (${REFRESH_LOCK_MINUTES} * INTERVAL '1 minute'))
+    RETURNING post_url
+  `;
+  return claimed.length > 0;
+}
+
+async function readCacheEntries(sql: ReturnType<typeof neon>, postUrls: string[]): Promise<Map<string, CacheRow>> {
+  const rows = await sql`
+    SELECT
+      post_url,
+      image_url,
+      failed,
+      last_error,
+      COALESCE(succeeded_at, TIMESTAMP 'epoch') > NOW() - (${CACHE_TTL_HOURS} * INTERVAL '1 hour') AS is_fresh,
+      fetched_at < NOW() - (${FAILURE_RETRY_MINUTES} * INTERVAL '1 minute') AS retry_allowed
+    FROM instagram_image_cache
+    WHERE post_url = ANY(${postUrls})
+  `;
+  return new Map(rows.map((row) => [row.post_url as string, row as CacheRow]));
+}
+
+async function readCacheEntry(sql: ReturnType<typeof neon>, postUrl: string): Promise<CacheRow | null> {
+  const rows = await sql`
+    SELECT
+      post_url,
+      image_url,
+      failed,
+      last_error,
+      COALESCE(succeeded_at, TIMESTAMP 'epoch') > NOW() - (${CACHE_TTL_HOURS} * INTERVAL '1 hour') AS is_fresh,
+      fetched_at < NOW() - (${FAILURE_RETRY_MINUTES} * INTERVAL '1 minute') AS retry_allowed
+    FROM instagram_image_cache
+    WHERE post_url = ${postUrl}
+  `;
+  return (rows[0] as CacheRow) || null;
+}
+
+// Resolve a post's image URL from the cache, scraping Instagram only when needed.
+// Pass a pre-read cache entry (or null for a known miss) to skip the lookup.
+async function resolveImageUrl(
+  sql: ReturnType<typeof neon>,
+  postUrl: string,
+  context: Context,
+  cached?: CacheRow | null
+): Promise<{ imageUrl: string; stale: boolean }> {
+  const entry = cached === undefined ? await readCacheEntry(sql, postUrl) : cached;
+
+  if (entry && entry.image_url) {
+    if (!entry.is_fresh && entry.retry_allowed && (await claimRefresh(sql, postUrl))) {
+      // Serve the last good URL now and refresh after the response is sent
+      const refresh = refreshCacheEntry(sql, postUrl).catch((error) =>
+        console.error("Background refresh failed for", postUrl, error)
+      );
+      const ctx = context as Context & { waitUntil?: (promise: Promise<unknown>) => void };
+      if (typeof ctx.waitUntil === "function") ctx.waitUntil(refresh);
+    }
+    return { imageUrl: entry.image_url, stale: !entry.is_fresh || entry.failed };
+  }
+
+  // Never resolved and failed recently: don't hammer Instagram
+  if (entry && entry.failed && !entry.retry_allowed) {
+    throw new ScrapeError(entry.last_error || "Instagram post unavailable", 404);
+  }
+
+  const imageUrl = await refreshCacheEntry(sql, postUrl);
+  return { imageUrl, stale: false };
+}
+
+interface BatchResult {
+  url: string;
+  status: "ok" | "stale" | "pending" | "error" | "invalid";
+  imageUrl?: string;
+  originalUrl?: string;
+  error?: string;
+}
+
+// GET /api/instagram-image/batch?urls=...&urls=...&w=&q= — resolve many posts in one call.
+// Clients send the URLs sorted so the same set always hits the same CDN cache entry.
+// Each result carries its own status so one broken post doesn't fail the whole grid.
+async function handleBatch(req: Request, context: Context) {
+  const deadline = Date.now() + BATCH_DEADLINE_MS;
+
+  if (req.method !== "GET") {
+    return new Response(JSON.stringify({ error: "Method not allowed" }), {
+      status: 405,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  const params = new URL(req.url).searchParams;
+  const requested = params.getAll("urls");
+
+  if (requested.length === 0) {
+    return new Response(JSON.stringify({ error: "urls is required" }), {
+      status: 400,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  if (requested.length > BATCH_MAX_URLS) {
+    return new Response(JSON.stringify({ error: `At most ${BATCH_MAX_URLS} urls per request` }), {
+      status: 400,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  const width = parseInt(params.get("w") || "600", 10);
+  const quality = parseInt(params.get("q") || "80", 10);
+  // Only https Instagram post/reel/tv permalinks are fetched, and they're cached
+  // under their canonical form so variants of one link share an entry
+  const urls = requested.map((u) => u.trim());
+  const permalinks = urls.map((u) => normalizePermalink(u));
+  const validUrls = [...new Set(permalinks.filter((p): p is string => p !== null))];
+
+  // One cache read for the whole batch; fall back to direct scraping without a database
+  let sql: ReturnType<typeof neon> | null = null;
+  let cached = new Map<string, CacheRow>();
+  try {
+    sql = neon();
+    await ensureSchema(sql);
+    if (validUrls.length > 0) cached = await readCacheEntries(sql, validUrls);
+  } catch (error) {
+    console.error("Instagram image cache unavailable:", error);
+    sql = null;
+  }
+
+  const resolved = new Map<string, BatchResult>();
+
+  async function resolveOne(postUrl: string) {
+    try {
+      let imageUrl: string;
+      let stale = false;
+      if (sql) {
+        ({ imageUrl, stale } = await resolveImageUrl(sql, postUrl, context, cached.get(postUrl) || null));
+      } else {
+        imageUrl = await scrapeOgImage(postUrl);
+      }
+      resolved.set(postUrl, {
+        url: postUrl,
+        status: stale ? "stale" : "ok",
+        imageUrl: getOptimizedImageUrl(imageUrl, width, quality),
+        originalUrl: imageUrl,
+      });
+    } catch (error) {
+      if (!(error instanceof ScrapeError)) console.error("Error resolving", postUrl, error);
+      resolved.set(postUrl, {
+        url: postUrl,
+        status: "error",
+        error: error instanceof ScrapeError ? error.message : "Internal server error",
+      });
+    }
+  }
+
+  // Cache hits resolve without network; misses are scraped a few at a time until
+  // the deadline. Scrapes still running then finish in the background and fill the cache.
+  const queue = [...validUrls];
+  const workers = Array.from({ length: Math.min(BATCH_SCRAPE_CONCURRENCY, queue.length) }, async () => {
+    while (queue.length > 0 && Date.now() < deadline) {
+      await resolveOne(queue.shift() as string);
+    }
+  });
+  const done = Promise.all(workers);
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  await Promise.race([
+    done,
+    new Promise((resolve) => {
+      timer = setTimeout(resolve, Math.max(0, deadline - Date.now()));
+    }),
+  ]);
+  clearTimeout(timer);
+  const ctx = context as Context & { waitUntil?: (promise: Promise<unknown>) => void };
+  if (resolved.size < validUrls.length && typeof ctx.waitUntil === "function") ctx.waitUntil(done);
+
+  // Results keep the URLs as the caller sent them
+  const results: BatchResult[] = urls.map((postUrl, i) => {
+    if (!permalinks[i]) return { url: postUrl, status: "invalid", error: "Invalid Instagram URL" };
+    const result = resolved.get(permalinks[i] as string);
+    return result ? { ...result, url: postUrl } : { url: postUrl, status: "pending" };
+  });
+
+  // Short public cache; shorter still while some posts are failing or refreshing,
+  // and none at all while some are pending so asking again gets fresh results
+  const pending = results.some((result) => result.status === "pending");
+  const settled = results.every((result) => result.status === "ok" || result.status === "invalid");
+  return new Response(JSON.stringify({ results }), {
+    status: 200,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": pending
+        ? "no-store"
+        : settled
+          ? "public, max-age=300, stale-while-revalidate=3600"
+          : "public, max-age=60",
+    },
+  });
+}
+
 export default async (req: Request, context: Context) => {
   const url = new URL(req.url);
-  const postUrl = url.searchParams.get("url");
+  if (url.pathname.endsWith("/batch")) {
+    return handleBatch(req, context);
+  }
+
+  const requestedUrl = url.searchParams.get("url");
   // Optional size parameters for client customization
   const width = parseInt(url.searchParams.get("w") || "600", 10);
   const quality = parseInt(url.searchParams.get("q") || "80", 10);
 
-  if (!postUrl) {
+  if (!requestedUrl) {
     return new Response(JSON.stringify({ error: "Missing url parameter" }), {
       status: 400,
       headers: { "Content-Type": "application/json" },
     });
   }
 
-  // Validate it's an Instagram URL
-  if (!(postUrl.includes("instagram.com/p/") || postUrl.includes("instagram.com/reel/") || postUrl.includes("instagram.com/tv/"))) {
+  // Validate it's an Instagram post URL; the cache and the scrape use its canonical form
+  const postUrl = normalizePermalink(requestedUrl);
+  if (!postUrl) {
     return new Response(JSON.stringify({ error: "Invalid Instagram URL" }), {
       status: 400,
       headers: { "Content-Type": "application/json" },
@@ -28,51 +342,20 @@ export default async (req: Request, context: Context) => {
   }
 
   try {
-    // Fetch the Instagram post page
-    const response = await fetch(postUrl, {
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)",
-        Accept:
-          "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
-        "Accept-Language": "en-US,en;q=0.5",
-      },
-    });
-
-    if (!response.ok) {
-      return new Response(
-        JSON.stringify({ error: "Failed to fetch Instagram post" }),
-        {
-          status: 502,
-          headers: { "Content-Type": "application/json" },
-        }
-      );
-    }
-
-    const html = await response.text();
+    let imageUrl: string;
+    let stale = false;
 
-    // Extract image URL from OpenGraph meta tag
-    const ogImageMatch = html.match(
-      /<meta\s+property="og:image"\s+content="([^"]+)"/i
-    ) || html.match(
-      /<meta\s+content="([^"]+)"\s+property="og:image"/i
-    );
-
-    if (!ogImageMatch || !ogImageMatch[1]) {
-      return new Response(
-        JSON.stringify({ error: "Could not find image in Instagram post" }),
-        {
-          status: 404,
-          headers: { "Content-Type": "application/json" },
-        }
-      );
+    try {
+      const sql = neon();
+      await ensureSchema(sql);
+      ({ imageUrl, stale } = await resolveImageUrl(sql, postUrl, context));
+    } catch (error) {
+      if (error instanceof ScrapeError) throw error;
+      // Database unavailable: fall back to scraping directly
+      console.error("Instagram image cache unavailable:", error);
+      imageUrl = await scrapeOgImage(postUrl);
     }
 
-    // Decode HTML entities in the URL
-    const imageUrl = ogImageMatch[1]
-      .replace(/&amp;/g, "&")
-      .replace(/&#x3D;/g, "=");
-
     // Generate optimized image URL via Netlify Image CDN
     const optimizedUrl = getOptimizedImageUrl(imageUrl, width, quality);
 
@@ -93,7 +376,8 @@ export default async (req: Request, context: Context) => {
 
     return new Response(JSON.stringify({
       imageUrl: optimizedUrl,
-      originalUrl: imageUrl
+      originalUrl: imageUrl,
+      stale,
     }), {
       status: 200,
       headers: {
@@ -102,6 +386,13 @@ export default async (req: Request, context: Context) => {
       },
     });
   } catch (error) {
+    if (error instanceof ScrapeError) {
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: error.status,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
     console.error("Error fetching Instagram image:", error);
     return new Response(
       JSON.stringify({ error: "Internal server error" }),
@@ -114,5 +405,5 @@ export default async (req: Request, context: Context) => {
 };
 
 export const config: Config = {
-  path: "/api/instagram-image",
+  path: ["/api/instagram-image", "/api/instagram-image/batch"],
 };
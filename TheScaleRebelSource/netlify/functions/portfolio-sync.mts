@@ -0,0 +1,91 @@
+import type { Context, Config } from "@netlify/functions";
+import { neon } from "@netlify/neon";
+import { ensureSchema } from "../lib/schema.mjs";
+import { normalizePermalink } from "../lib/instagram.mjs";
+
+interface InstagramPost {
+  instagramUrl: string;
+  mediaType: string;
+  caption: string;
+  timestamp: string;
+}
+
+// Scheduled job: pull recent posts through /api/instagram-profile and stage
+// any new ones as drafts for an admin to approve in the Portfolio tab
+export default async (req: Request, context: Context) => {
+  const siteUrl = Netlify.env.get("URL") || "https://www.thescalerebel.com";
+
+  try {
+    const response = await fetch(`${siteUrl}/api/instagram-profile?limit=50`);
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !Array.isArray(data.posts)) {
+      console.error("Portfolio sync: instagram-profile failed", response.status, data.error);
+      return new Response(null, { status: 502 });
+    }
+
+    const posts: InstagramPost[] = data.posts;
+    const sql = neon();
+    await ensureSchema(sql);
+
+    const existing = await sql`SELECT id, instagram_url FROM portfolio_items`;
+    const existingByPermalink = new Map(
+      existing.map((row) => [normalizePermalink(row.instagram_url) || row.instagram_url, row.id])
+    );
+
+    let staged = 0;
+    let updated = 0;
+
+    // Oldest first so the newest post ends up at the top of the draft list
+    const ordered = [...posts].sort(
+      (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()
+    );
+
+    for (const post of ordered) {
+      const permalink = post.instagramUrl ? normalizePermalink(post.instagramUrl) : null;
+      if (!permalink) continue;
+      const existingId = existingByPermalink.get(permalink);
+
+      if (existingId) {
+        // Known post: fill in metadata without overwriting admin edits
+        const rows = await sql`
+          UPDATE portfolio_items
+          SET caption = COALESCE(caption, ${post.caption || null}),
+              posted_at = COALESCE(posted_at, ${post.timestamp || null}),
+              updated_at = NOW()
+          WHERE id = ${existingId}
+            AND (caption IS NULL OR posted_at IS NULL)
+          RETURNING id
+        `;
+        updated += rows.length;
+        continue;
+      }
+
+      await sql`
+        INSERT INTO portfolio_items (instagram_url, media_type, caption, posted_at, status, source, position)
+        VALUES (
+          ${permalink},
+          ${post.mediaType === "VIDEO" ? "video" : "image"},
+          ${post.caption || null},
+          ${post.timestamp || null},
+          'draft',
+          'sync',
+          (SELECT COALESCE(MIN(position), 0) - 1 FROM portfolio_items)
+        )
+        ON CONFLICT (instagram_url) DO NOTHING
+      `;
+      existingByPermalink.set(permalink, -1);
+      staged++;
+    }
+
+    console.log("Portfolio sync complete:", { fetched: posts.length, staged, updated });
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    console.error("Portfolio sync error:", error);
+    return new Response(null, { status: 500 });
+  }
+};
+
+export const config: Config = {
+  schedule: "@hourly",
+};
@@ -0,0 +1,55 @@
+import type { Context, Config } from "@netlify/functions";
+import { neon } from "@netlify/neon";
+import { ensureSchema } from "../lib/schema.mjs";
+
+// Public, read-only list of visible portfolio items curated in the admin panel.
+// Shape matches data/portfolio-images.json so gallery.js can use either source.
+export default async (req: Request, context: Context) => {
+  if (req.method !== "GET") {
+    return new Response(JSON.stringify({ error: "Method not allowed" }), {
+      status: 405,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  try {
+    const sql = neon();
+    await ensureSchema(sql);
+    const rows = await sql`
+      SELECT instagram_url, media_type, caption, alt, tags
+      FROM portfolio_items
+      WHERE hidden = FALSE
+        AND COALESCE(status, 'published') = 'published'
+      ORDER BY position ASC, id ASC
+    `;
+
+    const items = rows.map((row) => ({
+      instagram: row.instagram_url,
+      type: row.media_type || "image",
+      caption: row.caption || "",
+      alt: row.alt || "",
+      tags: row.tags || {},
+    }));
+
+    return new Response(JSON.stringify({ items, count: items.length }), {
+      status: 200,
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": "public, max-age=60, stale-while-revalidate=300",
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching portfolio:", error);
+    return new Response(
+      JSON.stringify({ error: "Failed to load portfolio" }),
+      {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+};
+
+export const config: Config = {
+  path: "/api/portfolio",
+};
@@ -1,5 +1,6 @@
 import type { Context, Config } from "@netlify/functions";
 import { neon } from "@netlify/neon";
+import { ensureSchema } from "../lib/schema.mjs";
 
 interface FormData {
   name: string;
@@ -301,16 +302,7 @@ ${message}
     // Store inquiry in database
     try {
       const sql = neon();
-      await sql`CREATE TABLE IF NOT EXISTS inquiries (
-        id SERIAL PRIMARY KEY,
-        client_id INTEGER,
-        name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        company TEXT,
-        budget TEXT,
-        message TEXT,
-        created_at TIMESTAMP DEFAULT NOW()
-      )`;
+      await ensureSchema(sql);
       const company = formData.company ? sanitizeInput(formData.company, 200) : null;
       const budget = formData.budget ? sanitizeInput(formData.budget, 100) : null;
       await sql`INSERT INTO inquiries (name, email, company, budget, message) VALUES (${name}, ${email}, ${company}, ${budget}, ${message})`;
@@ -0,0 +1,82 @@
+import type { Context, Config } from "@netlify/functions";
+import { neon } from "@netlify/neon";
+import { ensureSchema } from "../lib/schema.mjs";
+import { getStore } from "@netlify/blobs";
+
+// Fields snapshotted into the audit log when a client is purged (matches admin-api.mts)
+const CLIENT_FIELDS = ["name", "email", "phone", "company", "status", "budget", "deadline", "cost", "notes"];
+
+// Same setting admin-api.mts uses to show purge dates in the Trash view
+function getTrashRetentionDays(): number {
+  const days = parseInt(Netlify.env.get("CLIENT_TRASH_RETENTION_DAYS") || "");
+  return Number.isInteger(days) && days > 0 ? days : 30;
+}
+
+// Remove a purged client's stored files (same as deleteFileBlobs in admin-api.mts)
+async function deleteFileBlobs(rows: Record<string, any>[]) {
+  const store = getStore({ name: "client-files", consistency: "strong" });
+  for (const row of rows) {
+    for (const key of [row.blob_key, row.thumbnail_key]) {
+      if (!key) continue;
+      try {
+        await store.delete(key);
+      } catch (error) {
+        console.error("Error deleting file blob:", key, error);
+      }
+    }
+  }
+}
+
+// Scheduled job: permanently delete clients that have been in the trash
+// longer than the retention period
+export default async (req: Request, context: Context) => {
+  const retentionDays = getTrashRetentionDays();
+
+  try {
+    const sql = neon();
+    await ensureSchema(sql);
+
+    const expired = await sql`
+      SELECT id FROM clients
+      WHERE deleted_at IS NOT NULL
+        AND deleted_at < NOW() - make_interval(days => ${retentionDays})
+    `;
+
+    let purged = 0;
+    for (const { id } of expired) {
+      // File rows cascade with the client; note their blobs first
+      const files = await sql`SELECT blob_key, thumbnail_key FROM client_files WHERE client_id = ${id}`;
+
+      // Linked inquiries lose their client on delete; archive them so they
+      // don't reappear as open leads
+      const [, deleted] = await sql.transaction((txn) => [
+        txn`UPDATE inquiries SET status = 'archived' WHERE client_id = ${id}`,
+        txn`DELETE FROM clients WHERE id = ${id} AND deleted_at IS NOT NULL RETURNING *`,
+      ]);
+      if (deleted.length === 0) continue;
+      await deleteFileBlobs(files);
+
+      const snapshot: Record<string, { from: unknown; to: null }> = {};
+      for (const field of CLIENT_FIELDS) {
+        if (deleted[0][field] !== null && deleted[0][field] !== "") {
+          snapshot[field] = { from: deleted[0][field], to: null };
+        }
+      }
+      await sql`
+        INSERT INTO audit_log (client_id, entity_type, entity_id, action, actor_email, changes)
+        VALUES (${id}, 'client', ${id}, 'purge', NULL, ${JSON.stringify(snapshot)})
+      `;
+      purged++;
+    }
+
+    console.log("Trash purge complete:", { retentionDays, purged });
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    console.error("Trash purge error:", error);
+    return new Response(null, { status: 500 });
+  }
+};
+
+export const config: Config = {
+  schedule: "@daily",
+};
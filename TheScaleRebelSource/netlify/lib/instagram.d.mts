@@ -0,0 +1,3 @@
+// Types for instagram.mjs
+
+export function normalizePermalink(url: string): string | null;
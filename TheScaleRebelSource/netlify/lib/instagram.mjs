@@ -0,0 +1,30 @@
+// Instagram permalink helpers shared by admin-api (manual adds), portfolio-sync
+// (the hourly import) and instagram-image (the og:image cache), so all three
+// agree on the unique key of a post.
+// Plain JS with types in instagram.d.mts, like netlify/migrations.
+
+const INSTAGRAM_HOSTS = ["instagram.com", "www.instagram.com"];
+
+// /p/<code>/, /reel/<code>/ or /tv/<code>/, optionally after the account name
+const POST_PATH = /^\/(?:[A-Za-z0-9._]+\/)?(p|reel|tv)\/([A-Za-z0-9_-]+)\/?$/;
+
+/**
+ * Canonical https://www.instagram.com/<type>/<code>/ form of a post, reel or IGTV
+ * link, so query strings, missing trailing slashes or "www." differences don't
+ * create duplicates. Null for anything else: other schemes, hosts or paths.
+ * @param {string} url
+ * @returns {string | null}
+ */
+export function normalizePermalink(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== "https:" || parsed.username || parsed.password || parsed.port) return null;
+  if (!INSTAGRAM_HOSTS.includes(parsed.hostname.toLowerCase())) return null;
+
+  const match = parsed.pathname.match(POST_PATH);
+  return match ? `https://www.instagram.com/${match[1]}/${match[2]}/` : null;
+}
@@ -0,0 +1,7 @@
+// Types for schema.mjs
+
+import type { neon } from "@netlify/neon";
+
+export type SqlClient = ReturnType<typeof neon>;
+
+export function ensureSchema(sql: SqlClient): Promise<void>;
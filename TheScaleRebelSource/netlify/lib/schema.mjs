@@ -0,0 +1,38 @@
+// Brings the database up to date (see netlify/migrations) before a function
+// touches it. Every function that uses the database awaits ensureSchema first,
+// so a deploy that adds a migration is applied by whichever function runs
+// first, not only once someone opens the admin panel. migrate() records each
+// version under a lock, so functions racing on a fresh deploy apply it once.
+// Plain JS with types in schema.d.mts, like netlify/migrations.
+
+import { migrate } from "../migrations/index.mjs";
+
+// Applied once per function instance; reset on failure so the next request retries
+/** @type {Promise<void> | null} */
+let schemaReady = null;
+
+/**
+ * Apply any pending migrations over the function's Neon connection
+ * @param {import("./schema.d.mts").SqlClient} sql
+ * @returns {Promise<void>}
+ */
+export function ensureSchema(sql) {
+  if (!schemaReady) {
+    schemaReady = migrate(
+      {
+        query: (text) => sql.query(text),
+        transaction: async (statements) => {
+          await sql.transaction(statements.map((statement) => sql.query(statement)));
+        },
+      },
+      { log: (message) => console.log(message) }
+    )
+      .then(() => {})
+      .catch((error) => {
+        schemaReady = null;
+        console.error("Database migration error:", error);
+        throw error;
+      });
+  }
+  return schemaReady;
+}
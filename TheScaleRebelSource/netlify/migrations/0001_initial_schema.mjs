@@ -0,0 +1,243 @@
+// Baseline: the schema initializeDatabase used to create on every request.
+// Everything is IF NOT EXISTS so databases created before migrations existed
+// apply it as a no-op and start tracking from here.
+
+/** @type {import("./index.mjs").Migration} */
+export default {
+  version: 1,
+  name: "initial_schema",
+  statements: [
+    // Create clients table
+    `
+      CREATE TABLE IF NOT EXISTS clients (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        email TEXT,
+        phone TEXT,
+        company TEXT,
+        status TEXT DEFAULT 'lead',
+        budget TEXT,
+        deadline TEXT,
+        cost TEXT,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+
+    // Create inquiries table
+    `
+      CREATE TABLE IF NOT EXISTS inquiries (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        company TEXT,
+        budget TEXT,
+        message TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+
+    // Inquiry pipeline status; backfill rows from before statuses existed
+    `ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS status TEXT`,
+    `
+      UPDATE inquiries
+      SET status = CASE WHEN client_id IS NOT NULL THEN 'converted' ELSE 'new' END
+      WHERE status IS NULL
+    `,
+    `ALTER TABLE inquiries ALTER COLUMN status SET DEFAULT 'new'`,
+
+    // Create OTP codes table
+    `
+      CREATE TABLE IF NOT EXISTS otp_codes (
+        id SERIAL PRIMARY KEY,
+        email TEXT NOT NULL,
+        code TEXT NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+
+    // Store OTP hashes, not codes. Outstanding plaintext codes are dropped (they expire within minutes anyway)
+    `ALTER TABLE otp_codes ADD COLUMN IF NOT EXISTS code_hash TEXT`,
+    `ALTER TABLE otp_codes ADD COLUMN IF NOT EXISTS salt TEXT`,
+    `ALTER TABLE otp_codes ALTER COLUMN code DROP NOT NULL`,
+    `DELETE FROM otp_codes WHERE code_hash IS NULL`,
+
+    // Create failed OTP attempts table (lockouts per email and per IP)
+    `
+      CREATE TABLE IF NOT EXISTS otp_failures (
+        id SERIAL PRIMARY KEY,
+        email TEXT,
+        ip TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS otp_failures_email_idx ON otp_failures (email, created_at)`,
+    `CREATE INDEX IF NOT EXISTS otp_failures_ip_idx ON otp_failures (ip, created_at)`,
+
+    // Create admin sessions table
+    `
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        id SERIAL PRIMARY KEY,
+        token TEXT NOT NULL UNIQUE,
+        email TEXT NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+
+    // Session activity, shown on the Account tab
+    `ALTER TABLE admin_sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP DEFAULT NOW()`,
+    `ALTER TABLE admin_sessions ADD COLUMN IF NOT EXISTS ip TEXT`,
+    `ALTER TABLE admin_sessions ADD COLUMN IF NOT EXISTS user_agent TEXT`,
+
+    // Create admin users table (who may sign in, and as which role)
+    `
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id SERIAL PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE,
+        role TEXT NOT NULL DEFAULT 'staff',
+        invited_by TEXT,
+        last_login_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+
+    // Create passkeys table (WebAuthn credentials, one row per device per admin)
+    `
+      CREATE TABLE IF NOT EXISTS admin_passkeys (
+        id SERIAL PRIMARY KEY,
+        email TEXT NOT NULL,
+        credential_id TEXT NOT NULL UNIQUE,
+        public_key TEXT NOT NULL,
+        algorithm INTEGER NOT NULL,
+        sign_count BIGINT NOT NULL DEFAULT 0,
+        transports JSONB DEFAULT '[]'::jsonb,
+        name TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_used_at TIMESTAMP
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS admin_passkeys_email_idx ON admin_passkeys (email)`,
+
+    // Create WebAuthn challenges table (single use, short lived)
+    `
+      CREATE TABLE IF NOT EXISTS webauthn_challenges (
+        challenge TEXT PRIMARY KEY,
+        purpose TEXT NOT NULL,
+        email TEXT,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `,
+
+    // Create portfolio items table (public gallery source)
+    `
+      CREATE TABLE IF NOT EXISTS portfolio_items (
+        id SERIAL PRIMARY KEY,
+        instagram_url TEXT NOT NULL UNIQUE,
+        media_type TEXT DEFAULT 'image',
+        caption TEXT,
+        alt TEXT,
+        position INTEGER NOT NULL DEFAULT 0,
+        hidden BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+
+    // Portfolio sync columns: draft/published/rejected workflow plus Instagram metadata
+    `ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'published'`,
+    `ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS posted_at TIMESTAMP`,
+    `ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS source TEXT DEFAULT 'manual'`,
+
+    // Gallery filter tags: facet -> lowercase slugs, for the facets in PORTFOLIO_TAG_FACETS (see sanitizeTags in admin-api.mts)
+    `ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS tags JSONB DEFAULT '{}'::jsonb`,
+
+    // Create client milestones table (project phases and meetings)
+    `
+      CREATE TABLE IF NOT EXISTS client_milestones (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        phase TEXT NOT NULL,
+        due_date DATE,
+        status TEXT DEFAULT 'planned',
+        meeting_at TIMESTAMPTZ,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS client_milestones_client_id_idx ON client_milestones (client_id)`,
+
+    // Create client ledger table (invoices, deposits, payments and refunds)
+    `
+      CREATE TABLE IF NOT EXISTS client_ledger (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        entry_type TEXT NOT NULL,
+        amount NUMERIC(12, 2) NOT NULL,
+        entry_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        due_date DATE,
+        method TEXT,
+        reference TEXT,
+        invoice_id INTEGER REFERENCES client_ledger(id) ON DELETE SET NULL,
+        milestone_id INTEGER REFERENCES client_milestones(id) ON DELETE SET NULL,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS client_ledger_client_id_idx ON client_ledger (client_id)`,
+
+    // Soft delete: trashed clients keep their inquiry links until purged
+    `ALTER TABLE clients ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`,
+
+    // Create audit log (client timeline). client_id has no FK so history survives deletes
+    `
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER,
+        entity_type TEXT NOT NULL,
+        entity_id INTEGER,
+        action TEXT NOT NULL,
+        actor_email TEXT,
+        changes JSONB DEFAULT '{}'::jsonb,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS audit_log_client_id_idx ON audit_log (client_id)`,
+
+    // Create sent email log (shown on the client timeline)
+    `
+      CREATE TABLE IF NOT EXISTS client_emails (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+        inquiry_id INTEGER REFERENCES inquiries(id) ON DELETE SET NULL,
+        to_email TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        body TEXT NOT NULL,
+        template TEXT,
+        status TEXT NOT NULL DEFAULT 'sent',
+        error TEXT,
+        resend_id TEXT,
+        sent_by TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `,
+    `CREATE INDEX IF NOT EXISTS client_emails_client_id_idx ON client_emails (client_id)`,
+
+    // Create calendar feed tokens table (read by calendar.mts; client_id NULL = all clients)
+    `
+      CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+        id SERIAL PRIMARY KEY,
+        token TEXT NOT NULL UNIQUE,
+        client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        revoked_at TIMESTAMP
+      )
+    `,
+  ],
+};
@@ -0,0 +1,17 @@
+// Indexes for the client list, linked-inquiry lookups and the unread inquiry badge
+
+/** @type {import("./index.mjs").Migration} */
+export default {
+  version: 2,
+  name: "client_inquiry_indexes",
+  statements: [
+    // Client list: live clients, most recently updated first
+    `CREATE INDEX IF NOT EXISTS clients_live_updated_at_idx ON clients (updated_at DESC) WHERE deleted_at IS NULL`,
+
+    // Import duplicate detection matches on normalised email
+    `CREATE INDEX IF NOT EXISTS clients_email_key_idx ON clients (LOWER(TRIM(email)))`,
+
+    `CREATE INDEX IF NOT EXISTS inquiries_client_id_idx ON inquiries (client_id)`,
+    `CREATE INDEX IF NOT EXISTS inquiries_status_idx ON inquiries (status)`,
+  ],
+};
@@ -0,0 +1,23 @@
+// File attachments on client records. The files themselves live in the
+// "client-files" Netlify Blobs store; this table holds what the admin lists.
+
+/** @type {import("./index.mjs").Migration} */
+export default {
+  version: 3,
+  name: "client_files",
+  statements: [
+    `CREATE TABLE IF NOT EXISTS client_files (
+      id SERIAL PRIMARY KEY,
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      blob_key TEXT UNIQUE NOT NULL,
+      thumbnail_key TEXT,
+      file_name TEXT NOT NULL,
+      content_type TEXT,
+      size_bytes INTEGER NOT NULL,
+      tag VARCHAR(20) NOT NULL,
+      uploaded_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS client_files_client_id_idx ON client_files (client_id)`,
+  ],
+};
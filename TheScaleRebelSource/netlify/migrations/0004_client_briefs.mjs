@@ -0,0 +1,22 @@
+// Project brief questionnaires. Each client has at most one brief, reached by
+// the client through its token; answers are kept as JSON keyed by question id
+// (see BRIEF_SECTIONS in admin-api.mts).
+
+/** @type {import("./index.mjs").Migration} */
+export default {
+  version: 4,
+  name: "client_briefs",
+  statements: [
+    `CREATE TABLE IF NOT EXISTS client_briefs (
+      id SERIAL PRIMARY KEY,
+      client_id INTEGER NOT NULL UNIQUE REFERENCES clients(id) ON DELETE CASCADE,
+      token VARCHAR(64) UNIQUE NOT NULL,
+      answers JSONB NOT NULL DEFAULT '{}',
+      status VARCHAR(20) NOT NULL DEFAULT 'sent',
+      created_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      submitted_at TIMESTAMP
+    )`,
+  ],
+};
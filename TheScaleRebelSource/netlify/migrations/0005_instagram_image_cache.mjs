@@ -0,0 +1,21 @@
+// og:image URLs resolved by instagram-image, keyed by canonical post permalink.
+// The last good URL (succeeded_at) keeps being served while refreshing_at marks
+// a background re-scrape in progress; failures back off using fetched_at.
+
+/** @type {import("./index.mjs").Migration} */
+export default {
+  version: 5,
+  name: "instagram_image_cache",
+  statements: [
+    `CREATE TABLE IF NOT EXISTS instagram_image_cache (
+      post_url TEXT PRIMARY KEY,
+      image_url TEXT,
+      fetched_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      succeeded_at TIMESTAMP,
+      failed BOOLEAN DEFAULT FALSE,
+      failure_count INTEGER DEFAULT 0,
+      last_error TEXT,
+      refreshing_at TIMESTAMP
+    )`,
+  ],
+};
@@ -0,0 +1,67 @@
+// Seed the portfolio from data/portfolio-images.json, the list the gallery was
+// built from before it was curated in the admin panel. Only runs against an
+// empty table, so a portfolio that has already been curated is left alone.
+// The URLs are copied in (in canonical permalink form) rather than read from the
+// file, so later edits to the file can't change what this migration does.
+
+/** @type {import("./index.mjs").Migration} */
+export default {
+  version: 6,
+  name: "seed_portfolio_items",
+  statements: [
+    `INSERT INTO portfolio_items (instagram_url, position, status, source)
+      SELECT seed.instagram_url, seed.position, 'published', 'manual'
+      FROM (VALUES
+        ('https://www.instagram.com/p/DTGbZ_9kc4B/', 0),
+        ('https://www.instagram.com/p/DPsNKg8jPZn/', 1),
+        ('https://www.instagram.com/p/DNdx8IuN8-R/', 2),
+        ('https://www.instagram.com/p/DM5ud2IPQza/', 3),
+        ('https://www.instagram.com/p/DK0RMArv836/', 4),
+        ('https://www.instagram.com/p/DKxtlAxvhK8/', 5),
+        ('https://www.instagram.com/p/DGava01xkU1/', 6),
+        ('https://www.instagram.com/p/DGavDqaucnt/', 7),
+        ('https://www.instagram.com/p/DDTI01Nttvy/', 8),
+        ('https://www.instagram.com/p/DAZ_FcNtK1G/', 9),
+        ('https://www.instagram.com/p/C_s8TW7P1vC/', 10),
+        ('https://www.instagram.com/p/C_q3zlwP4QT/', 11),
+        ('https://www.instagram.com/p/C-fUcg2OdE9/', 12),
+        ('https://www.instagram.com/p/C64JixRrJ1N/', 13),
+        ('https://www.instagram.com/p/C6CMoxrvU6A/', 14),
+        ('https://www.instagram.com/p/C6SJfuGN4NO/', 15),
+        ('https://www.instagram.com/p/C54vyE_tJSY/', 16),
+        ('https://www.instagram.com/p/C3by3h-ttxY/', 17),
+        ('https://www.instagram.com/p/C3ZTbX5tuKu/', 18),
+        ('https://www.instagram.com/p/C1f77QENBgM/', 19),
+        ('https://www.instagram.com/p/C1atreANEnW/', 20),
+        ('https://www.instagram.com/p/C00PCuxNMKl/', 21),
+        ('https://www.instagram.com/p/CxS1Z9artFj/', 22),
+        ('https://www.instagram.com/p/Cw6IWqtM4Ev/', 23),
+        ('https://www.instagram.com/p/CvtL8tBoLhA/', 24),
+        ('https://www.instagram.com/p/Cmz16AwvE8I/', 25),
+        ('https://www.instagram.com/p/CnGaX7rNZ8Z/', 26),
+        ('https://www.instagram.com/p/CmpuB9YqgJb/', 27),
+        ('https://www.instagram.com/p/Cmj4G-II-Ep/', 28),
+        ('https://www.instagram.com/p/CmebBphLrcp/', 29),
+        ('https://www.instagram.com/p/CmcwptwNDLV/', 30),
+        ('https://www.instagram.com/p/Clv-efErjlq/', 31),
+        ('https://www.instagram.com/p/Cluz6DEtoU_/', 32),
+        ('https://www.instagram.com/p/ClcSToFvIyf/', 33),
+        ('https://www.instagram.com/p/CkUbSRToPX7/', 34),
+        ('https://www.instagram.com/p/Cjja2NfNtVs/', 35),
+        ('https://www.instagram.com/p/CiU-ej7rbw-/', 36),
+        ('https://www.instagram.com/p/ChvXBNiKiBE/', 37),
+        ('https://www.instagram.com/p/ChnlGAHrm06/', 38),
+        ('https://www.instagram.com/p/ChlMlBeqhnt/', 39),
+        ('https://www.instagram.com/p/ChfAsH7oD_m/', 40),
+        ('https://www.instagram.com/p/CgIS0XkKiQ7/', 41),
+        ('https://www.instagram.com/p/CglAXu6Km09/', 42),
+        ('https://www.instagram.com/p/CgFv-0WKWht/', 43),
+        ('https://www.instagram.com/p/CfFVHkJq3OJ/', 44),
+        ('https://www.instagram.com/p/CetW7JirBMt/', 45),
+        ('https://www.instagram.com/p/Ceeix4SKkyV/', 46),
+        ('https://www.instagram.com/p/Cdo5luUq7Zv/', 47)
+      ) AS seed (instagram_url, position)
+      WHERE NOT EXISTS (SELECT 1 FROM portfolio_items)
+      ON CONFLICT (instagram_url) DO NOTHING`,
+  ],
+};
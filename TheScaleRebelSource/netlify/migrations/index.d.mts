@@ -0,0 +1,25 @@
+// Types for index.mjs (plain JS so scripts/migrate.mjs can load it without a build step)
+
+export interface Migration {
+  version: number;
+  name: string;
+  statements: string[];
+}
+
+export interface MigrationDb {
+  query: (text: string) => Promise<Record<string, unknown>[]>;
+  transaction: (statements: string[]) => Promise<void>;
+}
+
+export const migrations: Migration[];
+
+export function getMigrationStatus(
+  db: MigrationDb,
+  list?: Migration[]
+): Promise<{ applied: Migration[]; pending: Migration[] }>;
+
+export function migrate(
+  db: MigrationDb,
+  options?: { log?: (message: string) => void },
+  list?: Migration[]
+): Promise<Migration[]>;
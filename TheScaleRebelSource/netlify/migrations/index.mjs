@@ -0,0 +1,115 @@
+// Versioned schema migrations for admin-api.
+//
+// Each migration is a file exporting { version, name, statements }. Pending
+// migrations are applied in version order, each in its own transaction, and
+// recorded in schema_migrations so they only ever run once. Every function
+// that uses the database applies them on its first request after a deploy
+// (netlify/lib/schema.mjs); scripts/migrate.mjs runs them against any Postgres
+// (e.g. a throwaway local one) to try them out first.
+//
+// To change the schema, add the next numbered file and list it below. Never
+// edit or renumber a migration that has shipped.
+
+import initialSchema from "./0001_initial_schema.mjs";
+import clientInquiryIndexes from "./0002_client_inquiry_indexes.mjs";
+import clientFiles from "./0003_client_files.mjs";
+import clientBriefs from "./0004_client_briefs.mjs";
+import instagramImageCache from "./0005_instagram_image_cache.mjs";
+import seedPortfolioItems from "./0006_seed_portfolio_items.mjs";
+
+/**
+ * @typedef {{ version: number, name: string, statements: string[] }} Migration
+ *
+ * Minimal database interface, so the same runner works over Neon's HTTP driver and psql
+ * @typedef {{
+ *   query: (text: string) => Promise<Record<string, unknown>[]>,
+ *   transaction: (statements: string[]) => Promise<void>,
+ * }} MigrationDb
+ */
+
+/** @type {Migration[]} */
+export const migrations = [
+  initialSchema,
+  clientInquiryIndexes,
+  clientFiles,
+  clientBriefs,
+  instagramImageCache,
+  seedPortfolioItems,
+];
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP DEFAULT NOW()
+  )
+`;
+
+// Postgres unique_violation: another process recorded the same version first
+const UNIQUE_VIOLATION = "23505";
+
+/** @param {Migration} migration */
+function describe(migration) {
+  return `${String(migration.version).padStart(4, "0")}_${migration.name}`;
+}
+
+/** @param {Migration[]} list */
+function checkOrder(list) {
+  list.forEach((migration, i) => {
+    if (!Number.isInteger(migration.version) || !/^[a-z0-9_]+$/.test(migration.name)) {
+      throw new Error(`Invalid migration: ${migration.version} ${migration.name}`);
+    }
+    if (i > 0 && migration.version <= list[i - 1].version) {
+      throw new Error(`Migrations out of order at ${describe(migration)}`);
+    }
+  });
+}
+
+/**
+ * Which migrations the database has and hasn't applied
+ * @param {MigrationDb} db
+ * @param {Migration[]} [list]
+ */
+export async function getMigrationStatus(db, list = migrations) {
+  checkOrder(list);
+  await db.transaction([CREATE_MIGRATIONS_TABLE]);
+  const rows = await db.query("SELECT version FROM schema_migrations ORDER BY version");
+  const applied = new Set(rows.map((row) => Number(row.version)));
+  return {
+    applied: list.filter((m) => applied.has(m.version)),
+    pending: list.filter((m) => !applied.has(m.version)),
+  };
+}
+
+/**
+ * Apply pending migrations in order. Returns the ones this call applied.
+ * @param {MigrationDb} db
+ * @param {{ log?: (message: string) => void }} [options]
+ * @param {Migration[]} [list]
+ */
+export async function migrate(db, { log = () => {} } = {}, list = migrations) {
+  const { pending } = await getMigrationStatus(db, list);
+  const applied = [];
+
+  for (const migration of pending) {
+    try {
+      // Recording the version first means a concurrent run blocks on the same
+      // row, then fails on it and rolls back instead of applying twice
+      await db.transaction([
+        `INSERT INTO schema_migrations (version, name) VALUES (${migration.version}, '${migration.name}')`,
+        ...migration.statements,
+      ]);
+      applied.push(migration);
+      log(`Applied migration ${describe(migration)}`);
+    } catch (error) {
+      if (error && /** @type {{ code?: string }} */ (error).code === UNIQUE_VIOLATION) {
+        log(`Migration ${describe(migration)} was applied by another process`);
+        continue;
+      }
+      const message = error instanceof Error ? error.message : String(error);
+      throw new Error(`Migration ${describe(migration)} failed: ${message}`);
+    }
+  }
+
+  return applied;
+}